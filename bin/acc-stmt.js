@@ -0,0 +1,420 @@
+#!/usr/bin/env node
+// acc-stmt: the statement engine from the command line, for scripts and cron
+// jobs. Parsing, footer truncation, merchant cleanup, recurrence detection and
+// the exports are the same code the web app runs.
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+  parseStatement, validateFile, mergeStatements, defaultAccountLabel, analyzeTransactions,
+  buildExportTables, buildTaxTable, toCSV, parseDate, formatDate, toISODate, fmt, setDisplayCurrency, currencyByCode, parseRates,
+  StatementError, CADENCES, SUBSCRIPTION_CONFIDENCE,
+} from '../src/engine/index.js';
+
+// Every file read and analyzed
+const EXIT_OK = 0;
+// A file couldn't be read or parsed (the rest are still analyzed)
+const EXIT_PARSE = 1;
+// Bad command line
+const EXIT_USAGE = 2;
+
+const FORMATS = ['table', 'json', 'csv'];
+const TABLES = ['transactions', 'recurring', 'payees', 'monthly', 'tax'];
+
+const USAGE = `Usage: acc-stmt analyze <files…> [options]
+
+Reads CSV, Excel and PDF bank and credit card statements and prints what the web app's
+dashboard shows. Several files are merged; overlapping exports of one
+account are de-duplicated.
+
+Options:
+  --from <YYYY-MM-DD>      Only transactions on or after this date (earlier ones are still compared against)
+  --to <YYYY-MM-DD>        Only transactions on or before this date
+  --account <label>        Account label for every file (default: the bank, else the file name)
+  --format <format>        ${FORMATS.join(', ')} (default: table)
+  --table <name>           Table to write with --format csv: ${TABLES.join(', ')} (default: transactions)
+  --output <file>          Write to a file instead of standard output
+  --password <password>    Password for protected PDFs
+  --aliases <file.json>    Payee names: a JSON list of { "match": payee or UPI ID, "name": shown as }
+  --own <ids>              Your account numbers and UPI IDs, comma-separated, to spot transfers
+  --include-transfers      Count transfers between your accounts as spending and income
+  --currency <code>        Show amounts in this currency, e.g. USD (default: the statements' own)
+  --rates <file>           Exchange rates, one per line like "USD INR 83.50", or a JSON list of { from, to, rate }
+  --fy <year>              Financial year for the tax report, by the year it starts: 2024 for FY 2024-25 (default: the latest)
+  -h, --help               Show this help
+
+Exit codes: ${EXIT_OK} success, ${EXIT_PARSE} a file could not be parsed, ${EXIT_USAGE} bad usage.`;
+
+const toDate = (text, flag) => {
+  if (!text) return null;
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(text) ? parseDate(text, 'YMD') : null;
+  if (!date) throw new Error(`--${flag} must be a date like 2025-04-01.`);
+  return date;
+};
+
+function readOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      account: { type: 'string' },
+      format: { type: 'string', default: 'table' },
+      table: { type: 'string', default: 'transactions' },
+      output: { type: 'string' },
+      password: { type: 'string' },
+      aliases: { type: 'string' },
+      own: { type: 'string', default: '' },
+      'include-transfers': { type: 'boolean', default: false },
+      currency: { type: 'string', default: '' },
+      rates: { type: 'string' },
+      fy: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  const [command, ...files] = positionals;
+  if (values.help) return { help: true };
+  if (command !== 'analyze') throw new Error(command ? `Unknown command "${command}".` : 'No command given.');
+  if (!files.length) throw new Error('No statement files given.');
+  if (!FORMATS.includes(values.format)) throw new Error(`--format must be one of ${FORMATS.join(', ')}.`);
+  if (!TABLES.includes(values.table)) throw new Error(`--table must be one of ${TABLES.join(', ')}.`);
+  const currency = values.currency.trim().toUpperCase();
+  if (currency && !currencyByCode(currency)) throw new Error(`--currency: unknown currency "${values.currency}".`);
+  if (values.fy && !/^\d{4}(-\d{2})?$/.test(values.fy)) throw new Error('--fy must be a year like 2024 (for FY 2024-25).');
+  return {
+    files,
+    from: toDate(values.from, 'from'),
+    until: toDate(values.to, 'to'),
+    account: values.account?.trim() || '',
+    format: values.format,
+    table: values.table,
+    output: values.output,
+    password: values.password,
+    aliasFile: values.aliases,
+    ownAccounts: values.own.split(',').map(id => id.trim()).filter(Boolean),
+    includeTransfers: values['include-transfers'],
+    currency,
+    rateFile: values.rates,
+    fy: values.fy ? Number(values.fy.slice(0, 4)) : null,
+  };
+}
+
+// ── Reading ────────────────────────────────────────────
+
+// The same { match, name } list the web app keeps under "Payee names"
+async function readAliases(file) {
+  if (!file) return [];
+  let aliases;
+  try {
+    aliases = JSON.parse(await readFile(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read aliases from ${file}: ${err.message}`);
+  }
+  if (!Array.isArray(aliases) || aliases.some(a => typeof a?.match !== 'string' || typeof a?.name !== 'string')) {
+    throw new Error(`${file} must hold a list of { "match": "…", "name": "…" }.`);
+  }
+  return aliases;
+}
+
+// Rates in any form the web app's "Exchange rates" box takes
+async function readRates(file) {
+  if (!file) return [];
+  let text;
+  try {
+    text = await readFile(file, 'utf8');
+  } catch (err) {
+    throw new Error(`Could not read rates from ${file}: ${err.message}`);
+  }
+  const { rates, skipped } = parseRates(text);
+  if (skipped.length) throw new Error(`${file}: could not read ${skipped.map(line => `"${line}"`).join(', ')}.`);
+  return rates;
+}
+
+async function readStatement(file, options) {
+  const bytes = await readFile(file);
+  validateFile({ name: file, size: bytes.length });
+  const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length);
+  const parsed = await parseStatement(buffer, file, { password: options.password });
+  return { file, account: options.account || defaultAccountLabel(parsed.profile, basename(file)), ...parsed };
+}
+
+// Parse failures are reported and skipped so one bad file doesn't sink a batch
+async function readStatements(options) {
+  const statements = [];
+  const failures = [];
+  for (const file of options.files) {
+    try {
+      statements.push(await readStatement(file, options));
+    } catch (err) {
+      const message = err instanceof StatementError ? err.message : err.code === 'ENOENT' ? 'File not found.' : String(err.message || err);
+      failures.push({ file, message });
+      console.error(`acc-stmt: ${file}: ${message}`);
+    }
+  }
+  return { statements, failures };
+}
+
+// ── Output ─────────────────────────────────────────────
+
+const cadenceLabel = (id) => CADENCES.find(c => c.id === id)?.label || id;
+const pct = (n) => (n === null ? '—' : `${Math.round(n * 100)}%`);
+
+// Plain-text table; numeric columns are right-aligned
+const textTable = (head, rows, numeric = []) => {
+  const cells = [head, ...rows].map(row => row.map(cell => String(cell ?? '')));
+  const widths = head.map((_, c) => Math.max(...cells.map(row => row[c].length)));
+  const line = (row) => row.map((cell, c) => (numeric.includes(c) ? cell.padStart(widths[c]) : cell.padEnd(widths[c]))).join('  ').trimEnd();
+  return [line(cells[0]), widths.map(w => '─'.repeat(w)).join('  '), ...cells.slice(1).map(line)].join('\n');
+};
+
+const keyValues = (pairs) => {
+  const width = Math.max(...pairs.map(([key]) => key.length));
+  return pairs.map(([key, value]) => `${key.padEnd(width)}  ${value}`).join('\n');
+};
+
+const section = (title, body) => `\n${title}\n${body}\n`;
+
+// Before the statements start, a zero is missing data
+const before = (figure, covered) => (!covered && !figure.previous ? 'no data' : fmt(figure.previous));
+
+// "₹1,200.00 (+12%)" against a comparePeriods baseline
+const delta = (figure, covered = true) => {
+  if (!covered && !figure.previous) return 'no data';
+  if (figure.pct === null) return figure.current ? 'new' : '—';
+  const rounded = Math.round(figure.pct * 100);
+  return `${rounded > 0 ? '+' : ''}${rounded}%`;
+};
+
+// One line per findAnomalies finding
+const FINDING_TEXT = {
+  duplicate: f => `Charged twice: ${f.merchant} ${fmt(f.amount)}, ${f.days} day(s) apart`,
+  spike: f => `Unusually large: ${f.merchant} ${fmt(f.amount)} (usually ${fmt(f.usual)})`,
+  fee: f => `${f.label}: ${fmt(f.amount)} over ${f.transactions.length} charge(s)`,
+  'new-payee': f => `New payee: ${f.merchant} ${fmt(f.amount)}`,
+};
+
+// The --fy year of the tax report, else the latest
+const taxYear = (analysis, fy) => (fy ? analysis.tax.find(y => y.year === fy) : analysis.tax[0]) || null;
+
+function summaryText(statements, analysis, options) {
+  const { transactions, userStats, categories, recurring, renewals, income, cashFlow, transfers, card, anomalies, comparison } = analysis;
+  const dated = transactions.filter(tx => tx.date).map(tx => tx.date.getTime());
+  const spend = categories.reduce((s, c) => s + c.total, 0) || 1;
+  const out = [];
+
+  out.push(section('Statements', textTable(
+    ['File', 'Account', 'Bank', 'Currency', 'Rows', 'Checks'],
+    statements.map(s => [
+      s.file, s.account, s.profile?.name || '—', s.currency, s.transactions.length, s.integrity.ok ? 'ok' : `${s.integrity.issues.length} issue(s)`,
+    ]),
+    [4],
+  )));
+  out.push(section('Summary', keyValues([
+    ['Period', dated.length ? `${formatDate(new Date(Math.min(...dated)))} – ${formatDate(new Date(Math.max(...dated)))}` : '—'],
+    ['Transactions', transactions.length],
+    ['Total debited', `${fmt(userStats.totalSpent)} (${userStats.paymentCount})`],
+    ['Total credited', `${fmt(userStats.totalReceived)} (${userStats.creditCount})`],
+    ['Net cash flow', `${fmt(cashFlow.net)} · savings rate ${pct(cashFlow.savingsRate)}`],
+    ['Largest payment', `${fmt(userStats.largestPayment.amount)} ${userStats.largestPayment.description}`],
+    ...(income.salary.length ? [['Salary', income.salary.map(s => `${s.description} ~${fmt(s.averageAmount)}`).join(', ')]] : []),
+    ...(transfers.count ? [[
+      `Transfers${transfers.included ? '' : ' (left out)'}`, `${fmt(transfers.out)} out · ${fmt(transfers.in)} in (${transfers.count})`,
+    ]] : []),
+  ])));
+
+  if (anomalies.length) {
+    out.push(section('Needs attention', textTable(
+      ['Date', 'Finding'],
+      anomalies.map(f => [formatDate(f.date) || '—', FINDING_TEXT[f.kind](f)]),
+    )));
+  }
+  if (recurring.length) {
+    out.push(section('Subscriptions & recurring payments', textTable(
+      ['Payee', 'Cycle', 'Type', 'Times', 'Per month', 'Total', 'Last paid'],
+      recurring.map(r => [
+        r.description, cadenceLabel(r.cadence), r.confidence >= SUBSCRIPTION_CONFIDENCE ? 'Subscription / EMI' : `Recurring (${pct(r.confidence)})`,
+        r.count, fmt(r.monthlyAmount), fmt(r.total), formatDate(r.lastDate),
+      ]),
+      [3, 4, 5],
+    )));
+  }
+  const bills = statements.filter(s => s.card);
+  if (bills.length) {
+    out.push(section('Card bills', textTable(
+      ['File', 'Period', 'Total due', 'Minimum', 'Due by'],
+      bills.map(({ file, card: bill, currency }) => [
+        file, bill.periodFrom ? `${formatDate(bill.periodFrom)} – ${formatDate(bill.periodTo)}` : '—',
+        bill.totalDue === undefined ? '—' : fmt(bill.totalDue, currency), bill.minimumDue === undefined ? '—' : fmt(bill.minimumDue, currency),
+        bill.dueDate ? formatDate(bill.dueDate) : '—',
+      ]),
+      [2, 3],
+    )));
+  }
+  if (card) {
+    out.push(section('Credit cards', textTable(['Entry', 'Times', 'Total'], card.entries.map(e => [e.label, e.count, fmt(e.total)]), [1, 2])));
+    if (card.plans.length) {
+      out.push(section('EMI plans', textTable(
+        ['Purchase', 'Bought', 'Paid', 'Per month', 'Principal left'],
+        card.plans.map(p => [
+          p.description, p.purchase ? `${formatDate(p.purchase.date)} ${fmt(p.purchase.amount)}` : '—', `${p.paid}/${p.months}`, fmt(p.monthly), fmt(p.remaining),
+        ]),
+        [3, 4],
+      )));
+    }
+  }
+  if (renewals.upcoming.length) {
+    out.push(section('Expected in the next 30 days', textTable(
+      ['Date', 'Payee', 'Amount'],
+      renewals.upcoming.map(c => [formatDate(c.date), c.description, fmt(c.amount)]),
+      [2],
+    )));
+  }
+  if (categories.length) {
+    out.push(section('Spending by category', textTable(
+      ['Category', 'Payments', 'Total', 'Share'],
+      categories.map(c => [c.label, c.count, fmt(c.total), pct(c.total / spend)]),
+      [1, 2, 3],
+    )));
+  }
+  if (cashFlow.months.length) {
+    out.push(section('Cash flow', textTable(
+      ['Month', 'In', 'Out', 'Net', 'Saved'],
+      cashFlow.months.map(m => [m.month, fmt(m.inflow), fmt(m.outflow), fmt(m.net), pct(m.savingsRate)]),
+      [1, 2, 3, 4],
+    )));
+  }
+  if (comparison) {
+    const baselines = comparison.baselines.filter(b => !b.empty);
+    const against = (b) => `${b.label} (${b.range}${b.covered ? '' : ', partly covered'})`;
+    out.push(section(`${comparison.label} compared`, baselines.length ? textTable(
+      ['', comparison.label, ...baselines.map(against), ...baselines.map(() => 'Change')],
+      ['spent', 'received', 'net'].map(key => [
+        { spent: 'Spent', received: 'Received', net: 'Net' }[key], fmt(baselines[0].totals[key].current),
+        ...baselines.map(b => before(b.totals[key], b.covered)), ...baselines.map(b => delta(b.totals[key], b.covered)),
+      ]),
+      [1, ...baselines.flatMap((_, i) => [2 + i, 2 + baselines.length + i])],
+    ) : 'No statements from the period before or a year earlier.'));
+    if (baselines.length) {
+      const [b] = baselines;
+      out.push(section(`By category, against ${b.label.toLowerCase()}`, textTable(
+        ['Category', 'Now', 'Before', 'Change'],
+        b.categories.map(c => [c.label, fmt(c.current), before(c, b.covered), delta(c, b.covered)]),
+        [1, 2, 3],
+      )));
+    }
+  }
+  const tax = taxYear(analysis, options.fy);
+  if (tax?.sections.length) {
+    out.push(section(`Tax: ${tax.label} (${tax.assessmentYear}) — every row with --format csv --table tax`, textTable(
+      ['Section', 'Includes', 'Total', 'Limit', 'Counted'],
+      tax.sections.map(s => [
+        s.label, tax.heads.filter(h => s.heads.includes(h.id)).map(h => h.label).join(', '), fmt(s.total),
+        s.limit === null ? '—' : fmt(s.limit), fmt(s.counted),
+      ]),
+      [2, 3, 4],
+    )));
+  }
+  return out.join('');
+}
+
+// Dates as YYYY-MM-DD in local time (JSON.stringify would give UTC timestamps)
+function jsonReplacer(key, value) {
+  return this[key] instanceof Date ? toISODate(this[key]) : value;
+}
+
+function summaryJSON(statements, analysis, failures) {
+  const {
+    transactions, userStats, categories, recurring, renewals, income, cashFlow, transfers, card, currency, anomalies, period, comparison, trends,
+    tax,
+  } = analysis;
+  return JSON.stringify({
+    statements: statements.map(s => ({
+      file: s.file, account: s.account, format: s.format, kind: s.kind, bank: s.profile?.name || null, currency: s.currency, rows: s.transactions.length,
+      card: s.card, integrity: s.integrity,
+    })),
+    failures,
+    currency,
+    period,
+    summary: { ...userStats, topMerchants: userStats.topMerchants.map(({ name, total }) => ({ name, total })) },
+    categories: categories.map(({ id, label, total, count }) => ({ id, label, total, count })),
+    recurring,
+    upcoming: renewals.upcoming,
+    income: { ...income, refunds: { total: income.refunds.total, count: income.refunds.count } },
+    cashFlow,
+    transfers,
+    card,
+    anomalies: anomalies.map(({ transactions: txs, ...f }) => ({
+      ...f, transactions: txs.map(({ date, account, description, merchant, debit }) => ({ date, account, description, merchant, debit })),
+    })),
+    comparison,
+    trends,
+    tax: tax.map(({ year, label, assessmentYear, from, until, sections, heads }) => ({
+      year, label, assessmentYear, from, until, sections,
+      heads: heads.map(h => ({
+        ...h, transactions: h.transactions.map(({ date, account, description, merchant, debit, credit }) => ({ date, account, description, merchant, debit, credit })),
+      })),
+    })),
+    transactions,
+  }, jsonReplacer, 2);
+}
+
+// ── Main ───────────────────────────────────────────────
+
+async function analyze(options) {
+  let aliases;
+  let rates;
+  try {
+    aliases = await readAliases(options.aliasFile);
+    rates = await readRates(options.rateFile);
+  } catch (err) {
+    console.error(`acc-stmt: ${err.message}`);
+    return EXIT_USAGE;
+  }
+  const { statements, failures } = await readStatements(options);
+  if (!statements.length) return EXIT_PARSE;
+
+  const { transactions } = mergeStatements(statements);
+  // The dates outside --from/--to are still read, for the comparison with earlier periods
+  const analysis = analyzeTransactions(transactions, {
+    aliases, ownAccounts: options.ownAccounts, includeTransfers: options.includeTransfers, currency: { display: options.currency, rates },
+    period: { preset: 'custom', from: toISODate(options.from), until: toISODate(options.until) },
+  });
+  setDisplayCurrency(analysis.currency.display);
+  analysis.currency.missing.forEach(code => {
+    console.error(`acc-stmt: no ${code} → ${analysis.currency.display} rate given (--rates); those rows are left out of the totals.`);
+  });
+
+  const tax = taxYear(analysis, options.fy);
+  if (options.fy && !tax) {
+    console.error(`acc-stmt: no transactions from FY ${options.fy}-${String((options.fy + 1) % 100).padStart(2, '0')} in these statements.`);
+    return EXIT_USAGE;
+  }
+
+  let text;
+  if (options.format === 'json') text = `${summaryJSON(statements, analysis, failures)}\n`;
+  else if (options.format === 'csv' && options.table === 'tax') text = tax ? `${toCSV(buildTaxTable(tax).rows)}\n` : '';
+  else if (options.format === 'csv') text = `${toCSV(buildExportTables(analysis).find(t => t.id === options.table).rows)}\n`;
+  else text = summaryText(statements, analysis, options);
+
+  if (options.output) await writeFile(options.output, text);
+  else process.stdout.write(text);
+  return failures.length ? EXIT_PARSE : EXIT_OK;
+}
+
+async function main(argv) {
+  let options;
+  try {
+    options = readOptions(argv);
+  } catch (err) {
+    console.error(`acc-stmt: ${err.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+  return analyze(options);
+}
+
+process.exitCode = await main(process.argv.slice(2));
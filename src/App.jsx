@@ -1,15 +1,19 @@
+import { useState } from 'react';
 import './App.css';
 import Header from './components/Header';
 import Footer from './components/Footer';
 import StatementUploader from './components/StatementUploader';
 
 function App() {
+  // Renewal alerts from the loaded statements, shown under the header bell
+  const [alerts, setAlerts] = useState([]);
+
   return (
     <div className="app">
-      <Header />
+      <Header alerts={alerts} />
       <main className="app-main">
         <div className="content-wrap">
-          <StatementUploader />
+          <StatementUploader onAlertsChange={setAlerts} />
         </div>
       </main>
       <Footer />
@@ -0,0 +1,46 @@
+import React from 'react';
+import { FaClock, FaExclamationTriangle, FaArrowUp, FaBan } from 'react-icons/fa';
+import { fmt, formatDate } from '../engine';
+
+const ALERT_VIEW = {
+  due: {
+    icon: <FaClock color="#1565c0" />,
+    text: a => `${a.description} renews on ${formatDate(a.date)} — ${fmt(a.amount)}`,
+  },
+  overdue: {
+    icon: <FaExclamationTriangle color="#f57c00" />,
+    text: a => `${a.description} was due on ${formatDate(a.date)} (${fmt(a.amount)}) — not in your statements yet`,
+  },
+  missed: {
+    icon: <FaBan color="#6b7280" />,
+    text: a => `${a.description} wasn't charged around ${formatDate(a.date)} — cancelled?`,
+  },
+  price: {
+    icon: <FaArrowUp color="#c62828" />,
+    text: a => `${a.description} went up from ${fmt(a.previousAmount)} to ${fmt(a.amount)} on ${formatDate(a.date)}`,
+  },
+};
+
+// Dropdown under the header bell
+const AlertsMenu = ({ alerts, onClose }) => (
+  <div className="alerts-menu" role="dialog" aria-label="Alerts">
+    <div className="alerts-menu-header">
+      <span>Alerts</span>
+      <button type="button" className="link-btn" onClick={onClose}>Close</button>
+    </div>
+    {alerts.length === 0 ? (
+      <p className="badge-muted alerts-empty">No alerts. Upload a statement to track renewals.</p>
+    ) : (
+      <ul className="alerts-list">
+        {alerts.map(a => (
+          <li key={a.id} className={`alert-item alert-${a.kind}`}>
+            {ALERT_VIEW[a.kind].icon}
+            <span>{ALERT_VIEW[a.kind].text(a)}</span>
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+export default AlertsMenu;
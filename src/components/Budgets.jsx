@@ -0,0 +1,193 @@
+import React, { useMemo, useState } from 'react';
+import { FaBullseye, FaChevronDown, FaChevronRight, FaTimes } from 'react-icons/fa';
+import { CATEGORIES, categoryById, fmt, monthRange } from '../engine';
+
+// Budgets track spending, so credit-only categories aren't offered
+const CREDIT_CATEGORIES = ['income', 'refunds'];
+
+const newBudgetId = () => `budget:${Date.now().toString(36)}`;
+
+const EMPTY = { scope: 'category', category: 'food', payees: '', name: '', limit: '', carryOver: false };
+
+const validate = (form) => {
+  if (form.scope === 'merchant' && !form.payees.trim()) return 'Enter at least one payee.';
+  const limit = Number(form.limit);
+  if (!form.limit.trim() || !Number.isFinite(limit) || limit <= 0) return 'Enter a monthly limit above zero.';
+  return '';
+};
+
+const signed = (n) => `${n < 0 ? '−' : '+'}${fmt(Math.abs(n))}`;
+
+const statusText = (m) => (m.remaining < 0 ? `${fmt(-m.remaining)} over` : `${fmt(m.remaining)} left`);
+
+const BudgetBar = ({ month }) => (
+  <div className="mini-bar-track budget-track">
+    <div
+      className={`mini-bar-fill budget-fill budget-${month.status}`}
+      style={{ width: `${month.available > 0 ? Math.min(100, Math.round((month.spent / month.available) * 100)) : 100}%` }}
+    />
+  </div>
+);
+
+// Monthly limits per category or payee, with the chosen month's progress and
+// a month-by-month history. Budgets are saved with the other settings by the uploader.
+const Budgets = ({ budgets, transactions, onChange, onExplore }) => {
+  const months = budgets[0]?.months.map(m => ({ key: m.key, label: m.month })) || [];
+  const [monthKey, setMonthKey] = useState(null);
+  const [openId, setOpenId] = useState(null);
+  const [adding, setAdding] = useState(false);
+  const [form, setForm] = useState(EMPTY);
+  const [error, setError] = useState('');
+  const set = (field) => (e) => setForm(f => ({ ...f, [field]: e.target.type === 'checkbox' ? e.target.checked : e.target.value }));
+
+  // Payees by spend, for the payee field's suggestions
+  const payees = useMemo(() => {
+    const totals = new Map();
+    transactions.filter(tx => tx.debit > 0).forEach(tx => totals.set(tx.merchant, (totals.get(tx.merchant) || 0) + tx.debit));
+    return [...totals.entries()].sort((a, b) => b[1] - a[1]).map(([name]) => name);
+  }, [transactions]);
+
+  const selected = months.some(m => m.key === monthKey) ? monthKey : months.at(-1)?.key;
+  const saved = budgets.map(({ id, scope, target, name, limit, carryOver }) => ({ id, scope, target, name, limit, carryOver }));
+
+  const addBudget = (e) => {
+    e.preventDefault();
+    const problem = validate(form);
+    setError(problem);
+    if (problem) return;
+    const budget = {
+      id: newBudgetId(),
+      scope: form.scope,
+      target: form.scope === 'category' ? form.category : form.payees.split(',').map(p => p.trim()).filter(Boolean).join(', '),
+      ...(form.name.trim() && { name: form.name.trim() }),
+      limit: Number(form.limit),
+      carryOver: form.carryOver,
+    };
+    onChange([...saved, budget]);
+    setForm(EMPTY);
+    setAdding(false);
+  };
+
+  const explore = (b, key) => onExplore({
+    ...(key && monthRange(key)),
+    direction: 'debit',
+    ...(b.scope === 'category' ? { category: b.target } : { merchant: b.target }),
+  });
+
+  return (
+    <div className="section-block budgets">
+      <div className="section-header">
+        <FaBullseye color="#4e54c8" />
+        <span>Budgets</span>
+        {budgets.length > 0 && <span className="count-badge">{budgets.length}</span>}
+        {months.length > 1 && (
+          <select className="budget-month" value={selected} onChange={e => setMonthKey(e.target.value)} aria-label="Budget month">
+            {months.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+          </select>
+        )}
+      </div>
+
+      {budgets.length === 0 && !adding && (
+        <p className="badge-muted">Set a monthly limit for a category or a payee, e.g. {fmt(8000)} on food delivery, and track it month by month.</p>
+      )}
+
+      <div className="mini-bars">
+        {budgets.map(b => {
+          const month = b.months.find(m => m.key === selected);
+          if (!month) return null;
+          const open = openId === b.id;
+          return (
+            <React.Fragment key={b.id}>
+              <div className={`mini-bar-row mini-bar-clickable budget-row${open ? ' mini-bar-active' : ''}`} onClick={() => setOpenId(open ? null : b.id)}>
+                <div className="mini-bar-label" title={b.scope === 'merchant' ? b.target : b.label}>
+                  <span className="expand-icon">{open ? <FaChevronDown size={9}/> : <FaChevronRight size={9}/>}</span>
+                  {b.scope === 'category' && <span className="category-dot" style={{ background: categoryById(b.target).color }} />}
+                  {b.label}
+                </div>
+                <BudgetBar month={month} />
+                <div className="mini-bar-value budget-value">
+                  {fmt(month.spent)} <span className="confidence">of {fmt(month.available)}</span>
+                  <div className={`budget-status budget-status-${month.status}`}>{statusText(month)}</div>
+                </div>
+                <button
+                  type="button"
+                  className="icon-btn"
+                  onClick={e => {
+                    e.stopPropagation();
+                    onChange(saved.filter(x => x.id !== b.id));
+                  }}
+                  title="Delete budget"
+                >
+                  <FaTimes size={11} />
+                </button>
+              </div>
+              {open && (
+                <div className="payee-detail">
+                  <p className="badge-muted budget-terms">
+                    {fmt(b.limit)} a month{b.carryOver ? ', unspent budget and overspend carry over' : ''}
+                    {b.overMonths > 0 && <> · over budget in {b.overMonths} of {b.months.length} months</>}
+                  </p>
+                  <table className="table-compact">
+                    <thead><tr><th>Month</th><th>Spent</th><th>Budget</th>{b.carryOver && <th>Carried in</th>}<th /></tr></thead>
+                    <tbody>
+                      {[...b.months].reverse().map(m => (
+                        <tr key={m.key} className={m.key === selected ? 'budget-selected' : ''}>
+                          <td className="date-cell">{m.month}</td>
+                          <td className={m.status === 'over' ? 'amt-debit' : ''}>{fmt(m.spent)}</td>
+                          <td>{fmt(m.available)}</td>
+                          {b.carryOver && <td className="date-cell">{m.carried ? signed(m.carried) : '—'}</td>}
+                          <td className={`budget-status budget-status-${m.status}`}>{statusText(m)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  {/* The explorer filters on one payee at a time */}
+                  {!b.target.includes(',') && (
+                    <button type="button" className="link-btn explore-link" onClick={() => explore(b, selected)}>
+                      {month.month} transactions →
+                    </button>
+                  )}
+                </div>
+              )}
+            </React.Fragment>
+          );
+        })}
+      </div>
+
+      {adding ? (
+        <>
+          <form className="rule-form budget-form" onSubmit={addBudget}>
+            <select value={form.scope} onChange={set('scope')} aria-label="Budget for">
+              <option value="category">Category</option>
+              <option value="merchant">Payees</option>
+            </select>
+            {form.scope === 'category' ? (
+              <select value={form.category} onChange={set('category')} aria-label="Category">
+                {CATEGORIES.filter(c => !CREDIT_CATEGORIES.includes(c.id)).map(c => <option key={c.id} value={c.id}>{c.label}</option>)}
+              </select>
+            ) : (
+              <>
+                <input list="budget-payees" placeholder="Payees, comma-separated" value={form.payees} onChange={set('payees')} />
+                <datalist id="budget-payees">
+                  {payees.map(p => <option key={p} value={p} />)}
+                </datalist>
+              </>
+            )}
+            <input placeholder="Monthly limit ₹" inputMode="decimal" value={form.limit} onChange={set('limit')} />
+            <input placeholder="Name (optional), e.g. OTT" value={form.name} onChange={set('name')} />
+            <label className="budget-carry">
+              <input type="checkbox" checked={form.carryOver} onChange={set('carryOver')} /> Carry over
+            </label>
+            <button type="submit" className="btn btn-primary">Add budget</button>
+            <button type="button" className="link-btn" onClick={() => setAdding(false)}>Cancel</button>
+          </form>
+          {error && <p className="error rule-error">{error}</p>}
+        </>
+      ) : (
+        <button type="button" className="link-btn" onClick={() => setAdding(true)}>+ Add budget</button>
+      )}
+    </div>
+  );
+};
+
+export default Budgets;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { fmt, shortAmount } from '../engine';
+
+const WIDTH = 320;
+const HEIGHT = 150;
+const AXIS = 30;
+const BAR = 9;
+
+const pct = (n) => (n === null ? '—' : `${Math.round(n * 100)}%`);
+
+// Inflow and outflow bars per month, with the month's net and savings rate below
+const CashFlowChart = ({ months, onMonthClick }) => {
+  const max = Math.max(1, ...months.flatMap(m => [m.inflow, m.outflow]));
+  const slot = WIDTH / Math.max(months.length, 1);
+  const plot = HEIGHT - AXIS;
+  const height = (value) => Math.max(1, (Math.max(0, value) / max) * (plot - 6));
+
+  return (
+    <div className="cash-flow">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="cash-flow-chart" role="img" aria-label="Monthly inflow and outflow">
+        <line x1={0} x2={WIDTH} y1={plot} y2={plot} className="cash-flow-axis" />
+        {months.map((m, i) => {
+          const cx = slot * i + slot / 2;
+          return (
+            <g key={m.key} className={onMonthClick ? 'cash-flow-month cash-flow-clickable' : 'cash-flow-month'} onClick={() => onMonthClick?.(m)}>
+              <title>{`${m.month}\nIn ${fmt(m.inflow)}\nOut ${fmt(m.outflow)}${m.refunds ? ` (after ${fmt(m.refunds)} refunds)` : ''}\nNet ${fmt(m.net)} · saved ${pct(m.savingsRate)}`}</title>
+              <rect x={cx - slot / 2} y={0} width={slot} height={HEIGHT} className="cash-flow-hit" />
+              <rect x={cx - BAR - 1} y={plot - height(m.inflow)} width={BAR} height={height(m.inflow)} rx={2} className="cash-flow-in" />
+              <rect x={cx + 1} y={plot - height(m.outflow)} width={BAR} height={height(m.outflow)} rx={2} className="cash-flow-out" />
+              <text x={cx} y={plot + 12} textAnchor="middle" className="cash-flow-label">{m.month.split(' ')[0]}</text>
+              <text x={cx} y={plot + 24} textAnchor="middle" className={m.net < 0 ? 'cash-flow-net cash-flow-negative' : 'cash-flow-net'}>
+                {m.net < 0 ? '−' : '+'}{shortAmount(Math.abs(m.net))}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+      <div className="cash-flow-legend">
+        <span><i className="cash-flow-swatch cash-flow-in" /> In</span>
+        <span><i className="cash-flow-swatch cash-flow-out" /> Out (after refunds)</span>
+        <span>Net below each month</span>
+      </div>
+    </div>
+  );
+};
+
+export default CashFlowChart;
@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { FaChevronDown, FaChevronRight, FaTags } from 'react-icons/fa';
+import { fmt, formatDate, CATEGORIES } from '../engine';
+
+// Rows shown when a category is expanded; the explorer is the place for the rest
+const MAX_ROWS = 50;
+
+// Debit spend per category. Picking another category for a row teaches a rule
+// that also moves the same payee's other transactions.
+const CategoryBreakdown = ({ categories, onRecategorize, onExplore }) => {
+  const [openId, setOpenId] = useState(null);
+  const total = categories.reduce((s, c) => s + c.total, 0) || 1;
+
+  return (
+    <div className="section-block">
+      <div className="section-header">
+        <FaTags color="#4e54c8" />
+        <span>Spending by Category</span>
+        <span className="count-badge">{categories.length}</span>
+      </div>
+      <div className="category-stack">
+        {categories.map(c => (
+          <div key={c.id} style={{ width: `${(c.total / total) * 100}%`, background: c.color }} title={`${c.label} · ${fmt(c.total)}`} />
+        ))}
+      </div>
+      <div className="mini-bars">
+        {categories.map(c => (
+          <React.Fragment key={c.id}>
+            <div className={`mini-bar-row mini-bar-clickable${openId === c.id ? ' mini-bar-active' : ''}`} onClick={() => setOpenId(openId === c.id ? null : c.id)}>
+              <div className="mini-bar-label" title={c.label}>
+                <span className="expand-icon">{openId === c.id ? <FaChevronDown size={9}/> : <FaChevronRight size={9}/>}</span>
+                <span className="category-dot" style={{ background: c.color }} />
+                {c.label}
+              </div>
+              <div className="mini-bar-track">
+                <div className="mini-bar-fill" style={{ width: `${Math.round((c.total / categories[0].total) * 100)}%`, background: c.color }} />
+              </div>
+              <div className="mini-bar-value">{fmt(c.total)} <span className="confidence">{Math.round((c.total / total) * 100)}%</span></div>
+            </div>
+            {openId === c.id && (
+              <div className="payee-detail">
+                <table className="table-compact">
+                  <thead><tr><th>Date</th><th>Payee</th><th>Amount</th><th>Category</th></tr></thead>
+                  <tbody>
+                    {[...c.transactions].sort((a, b) => b.debit - a.debit).slice(0, MAX_ROWS).map((tx, idx) => (
+                      <tr key={idx}>
+                        <td className="date-cell">{formatDate(tx.date) || '—'}</td>
+                        <td title={tx.description}>{tx.merchant}</td>
+                        <td className="amt-debit">{fmt(tx.debit)}</td>
+                        <td>
+                          <select
+                            className="category-select"
+                            value={tx.category}
+                            onChange={e => onRecategorize(tx, e.target.value)}
+                            aria-label={`Category for ${tx.merchant}`}
+                          >
+                            {CATEGORIES.map(opt => <option key={opt.id} value={opt.id}>{opt.label}</option>)}
+                          </select>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {c.transactions.length > MAX_ROWS && <p className="badge-muted">Showing the {MAX_ROWS} largest of {c.transactions.length}.</p>}
+                <button type="button" className="link-btn explore-link" onClick={() => onExplore({ category: c.id, direction: 'debit' })}>
+                  View all {c.count} in the explorer →
+                </button>
+              </div>
+            )}
+          </React.Fragment>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default CategoryBreakdown;
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { FaTimes } from 'react-icons/fa';
+import { CATEGORIES, categoryById, fmt } from '../engine';
+
+const EMPTY = { category: 'food', pattern: '', merchant: '', upi: '', minAmount: '', maxAmount: '' };
+
+const describeRule = (rule) => {
+  const parts = [];
+  if (rule.pattern) parts.push(`narration matches /${rule.pattern}/`);
+  if (rule.merchant) parts.push(`payee is ${rule.merchant}`);
+  if (rule.upi) parts.push(`UPI ${rule.upi}`);
+  if (rule.minAmount != null && rule.maxAmount != null) parts.push(`${fmt(rule.minAmount)}–${fmt(rule.maxAmount)}`);
+  else if (rule.minAmount != null) parts.push(`at least ${fmt(rule.minAmount)}`);
+  else if (rule.maxAmount != null) parts.push(`up to ${fmt(rule.maxAmount)}`);
+  if (rule.direction) parts.push(`${rule.direction}s only`);
+  return parts.join(', ');
+};
+
+const toAmount = (text) => (text.trim() === '' ? null : Number(text));
+
+const validate = (form) => {
+  if (!form.pattern.trim() && !form.merchant.trim() && !form.upi.trim() && !form.minAmount.trim() && !form.maxAmount.trim()) {
+    return 'Set at least one condition.';
+  }
+  if (form.pattern.trim()) {
+    try {
+      new RegExp(form.pattern.trim(), 'i');
+    } catch {
+      return 'The narration pattern is not a valid regular expression.';
+    }
+  }
+  const min = toAmount(form.minAmount);
+  const max = toAmount(form.maxAmount);
+  if ([min, max].some(n => n !== null && !Number.isFinite(n))) return 'Amounts must be numbers.';
+  if (min !== null && max !== null && min > max) return 'Minimum amount is above the maximum.';
+  return '';
+};
+
+// The user's own category rules: a list with delete, plus an add form
+const CategoryRules = ({ rules, onChange }) => {
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState(EMPTY);
+  const [error, setError] = useState('');
+  const set = (field) => (e) => setForm(f => ({ ...f, [field]: e.target.value }));
+
+  const addRule = (e) => {
+    e.preventDefault();
+    const problem = validate(form);
+    setError(problem);
+    if (problem) return;
+    const rule = {
+      id: `user:${Date.now().toString(36)}`,
+      category: form.category,
+      ...(form.pattern.trim() && { pattern: form.pattern.trim() }),
+      ...(form.merchant.trim() && { merchant: form.merchant.trim() }),
+      ...(form.upi.trim() && { upi: form.upi.trim().toLowerCase() }),
+      ...(form.minAmount.trim() && { minAmount: toAmount(form.minAmount) }),
+      ...(form.maxAmount.trim() && { maxAmount: toAmount(form.maxAmount) }),
+    };
+    onChange([rule, ...rules]);
+    setForm(EMPTY);
+  };
+
+  return (
+    <div className="category-rules">
+      <button type="button" className="link-btn" onClick={() => setOpen(o => !o)}>
+        {open ? 'Hide category rules' : `Category rules (${rules.length})`}
+      </button>
+      {open && (
+        <>
+          {rules.length === 0
+            ? <p className="badge-muted">No rules of your own yet. Change a transaction's category above, or add one here.</p>
+            : (
+              <ul className="rule-list">
+                {rules.map(r => (
+                  <li key={r.id}>
+                    <span className="category-dot" style={{ background: categoryById(r.category).color }} />
+                    <strong>{categoryById(r.category).label}</strong>
+                    <span className="rule-desc">{describeRule(r)}{r.learned ? ' (learned)' : ''}</span>
+                    <button type="button" className="icon-btn" onClick={() => onChange(rules.filter(x => x.id !== r.id))} title="Delete rule"><FaTimes size={11} /></button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          <form className="rule-form" onSubmit={addRule}>
+            <select value={form.category} onChange={set('category')} aria-label="Category">
+              {CATEGORIES.map(c => <option key={c.id} value={c.id}>{c.label}</option>)}
+            </select>
+            <input placeholder="Narration regex, e.g. landlord|rent" value={form.pattern} onChange={set('pattern')} />
+            <input placeholder="Payee name" value={form.merchant} onChange={set('merchant')} />
+            <input placeholder="UPI handle, e.g. shop@okaxis" value={form.upi} onChange={set('upi')} />
+            <input placeholder="Min ₹" inputMode="decimal" value={form.minAmount} onChange={set('minAmount')} />
+            <input placeholder="Max ₹" inputMode="decimal" value={form.maxAmount} onChange={set('maxAmount')} />
+            <button type="submit" className="btn btn-primary">Add rule</button>
+          </form>
+          {error && <p className="error rule-error">{error}</p>}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CategoryRules;
@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { FaChevronLeft, FaChevronRight } from 'react-icons/fa';
+import { fmt, forecastCharges, monthKey, monthLabel, toISODate, addMonths } from '../engine';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Paid charges (from the statements) and expected ones (from today on) for one month
+const chargesByDay = (recurring, renewals, month) => {
+  const start = new Date(month.getFullYear(), month.getMonth(), 1);
+  const end = new Date(month.getFullYear(), month.getMonth() + 1, 0);
+  const days = {};
+  const add = (date, entry) => {
+    const key = toISODate(date);
+    (days[key] = days[key] || []).push(entry);
+  };
+  recurring.forEach(r => r.details
+    .filter(d => d.date >= start && d.date <= end)
+    .forEach(d => add(d.date, { description: r.description, amount: d.amount, expected: false })));
+  if (end >= renewals.today) {
+    const from = start > renewals.today ? start : renewals.today;
+    forecastCharges(recurring, { from, until: end, coveredUntil: renewals.coveredUntil, today: renewals.today })
+      .forEach(c => add(c.date, { description: c.description, amount: c.amount, expected: true }));
+  }
+  return days;
+};
+
+const ChargeCalendar = ({ recurring, renewals }) => {
+  const [month, setMonth] = useState(() => new Date(renewals.today.getFullYear(), renewals.today.getMonth(), 1));
+  const days = chargesByDay(recurring, renewals, month);
+
+  // Grid starts on the Monday on or before the 1st
+  const lead = (month.getDay() + 6) % 7;
+  const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+  const cells = [
+    ...Array(lead).fill(null),
+    ...Array.from({ length: daysInMonth }, (_, i) => new Date(month.getFullYear(), month.getMonth(), i + 1)),
+  ];
+  const todayKey = toISODate(renewals.today);
+
+  return (
+    <div className="charge-calendar">
+      <div className="calendar-nav">
+        <button type="button" className="icon-btn" onClick={() => setMonth(m => addMonths(m, -1))} title="Previous month"><FaChevronLeft size={11} /></button>
+        <span>{monthLabel(monthKey(month))}</span>
+        <button type="button" className="icon-btn" onClick={() => setMonth(m => addMonths(m, 1))} title="Next month"><FaChevronRight size={11} /></button>
+      </div>
+      <div className="calendar-grid">
+        {WEEKDAYS.map(d => <div key={d} className="calendar-weekday">{d}</div>)}
+        {cells.map((date, i) => {
+          if (!date) return <div key={`pad-${i}`} className="calendar-day calendar-pad" />;
+          const key = toISODate(date);
+          return (
+            <div key={key} className={`calendar-day${key === todayKey ? ' calendar-today' : ''}`}>
+              <div className="calendar-date">{date.getDate()}</div>
+              {(days[key] || []).map((c, idx) => (
+                <div
+                  key={idx}
+                  className={`calendar-charge${c.expected ? ' calendar-expected' : ''}`}
+                  title={`${c.description} · ${fmt(c.amount)}${c.expected ? ' (expected)' : ''}`}
+                >
+                  {c.description}
+                </div>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+      <div className="calendar-legend">
+        <span className="calendar-charge">Paid</span>
+        <span className="calendar-charge calendar-expected">Expected</span>
+      </div>
+    </div>
+  );
+};
+
+export default ChargeCalendar;
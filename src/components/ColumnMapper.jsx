@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { FaColumns } from 'react-icons/fa';
+import { MAPPING_ROLES, buildCustomProfile, guessColumns, toHeaderKeys } from '../engine';
+
+const PREVIEW_ROWS = 12;
+
+const DR_CR_MODES = [
+  { value: 'split', label: 'Separate debit and credit columns', roles: ['debit', 'credit'] },
+  { value: 'indicator', label: 'One amount column + Dr/Cr column', roles: ['amount', 'drCrFlag'] },
+  { value: 'signed', label: 'One signed amount column (negative = debit)', roles: ['amount'] },
+  { value: 'card', label: 'Credit card: one amount column, payments and refunds marked Cr', roles: ['amount', 'drCrFlag'] },
+];
+const AMOUNT_ROLES = ['debit', 'credit', 'amount', 'drCrFlag'];
+
+const missingFields = (columns, drCr) => {
+  const missing = MAPPING_ROLES.filter(r => r.required && !columns[r.role]).map(r => r.label);
+  if (drCr === 'split' && !columns.debit && !columns.credit) missing.push('a debit or credit column');
+  if (drCr !== 'split' && !columns.amount) missing.push('Amount');
+  if (drCr === 'indicator' && !columns.drCrFlag) missing.push('Dr / Cr indicator');
+  return missing;
+};
+
+const ColumnMapper = ({ grid, initialHeaderRow, reason, onApply, onCancel }) => {
+  const startRow = Math.max(initialHeaderRow, 0);
+  const [headerRow, setHeaderRow] = useState(startRow);
+  const [{ columns, drCr }, setMapping] = useState(() => guessColumns(toHeaderKeys(grid[startRow] || [])));
+  const [save, setSave] = useState(true);
+  const [name, setName] = useState('');
+
+  const headers = toHeaderKeys(grid[headerRow] || []);
+  const labels = grid[headerRow] || [];
+  const width = Math.max(...grid.slice(0, PREVIEW_ROWS).map(r => r.length), 0);
+  const mode = DR_CR_MODES.find(m => m.value === drCr);
+  const visibleRoles = MAPPING_ROLES.filter(r => !AMOUNT_ROLES.includes(r.role) || mode.roles.includes(r.role));
+  const missing = missingFields(columns, drCr);
+
+  const pickHeaderRow = (idx) => {
+    setHeaderRow(idx);
+    setMapping(guessColumns(toHeaderKeys(grid[idx] || [])));
+  };
+  const setColumn = (role, header) => setMapping(m => ({ ...m, columns: { ...m.columns, [role]: header } }));
+  const setDrCr = (value) => setMapping(m => ({ ...m, drCr: value }));
+
+  const apply = () => {
+    // Only keep the amount roles that belong to the chosen Dr/Cr convention
+    const used = Object.fromEntries(Object.entries(columns)
+      .filter(([role]) => !AMOUNT_ROLES.includes(role) || mode.roles.includes(role)));
+    const profile = buildCustomProfile({ name: name.trim() || 'Custom layout', headers, columns: used, drCr });
+    onApply({ headerRow, profile }, save);
+  };
+
+  return (
+    <div className="section-block mapper">
+      <div className="section-header"><FaColumns color="#4e54c8" /><span>Map statement columns</span></div>
+      {reason && <p className="badge-muted">{reason} Pick the header row and tell us what each column holds.</p>}
+
+      <div className="mapper-preview">
+        <table className="table-compact">
+          <tbody>
+            {grid.slice(0, PREVIEW_ROWS).map((row, i) => (
+              <tr key={i} onClick={() => pickHeaderRow(i)} className={`clickable-row${i === headerRow ? ' mapper-header-row' : ''}`}>
+                <td className="date-cell">{i + 1}</td>
+                {Array.from({ length: width }, (_, c) => <td key={c}>{String(row[c] ?? '')}</td>)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="badge-muted mapper-hint">Click a row to use it as the header row (currently row {headerRow + 1}).</div>
+      </div>
+
+      <div className="mapper-fields">
+        <label className="mapper-field">
+          <span className="detail-label">Amount layout</span>
+          <select value={drCr} onChange={e => setDrCr(e.target.value)}>
+            {DR_CR_MODES.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+          </select>
+        </label>
+        {visibleRoles.map(({ role, label, required }) => (
+          <label key={role} className="mapper-field">
+            <span className="detail-label">{label}{required ? ' *' : ''}</span>
+            <select value={columns[role] || ''} onChange={e => setColumn(role, e.target.value)}>
+              <option value="">— none —</option>
+              {headers.map((h, idx) => h && <option key={h} value={h}>{String(labels[idx])}</option>)}
+            </select>
+          </label>
+        ))}
+      </div>
+
+      <div className="mapper-actions">
+        <label className="mapper-save">
+          <input type="checkbox" checked={save} onChange={e => setSave(e.target.checked)} />
+          Remember this layout as
+          <input type="text" placeholder="e.g. Yes Bank savings" value={name} onChange={e => setName(e.target.value)} disabled={!save} />
+        </label>
+        {missing.length > 0 && <span className="error mapper-missing">Still needed: {missing.join(', ')}</span>}
+        <button type="button" className="btn" onClick={onCancel}>Cancel</button>
+        <button type="button" className="btn btn-primary" onClick={apply} disabled={missing.length > 0}>Analyze with this mapping</button>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMapper;
@@ -0,0 +1,61 @@
+import React from 'react';
+import { FaCreditCard } from 'react-icons/fa';
+import { fmt, formatDate } from '../engine';
+
+// Where a row of the card figures leads in the transaction explorer
+const ENTRY_FILTER = {
+  markup: { category: 'fees' }, fee: { category: 'fees' }, interest: { category: 'fees' }, emi: { category: 'emi' },
+  refund: { category: 'refunds' }, reward: { category: 'refunds' }, payment: { category: 'transfers' },
+};
+
+// Card statements: what the card was used for, what it cost on top (forex
+// markup, fees, interest), and the purchases being paid off in EMIs
+const CreditCards = ({ card, onExplore }) => {
+  const extra = card.entries.filter(e => ['markup', 'fee', 'interest'].includes(e.id)).reduce((s, e) => s + e.total, 0);
+
+  return (
+    <div className="section-block credit-cards">
+      <div className="section-header">
+        <FaCreditCard color="#5e35b1" />
+        <span>Credit Cards</span>
+        {extra > 0 && <span className="sub-monthly-est">{fmt(extra)} in markup, fees &amp; interest</span>}
+      </div>
+      <table className="table-compact">
+        <tbody>
+          {card.entries.map(e => (
+            <tr key={e.id} className={ENTRY_FILTER[e.id] ? 'clickable-row' : undefined} onClick={ENTRY_FILTER[e.id] && (() => onExplore(ENTRY_FILTER[e.id]))}>
+              <td>{e.label}</td>
+              <td><span className="occ-badge">{e.count}×</span></td>
+              <td className={['payment', 'refund', 'reward', 'emi-conversion'].includes(e.id) ? 'amt-credit' : 'amt-debit'}>{fmt(e.total)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {card.plans.length > 0 && (
+        <>
+          <div className="card-emi-head">
+            EMI plans · {fmt(card.emiMonthly)}/mo · {fmt(card.emiRemaining)} principal left
+          </div>
+          <table className="table-compact">
+            <thead><tr><th style={{ width: '34%' }}>Purchase</th><th>Bought</th><th>Paid</th><th>Per month</th><th>Left</th></tr></thead>
+            <tbody>
+              {card.plans.map(p => (
+                <tr key={p.id} className="clickable-row" onClick={() => onExplore({ merchant: p.merchant })}>
+                  <td title={p.purchase?.description}>{p.description}</td>
+                  <td className="date-cell">{p.purchase ? `${formatDate(p.purchase.date)} · ${fmt(p.purchase.amount)}` : '—'}</td>
+                  <td><span className="occ-badge">{p.paid}/{p.months}</span></td>
+                  <td className="amt-debit" title={p.interest ? `${fmt(p.principal)} + ${fmt(p.interest)} interest` : undefined}>{fmt(p.monthly)}</td>
+                  <td>{fmt(p.remaining)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="badge-muted card-note">A purchase converted to EMI counts as spending through its installments, not all at once.</p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CreditCards;
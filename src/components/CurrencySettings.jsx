@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { FaExclamationTriangle, FaTimes } from 'react-icons/fa';
+import { CURRENCIES, parseRates } from '../engine';
+
+const samePair = (a, b) => (a.from === b.from && a.to === b.to) || (a.from === b.to && a.to === b.from);
+
+// The currency the dashboard shows amounts in, and the exchange rates that get
+// it there. Rates are the user's own — typed, pasted or imported from a file;
+// nothing is looked up online.
+const CurrencySettings = ({ settings, currency, onChange }) => {
+  const [open, setOpen] = useState(false);
+  const [text, setText] = useState('');
+  const [skipped, setSkipped] = useState([]);
+  const { rates } = settings;
+
+  // A newly entered rate replaces the one for the same pair, either way round
+  const addRates = (input) => {
+    const read = parseRates(input);
+    setSkipped(read.skipped);
+    if (!read.rates.length) return;
+    onChange({ ...settings, rates: [...rates.filter(r => !read.rates.some(n => samePair(r, n))), ...read.rates] });
+    setText('');
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    addRates(text);
+  };
+
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) addRates(await file.text());
+  };
+
+  return (
+    <div className="currency-settings">
+      <div className="account-filter">
+        <span className="detail-label">Amounts in</span>
+        <select value={settings.display} onChange={e => onChange({ ...settings, display: e.target.value })}>
+          <option value="">{currency.currencies.length > 1 ? "Most rows' currency" : 'Statement currency'} ({currency.currencies[0]})</option>
+          {CURRENCIES.map(c => <option key={c.code} value={c.code}>{c.code} · {c.label}</option>)}
+        </select>
+        <button type="button" className="link-btn" onClick={() => setOpen(o => !o)}>
+          {open ? 'Hide exchange rates' : `Exchange rates (${rates.length})`}
+        </button>
+      </div>
+      {currency.missing.length > 0 && (
+        <p className="error currency-missing">
+          <FaExclamationTriangle size={11} /> No {currency.missing.map(code => `${code} → ${currency.display}`).join(', ')} rate:
+          those rows are listed unconverted and left out of the totals. Add a rate below.
+        </p>
+      )}
+      {open && (
+        <>
+          {rates.length > 0 && (
+            <ul className="rule-list">
+              {rates.map(r => (
+                <li key={`${r.from}-${r.to}`}>
+                  <span className="rule-desc">1 {r.from} = {r.rate} {r.to}</span>
+                  <button
+                    type="button"
+                    className="icon-btn"
+                    onClick={() => onChange({ ...settings, rates: rates.filter(x => x !== r) })}
+                    title="Remove"
+                  >
+                    <FaTimes size={11} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <form className="rule-form" onSubmit={submit}>
+            <input placeholder="e.g. USD INR 83.50 — one per line when pasting several" value={text} onChange={e => setText(e.target.value)} />
+            <button type="submit" className="btn btn-primary">Add</button>
+            <label className="btn currency-import">
+              Import…
+              <input type="file" accept=".csv,.txt,.json" onChange={importFile} style={{ display: 'none' }} />
+            </label>
+          </form>
+          {skipped.length > 0 && <p className="error rule-error">Couldn't read: {skipped.join('; ')}</p>}
+          <p className="badge-muted">Rates are used as entered; they aren't fetched or updated. Converted rows keep their original amount.</p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CurrencySettings;
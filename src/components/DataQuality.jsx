@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { FaClipboardCheck, FaCheckCircle, FaExclamationTriangle, FaTimesCircle, FaMinusCircle } from 'react-icons/fa';
+
+const STATUS_ICON = {
+  pass: <FaCheckCircle color="#2e7d32" />,
+  fail: <FaTimesCircle color="#d32f2f" />,
+  skip: <FaMinusCircle color="#b0b4c3" />,
+};
+// Issues listed per statement before "show all"
+const MAX_ISSUES = 8;
+
+const errorCount = (integrity) => integrity.issues.filter(i => i.severity === 'error').length;
+
+/** Short status for a statement's reconciliation, as shown in the statement list. */
+export const IntegrityBadge = ({ integrity, onClick }) => {
+  if (!integrity) return null;
+  const errors = errorCount(integrity);
+  const warnings = integrity.issues.length - errors;
+  const verified = integrity.checks.some(c => c.status === 'pass');
+  const [className, text] = errors
+    ? ['integrity-badge integrity-fail', `${errors} problem${errors === 1 ? '' : 's'}`]
+    : warnings
+      ? ['integrity-badge integrity-warn', `${warnings} warning${warnings === 1 ? '' : 's'}`]
+      : verified ? ['integrity-badge integrity-pass', 'Balanced'] : ['integrity-badge', 'Unchecked'];
+  return onClick
+    ? <button type="button" className={className} onClick={onClick} title="Show checks">{text}</button>
+    : <span className={className}>{text}</span>;
+};
+
+const StatementChecks = ({ statement, open, onToggle }) => {
+  const [showAll, setShowAll] = useState(false);
+  const { checks, issues, order } = statement.integrity;
+  const shown = showAll ? issues : issues.slice(0, MAX_ISSUES);
+  return (
+    <div className="integrity-statement">
+      <button type="button" className="integrity-title" onClick={onToggle} aria-expanded={open}>
+        <span>{statement.source.name}</span>
+        <IntegrityBadge integrity={statement.integrity} />
+      </button>
+      {open && (
+        <div className="integrity-body">
+          <ul className="integrity-checks">
+            {checks.map(c => (
+              <li key={c.id} className={`integrity-check-${c.status}`}>
+                {STATUS_ICON[c.status]} <strong>{c.label}</strong> <span className="badge-muted">{c.detail}</span>
+              </li>
+            ))}
+          </ul>
+          {order === 'newest-first' && <p className="badge-muted">Rows are listed newest first in this file.</p>}
+          {issues.length > 0 && (
+            <ul className="integrity-issues">
+              {shown.map((issue, i) => (
+                <li key={i} className={`integrity-issue-${issue.severity}`}>
+                  {issue.severity === 'error' ? <FaTimesCircle color="#d32f2f" /> : <FaExclamationTriangle color="#f57c00" />}
+                  <span>{issue.message}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+          {issues.length > MAX_ISSUES && (
+            <button type="button" className="link-btn" onClick={() => setShowAll(s => !s)}>
+              {showAll ? 'Show fewer' : `Show all ${issues.length} issues`}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Running-balance and footer checks for each loaded statement. Statements with
+// problems start expanded; `focusId` opens one from the statement list.
+const DataQuality = ({ statements, focusId }) => {
+  const [toggled, setToggled] = useState({});
+  const checked = statements.filter(s => s.integrity);
+  if (checked.length === 0) return null;
+  const failing = checked.filter(s => errorCount(s.integrity) > 0);
+  const isOpen = (s) => toggled[s.id] ?? (s.id === focusId || errorCount(s.integrity) > 0);
+
+  return (
+    <div className="section-block data-quality">
+      <div className="section-header">
+        <FaClipboardCheck color="#4e54c8" />
+        <span>Data quality</span>
+        <span className="badge-muted integrity-summary">
+          {failing.length
+            ? `${checked.length === 1 ? 'This statement doesn\'t' : `${failing.length} of ${checked.length} statements don't`} add up — check the flagged rows before relying on totals`
+            : `Balances and totals checked against ${checked.length === 1 ? 'the statement' : `all ${checked.length} statements`}`}
+        </span>
+      </div>
+      {checked.map(s => (
+        <StatementChecks
+          key={s.id}
+          statement={s}
+          open={isOpen(s)}
+          onToggle={() => setToggled(t => ({ ...t, [s.id]: !isOpen(s) }))}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default DataQuality;
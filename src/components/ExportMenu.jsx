@@ -0,0 +1,48 @@
+import React, { useMemo, useState } from 'react';
+import { FaDownload, FaFileCsv, FaFileExcel, FaPrint } from 'react-icons/fa';
+import { buildExportTables, toCSV, toWorkbook, toISODate } from '../engine';
+import { downloadFile, downloadCSV, XLSX_TYPE } from '../lib/download';
+
+// Export menu: each table as CSV, everything as one workbook, or the print report
+const ExportMenu = ({ analysis, onPrint }) => {
+  const [open, setOpen] = useState(false);
+  // Built only while the menu is open; the transactions table can be large
+  const tables = useMemo(() => (open ? buildExportTables(analysis) : []), [open, analysis]);
+  const stamp = toISODate(new Date());
+
+  const exportCSV = (table) => {
+    downloadCSV(toCSV(table.rows), `statement-${table.id}-${stamp}.csv`);
+    setOpen(false);
+  };
+
+  const exportWorkbook = () => {
+    downloadFile(toWorkbook(tables), `statement-analysis-${stamp}.xlsx`, XLSX_TYPE);
+    setOpen(false);
+  };
+
+  const print = () => {
+    setOpen(false);
+    onPrint();
+  };
+
+  return (
+    <div className="export-menu">
+      <button type="button" className="btn" onClick={() => setOpen(o => !o)} aria-expanded={open}>
+        <FaDownload size={11} /> Export
+      </button>
+      {open && (
+        <ul className="export-options">
+          <li><button type="button" onClick={exportWorkbook}><FaFileExcel color="#2e7d32" /> Excel workbook (all tables)</button></li>
+          {tables.map(table => (
+            <li key={table.id}>
+              <button type="button" onClick={() => exportCSV(table)}><FaFileCsv color="#4e54c8" /> {table.name} (CSV)</button>
+            </li>
+          ))}
+          <li><button type="button" onClick={print}><FaPrint color="#6b7280" /> Printable report / PDF</button></li>
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
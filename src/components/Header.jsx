@@ -1,20 +1,35 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { FaBell, FaUserCircle, FaCog } from 'react-icons/fa';
+import AlertsMenu from './AlertsMenu';
 
-const Header = () => (
-  <header className="app-header">
-    <div className="app-header-inner">
-      <div className="app-title">
-        <span>Subscription & Expense Intelligence</span>
-        <span className="app-subtitle">Turn statements into savings insights</span>
-      </div>
-      <div className="app-actions">
-        <FaBell size={18} title="Alerts" />
-        <FaCog size={18} title="Settings" />
-        <FaUserCircle size={22} title="Profile" />
+const Header = ({ alerts = [] }) => {
+  const [alertsOpen, setAlertsOpen] = useState(false);
+
+  return (
+    <header className="app-header">
+      <div className="app-header-inner">
+        <div className="app-title">
+          <span>Subscription & Expense Intelligence</span>
+          <span className="app-subtitle">Turn statements into savings insights</span>
+        </div>
+        <div className="app-actions">
+          <button
+            type="button"
+            className="header-bell"
+            onClick={() => setAlertsOpen(open => !open)}
+            title="Alerts"
+            aria-expanded={alertsOpen}
+          >
+            <FaBell size={18} />
+            {alerts.length > 0 && <span className="bell-badge">{alerts.length}</span>}
+          </button>
+          <FaCog size={18} title="Settings" />
+          <FaUserCircle size={22} title="Profile" />
+          {alertsOpen && <AlertsMenu alerts={alerts} onClose={() => setAlertsOpen(false)} />}
+        </div>
       </div>
-    </div>
-  </header>
-);
+    </header>
+  );
+};
 
 export default Header;
@@ -0,0 +1,28 @@
+import React from 'react';
+
+const HeroState = () => (
+  <div className="hero-state">
+    <div className="hero-headline">Turn your bank statement into savings insights</div>
+    <div className="hero-sub">Instantly see subscriptions, top spending categories and biggest payments — processed privately, right here in your browser.</div>
+    <div className="hero-features">
+      <div className="hero-feature">
+        <div className="hero-feature-icon">💳</div>
+        <div className="hero-feature-title">Detect Subscriptions</div>
+        <div className="hero-feature-desc">Spots Netflix, Spotify, EMIs and hidden recurring charges automatically</div>
+      </div>
+      <div className="hero-feature">
+        <div className="hero-feature-icon">📊</div>
+        <div className="hero-feature-title">Spending Patterns</div>
+        <div className="hero-feature-desc">Top payees, monthly trends and largest payments at a glance</div>
+      </div>
+      <div className="hero-feature">
+        <div className="hero-feature-icon">🔒</div>
+        <div className="hero-feature-title">100% Private</div>
+        <div className="hero-feature-desc">Your bank data never leaves your browser. No accounts, no server uploads</div>
+      </div>
+    </div>
+    <div className="hero-cta-hint">↑ Upload your bank statement above to get started</div>
+  </div>
+);
+
+export default HeroState;
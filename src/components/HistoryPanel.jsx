@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { FaHistory, FaTrash } from 'react-icons/fa';
+import { fmt, formatDate, parseDate } from '../engine';
+
+const MIN_PASSPHRASE = 8;
+
+const period = ({ from, until }) =>
+  (from ? `${formatDate(parseDate(from, 'YMD'))} – ${formatDate(parseDate(until, 'YMD'))}` : '—');
+
+// Opt-in statement history: the on/off switch, saved uploads, the passphrase
+// and the "forget everything" control
+const HistoryPanel = ({ history, openIds, onReopen, onDelete, onForget }) => {
+  const [open, setOpen] = useState(false);
+  const [passphrase, setPassphrase] = useState('');
+  const [message, setMessage] = useState('');
+  const { enabled, status, encrypted, entries } = history;
+
+  const toggle = async (e) => {
+    if (e.target.checked) {
+      await history.enable();
+    } else if (window.confirm(`Stop remembering statements and delete the ${entries.length} saved on this device? Your settings stay in this browser, unencrypted.`)) {
+      await history.disable();
+    }
+  };
+
+  const protect = async (e) => {
+    e.preventDefault();
+    if (passphrase.length < MIN_PASSPHRASE) {
+      setMessage(`Use at least ${MIN_PASSPHRASE} characters.`);
+      return;
+    }
+    await history.protect(passphrase);
+    setPassphrase('');
+    setMessage(encrypted ? 'Passphrase changed.' : 'Saved statements and settings are now encrypted.');
+  };
+
+  const unprotect = async () => {
+    if (!window.confirm('Remove the passphrase? Saved statements and settings will be stored unencrypted.')) return;
+    await history.unprotect();
+    setMessage('Passphrase removed.');
+  };
+
+  return (
+    <div className="history-panel">
+      <div className="history-bar">
+        <label className="history-toggle">
+          <input type="checkbox" checked={enabled} onChange={toggle} disabled={status === 'loading'} />
+          Remember statements and settings on this device
+        </label>
+        {enabled && status === 'ready' && (
+          <button type="button" className="link-btn" onClick={() => setOpen(o => !o)}>
+            <FaHistory size={11} /> {open ? 'Hide history' : `History (${entries.length})`}
+          </button>
+        )}
+        <button type="button" className="link-btn history-forget" onClick={onForget}>Forget everything</button>
+      </div>
+      {enabled && status === 'error' && <p className="error">Saved statements could not be opened in this browser.</p>}
+
+      {open && status === 'ready' && (
+        <div className="section-block history-list">
+          {entries.length === 0 ? <p className="badge-muted">Nothing saved yet. Statements you upload are saved here automatically.</p> : (
+            <table className="table-compact">
+              <thead><tr><th>File</th><th>Account</th><th>Period</th><th>Rows</th><th>Saved</th><th /></tr></thead>
+              <tbody>
+                {entries.map(e => (
+                  <tr key={e.id}>
+                    <td title={e.name}>{e.name}</td>
+                    <td>{e.account}</td>
+                    <td className="date-cell">{period(e.summary)}</td>
+                    <td title={`Debits ${fmt(e.summary.debit)} · Credits ${fmt(e.summary.credit)}`}><span className="occ-badge">{e.summary.rows}</span></td>
+                    <td className="date-cell">{formatDate(new Date(e.savedAt))}</td>
+                    <td className="statement-actions">
+                      {openIds.includes(e.id)
+                        ? <span className="badge-muted">Open</span>
+                        : <button type="button" className="link-btn" onClick={() => onReopen(e.id)}>Reopen</button>}
+                      <button type="button" className="icon-btn" onClick={() => onDelete(e.id)} title="Delete from history"><FaTrash size={11} /></button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <form className="history-passphrase" onSubmit={protect}>
+            <span className="detail-label">{encrypted ? 'Encrypted with your passphrase' : 'Encrypt saved statements with a passphrase'}</span>
+            <input
+              type="password"
+              autoComplete="new-password"
+              placeholder={encrypted ? 'New passphrase' : 'Passphrase'}
+              value={passphrase}
+              onChange={e => setPassphrase(e.target.value)}
+            />
+            <button type="submit" className="btn" disabled={!passphrase}>{encrypted ? 'Change' : 'Encrypt'}</button>
+            {encrypted && <button type="button" className="link-btn" onClick={unprotect}>Remove passphrase</button>}
+          </form>
+          {message && <p className="badge-muted history-message">{message}</p>}
+          <p className="badge-muted history-note">There is no way to recover a forgotten passphrase.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HistoryPanel;
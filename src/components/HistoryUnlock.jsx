@@ -0,0 +1,35 @@
+import React, { useState } from 'react';
+import { FaLock } from 'react-icons/fa';
+
+// Saved statements are encrypted; ask for the passphrase before restoring them
+const HistoryUnlock = ({ onUnlock, onDismiss, onForget }) => {
+  const [passphrase, setPassphrase] = useState('');
+  const [incorrect, setIncorrect] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!passphrase) return;
+    setBusy(true);
+    const ok = await onUnlock(passphrase);
+    setBusy(false);
+    setIncorrect(!ok);
+  };
+
+  return (
+    <form className="section-block pdf-password" onSubmit={submit}>
+      <div className="section-header"><FaLock color="#4e54c8" /><span>Saved statements are locked</span></div>
+      <p className="badge-muted">
+        {incorrect ? 'That passphrase did not work. ' : ''}Enter your passphrase to reopen the statements saved on this device.
+      </p>
+      <div className="pdf-password-row">
+        <input type="password" autoFocus autoComplete="current-password" value={passphrase} onChange={e => setPassphrase(e.target.value)} placeholder="Passphrase" />
+        <button type="submit" className="btn btn-primary" disabled={!passphrase || busy}>{busy ? 'Unlocking…' : 'Unlock'}</button>
+        <button type="button" className="btn" onClick={onDismiss}>Not now</button>
+      </div>
+      <button type="button" className="link-btn history-forget" onClick={onForget}>Forgot it? Forget everything saved on this device</button>
+    </form>
+  );
+};
+
+export default HistoryUnlock;
@@ -0,0 +1,62 @@
+import React from 'react';
+import { FaArrowUp } from 'react-icons/fa';
+import { fmt, formatDate, CADENCES } from '../engine';
+
+const cadenceLabel = (id) => CADENCES.find(c => c.id === id)?.label || id;
+const KIND_LABEL = { salary: 'Salary', recurring: 'Recurring' };
+
+// Salary and other recurring credits, the rest of income, and refunds shown
+// apart since they only give back earlier spending
+const IncomeSources = ({ income, onExplore }) => {
+  const series = [...income.salary, ...income.recurring];
+  const other = income.total - income.recurringTotal;
+
+  return (
+    <div className="section-block income-block">
+      <div className="section-header">
+        <FaArrowUp color="#2e7d32" />
+        <span>Income</span>
+        <span className="sub-monthly-est">{fmt(income.total)} received{income.refunds.count > 0 && ` · ${fmt(income.refunds.total)} refunded`}</span>
+      </div>
+      {income.total === 0 && income.refunds.count === 0 ? <p className="badge-muted">No credits in this period.</p> : (
+        <table className="table-compact">
+          <thead><tr><th style={{ width: '40%' }}>Source</th><th>Type</th><th>Cycle</th><th>Times</th><th>Total</th><th>Last</th></tr></thead>
+          <tbody>
+            {series.map(s => (
+              <tr key={`${s.key}:${s.averageAmount}`} className="clickable-row" onClick={() => onExplore({ merchant: s.description, direction: 'credit' })}>
+                <td title={s.rawDescription}>{s.description}</td>
+                <td>{s.kind === 'salary' ? <span className="income-salary">{KIND_LABEL.salary}</span> : KIND_LABEL[s.kind]}</td>
+                <td className="date-cell">{cadenceLabel(s.cadence)} · ~{fmt(s.averageAmount)}</td>
+                <td><span className="occ-badge">{s.count}×</span></td>
+                <td className="amt-credit">{fmt(s.total)}</td>
+                <td className="date-cell">{formatDate(s.lastDate)}</td>
+              </tr>
+            ))}
+            {other > 0.005 && (
+              <tr className="clickable-row" onClick={() => onExplore({ direction: 'credit' })}>
+                <td>{series.length ? 'Other credits' : 'All credits'}</td>
+                <td>One-off</td>
+                <td className="date-cell">—</td>
+                <td />
+                <td className="amt-credit">{fmt(other)}</td>
+                <td />
+              </tr>
+            )}
+            {income.refunds.count > 0 && (
+              <tr className="clickable-row income-refunds" onClick={() => onExplore({ category: 'refunds', direction: 'credit' })}>
+                <td>Refunds &amp; reversals</td>
+                <td>Not income</td>
+                <td className="date-cell">—</td>
+                <td><span className="occ-badge">{income.refunds.count}×</span></td>
+                <td>{fmt(income.refunds.total)}</td>
+                <td />
+              </tr>
+            )}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default IncomeSources;
@@ -0,0 +1,253 @@
+import React, { useState } from 'react';
+import { FaCheckCircle, FaChevronDown, FaChevronRight, FaWallet, FaArrowDown, FaArrowUp, FaExchangeAlt, FaStore, FaBalanceScale } from 'react-icons/fa';
+import { fmt, formatDate, monthRange, CADENCES, SUBSCRIPTION_CONFIDENCE } from '../engine';
+import UpcomingCharges from './UpcomingCharges';
+import CategoryBreakdown from './CategoryBreakdown';
+import CategoryRules from './CategoryRules';
+import Budgets from './Budgets';
+import IncomeSources from './IncomeSources';
+import CashFlowChart from './CashFlowChart';
+import Transfers from './Transfers';
+import PayeeAliases from './PayeeAliases';
+import Subscriptions from './Subscriptions';
+import CreditCards from './CreditCards';
+import NeedsAttention from './NeedsAttention';
+import PeriodComparison from './PeriodComparison';
+import SpendTrends from './SpendTrends';
+
+const StatCard = ({ icon, label, value, sub, color, onClick }) => (
+  <div className={`stat-card${onClick ? ' stat-card-clickable' : ''}`} style={{ borderTop: `3px solid ${color}` }} onClick={onClick}>
+    <div className="stat-card-icon" style={{ color }}>{icon}</div>
+    <div className="stat-card-body">
+      <div className="stat-card-value">{value}</div>
+      <div className="stat-card-label">{label}</div>
+      {sub && <div className="stat-card-sub">{sub}</div>}
+    </div>
+  </div>
+);
+
+const MiniBar = ({ label, value, max, onClick, isOpen }) => (
+  <div className={`mini-bar-row${onClick ? ' mini-bar-clickable' : ''}${isOpen ? ' mini-bar-active' : ''}`} onClick={onClick}>
+    <div className="mini-bar-label" title={label}>
+      {onClick && <span className="expand-icon">{isOpen ? <FaChevronDown size={9}/> : <FaChevronRight size={9}/>}</span>}
+      {label}
+    </div>
+    <div className="mini-bar-track">
+      <div className="mini-bar-fill" style={{ width: `${Math.round((value / max) * 100)}%` }} />
+    </div>
+    <div className="mini-bar-value">{fmt(value)}</div>
+  </div>
+);
+
+const cadenceLabel = (id) => CADENCES.find(c => c.id === id)?.label || id;
+const pct = (n) => `${Math.round(n * 100)}%`;
+
+const ExploreLink = ({ onClick, children = 'View transactions →' }) => (
+  <button type="button" className="link-btn explore-link" onClick={onClick}>{children}</button>
+);
+
+const Insights = ({
+  analysis, categoryRules, onRulesChange, aliases, onAliasesChange, onBudgetsChange, transferSettings, onTransferSettingsChange,
+  subscriptionDecisions, onSubscriptionDecisionsChange, onRecategorize, onExplore,
+}) => {
+  const {
+    transactions, categories, recurring, renewals, subscriptions, payments, userStats, budgets, income, cashFlow, transfers, card,
+    anomalies, comparison, trends,
+  } = analysis;
+  const [openIndex, setOpenIndex] = useState(null);
+  const [openPaymentIndex, setOpenPaymentIndex] = useState(null);
+  const [openPayeeIndex, setOpenPayeeIndex] = useState(null);
+
+  const otherRecurring = recurring.filter(r => r.confidence < SUBSCRIPTION_CONFIDENCE);
+
+  const maxMerchant = userStats.topMerchants?.[0]?.total || 1;
+
+  return (
+    <div className="insights-wrap">
+
+      {/* Summary Stat Cards */}
+      <div className="stat-cards-row">
+        <StatCard icon={<FaArrowDown size={16}/>} label="Total Debited" value={fmt(userStats.totalSpent)} sub={`${userStats.paymentCount} transactions`} color="#e53935" onClick={() => onExplore({ direction: 'debit' })} />
+        <StatCard icon={<FaArrowUp size={16}/>} label="Total Credited" value={fmt(userStats.totalReceived)} sub={`${userStats.creditCount} transactions`} color="#2e7d32" onClick={() => onExplore({ direction: 'credit' })} />
+        <StatCard icon={<FaExchangeAlt size={16}/>} label="Avg Debit" value={fmt(userStats.avgTransaction)} sub="per transaction" color="#1565c0" />
+        <StatCard icon={<FaWallet size={16}/>} label="Largest Payment" value={fmt(userStats.largestPayment.amount)} sub={userStats.largestPayment.description?.slice(0, 28) || ''} color="#6a1b9a" onClick={() => onExplore({ direction: 'debit' }, { key: 'debit', dir: 'desc' })} />
+        <StatCard icon={<FaBalanceScale size={16}/>} label="Net Cash Flow" value={fmt(cashFlow.net)} sub={cashFlow.savingsRate === null ? 'no income' : `Savings rate ${pct(cashFlow.savingsRate)}`} color={cashFlow.net < 0 ? '#e53935' : '#00897b'} />
+      </div>
+
+      {/* Double charges, spikes and bank charges — shown only when found */}
+      {anomalies.length > 0 && <NeedsAttention anomalies={anomalies} onExplore={onExplore} />}
+
+      {/* Subscriptions & EMIs — shown only when detected */}
+      {subscriptions.items.length > 0 && (
+        <Subscriptions subscriptions={subscriptions} decisions={subscriptionDecisions} onDecisionsChange={onSubscriptionDecisionsChange} onExplore={onExplore} />
+      )}
+
+      {/* Other Recurring (or all Recurring when no subscriptions found) */}
+      <div className="section-block">
+        <div className="section-header">
+          <FaCheckCircle color="#4e54c8" />
+          <span>{subscriptions.items.length > 0 ? 'Other Recurring' : 'Recurring Payments'}</span>
+          {otherRecurring.length > 0 && <span className="count-badge">{otherRecurring.length}</span>}
+        </div>
+        {otherRecurring.length === 0 ? (
+          <p className="badge-muted">{subscriptions.items.length > 0 ? 'No other recurring payments.' : 'No recurring payments found.'}</p>
+        ) : (
+          <table className="table-compact">
+            <thead><tr><th style={{width:'45%'}}>Description</th><th>Cycle</th><th>Occurrences</th><th>Total Spent</th><th>Last Date</th></tr></thead>
+            <tbody>
+              {otherRecurring.sort((a,b) => b.total - a.total).map((r, i) => (
+                <React.Fragment key={i}>
+                  <tr onClick={() => setOpenIndex(openIndex === i ? null : i)} className="clickable-row">
+                    <td><span className="expand-icon">{openIndex === i ? <FaChevronDown size={10}/> : <FaChevronRight size={10}/>}</span>{r.description}</td>
+                    <td className="date-cell" title={`${pct(r.confidence)} confidence`}>{cadenceLabel(r.cadence)} <span className="confidence">{pct(r.confidence)}</span></td>
+                    <td><span className="occ-badge">{r.count}×</span></td>
+                    <td className="amt-debit">{fmt(r.total)}</td>
+                    <td className="date-cell">{formatDate(r.lastDate)}</td>
+                  </tr>
+                  {openIndex === i && (
+                    <tr className="detail-row">
+                      <td colSpan={5}>
+                        <div className="detail-grid">
+                          {r.details.map((d, idx) => (
+                            <div key={idx} className="detail-chip">
+                              <span>{formatDate(d.date) || '—'}</span>
+                              {typeof d.amount === 'number' && <span className="amt-debit">{fmt(d.amount)}</span>}
+                            </div>
+                          ))}
+                        </div>
+                        <ExploreLink onClick={() => onExplore({ merchant: r.description, direction: r.direction })} />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Salary, other income and refunds */}
+      <IncomeSources income={income} onExplore={onExplore} />
+
+      {/* Card statements: markup, fees and EMI plans */}
+      {card && <CreditCards card={card} onExplore={onExplore} />}
+
+      {/* Moves between own accounts */}
+      <Transfers transfers={transfers} settings={transferSettings} onSettingsChange={onTransferSettingsChange} onExplore={onExplore} />
+
+      {/* This period against the one before and a year earlier */}
+      {comparison && <PeriodComparison comparison={comparison} onExplore={onExplore} />}
+
+      {/* Monthly spending by category, trend and heatmap */}
+      {trends.months.length > 0 && <SpendTrends trends={trends} onExplore={onExplore} />}
+
+      {/* Category breakdown */}
+      {categories.length > 0 && (
+        <div>
+          <CategoryBreakdown categories={categories} onRecategorize={onRecategorize} onExplore={onExplore} />
+          <CategoryRules rules={categoryRules} onChange={onRulesChange} />
+          <PayeeAliases aliases={aliases} transactions={transactions} onChange={onAliasesChange} />
+        </div>
+      )}
+
+      {/* Monthly budgets */}
+      <Budgets budgets={budgets} transactions={transactions} onChange={onBudgetsChange} onExplore={onExplore} />
+
+      {/* Predicted renewals */}
+      {recurring.length > 0 && <UpcomingCharges recurring={recurring} renewals={renewals} />}
+
+      {/* Two-column layout for bottom sections */}
+      <div className="bottom-grid">
+
+        {/* Top Payments */}
+        <div className="section-block">
+          <div className="section-header"><FaArrowDown color="#e53935" /><span>Largest Payments</span></div>
+          {payments.length === 0 ? <p className="badge-muted">No major payments found.</p> : (
+            <table className="table-compact">
+              <thead><tr><th>Description</th><th>Amount</th><th>Date</th></tr></thead>
+              <tbody>
+                {payments.map((p, i) => (
+                  <React.Fragment key={i}>
+                    <tr onClick={() => setOpenPaymentIndex(openPaymentIndex === i ? null : i)} className="clickable-row">
+                      <td><span className="expand-icon">{openPaymentIndex === i ? <FaChevronDown size={10}/> : <FaChevronRight size={10}/>}</span>{p.displayName.slice(0, 38)}{p.displayName.length > 38 ? '\u2026' : ''}</td>
+                      <td className="amt-debit">{fmt(p.amount)}</td>
+                      <td className="date-cell">{formatDate(p.date)}</td>
+                    </tr>
+                    {openPaymentIndex === i && (
+                      <tr className="detail-row">
+                        <td colSpan={3}>
+                          <div className="payment-detail">
+                            <div className="payment-detail-item"><span className="detail-label">Full Description</span><span>{p.description}</span></div>
+                            {p.reference && <div className="payment-detail-item"><span className="detail-label">Reference / Cheque No.</span><span>{p.reference}</span></div>}
+                            {p.type && <div className="payment-detail-item"><span className="detail-label">Transaction Type</span><span>{p.type}</span></div>}
+                            {p.balance !== null && <div className="payment-detail-item"><span className="detail-label">Balance After</span><span className="amt-debit">{fmt(p.balance)}</span></div>}
+                          </div>
+                          <ExploreLink onClick={() => onExplore({ merchant: p.displayName, direction: 'debit' })}>All payments to {p.displayName} →</ExploreLink>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {/* Right column: merchants + monthly */}
+        <div style={{display:'flex',flexDirection:'column',gap:'0.8rem'}}>
+
+          {/* Top Merchants */}
+          {userStats.topMerchants?.length > 0 && (
+            <div className="section-block">
+              <div className="section-header"><FaStore color="#f57c00" /><span>Top Payees by Spend</span></div>
+              <div className="mini-bars">
+                {userStats.topMerchants.map((m, i) => (
+                  <React.Fragment key={i}>
+                    <MiniBar
+                      label={m.name.slice(0, 32)}
+                      value={m.total}
+                      max={maxMerchant}
+                      onClick={() => setOpenPayeeIndex(openPayeeIndex === i ? null : i)}
+                      isOpen={openPayeeIndex === i}
+                    />
+                    {openPayeeIndex === i && m.transactions && (
+                      <div className="payee-detail">
+                        <table className="table-compact">
+                          <thead><tr><th>Date</th><th>Amount</th></tr></thead>
+                          <tbody>
+                            {[...m.transactions].sort((a, b) => b.amount - a.amount).map((t, idx) => (
+                              <tr key={idx}>
+                                <td className="date-cell">{formatDate(t.date) || '\u2014'}</td>
+                                <td className="amt-debit">{fmt(t.amount)}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                        <ExploreLink onClick={() => onExplore({ merchant: m.name, direction: 'debit' })} />
+                      </div>
+                    )}
+                  </React.Fragment>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Cash Flow */}
+          {cashFlow.months.length > 0 && (
+            <div className="section-block">
+              <div className="section-header">
+                <FaBalanceScale color="#00897b" />
+                <span>Cash Flow (Last 6)</span>
+                {cashFlow.savingsRate !== null && <span className="sub-monthly-est">saved {pct(cashFlow.savingsRate)} overall</span>}
+              </div>
+              <CashFlowChart months={cashFlow.months.slice(-6)} onMonthClick={m => onExplore(monthRange(m.key))} />
+            </div>
+          )}
+
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Insights;
@@ -0,0 +1,66 @@
+import React from 'react';
+import { FaClone, FaChartLine, FaUserPlus, FaPercent, FaExclamationCircle } from 'react-icons/fa';
+import { fmt, formatDate, toISODate, DUPLICATE_WINDOW_DAYS } from '../engine';
+
+// Fee kinds can run to a charge a month; show this many and link to the rest
+const MAX_CHIPS = 8;
+
+const FINDING_VIEW = {
+  duplicate: {
+    icon: <FaClone color="#c62828" />,
+    text: f => `${f.merchant} charged ${fmt(f.amount)} twice ${f.days === 0 ? 'on the same day' : `${f.days} day${f.days === 1 ? '' : 's'} apart`}`,
+    hint: `Same payee, same amount, within ${DUPLICATE_WINDOW_DAYS} days, and not refunded.`,
+  },
+  spike: {
+    icon: <FaChartLine color="#f57c00" />,
+    text: f => `${fmt(f.amount)} to ${f.merchant} on ${formatDate(f.date)} — usually about ${fmt(f.usual)}`,
+  },
+  fee: {
+    icon: <FaPercent color="#757575" />,
+    text: f => `${f.label}: ${fmt(f.amount)} over ${f.transactions.length} charge${f.transactions.length === 1 ? '' : 's'}`,
+  },
+  'new-payee': {
+    icon: <FaUserPlus color="#1565c0" />,
+    text: f => `First payment to ${f.merchant}: ${fmt(f.amount)} on ${formatDate(f.date)}`,
+  },
+};
+
+// One transaction, exactly: its payee on its day
+const exploreOne = (tx) => ({ merchant: tx.merchant, direction: 'debit', ...(tx.date && { from: toISODate(tx.date), until: toISODate(tx.date) }) });
+
+// Double charges, unusual spikes, large first payments to new payees and the
+// bank's own charges, each with links to the transactions behind it
+const NeedsAttention = ({ anomalies, onExplore }) => (
+  <div className="section-block needs-attention">
+    <div className="section-header">
+      <FaExclamationCircle color="#c62828" />
+      <span>Needs Attention</span>
+      <span className="count-badge">{anomalies.length}</span>
+    </div>
+    <ul className="attention-list">
+      {anomalies.map(f => (
+        <li key={f.id} className={`attention-item attention-${f.kind}`}>
+          {FINDING_VIEW[f.kind].icon}
+          <div>
+            <span title={FINDING_VIEW[f.kind].hint}>{FINDING_VIEW[f.kind].text(f)}</span>
+            <div className="detail-grid">
+              {f.transactions.slice(0, MAX_CHIPS).map((tx, i) => (
+                <button key={i} type="button" className="detail-chip attention-chip" onClick={() => onExplore(exploreOne(tx))} title={tx.description}>
+                  <span>{formatDate(tx.date) || '—'}</span>
+                  <span className="amt-debit">{fmt(tx.debit)}</span>
+                </button>
+              ))}
+              {f.transactions.length > MAX_CHIPS && (
+                <button type="button" className="link-btn" onClick={() => onExplore({ category: 'fees', direction: 'debit' })}>
+                  +{f.transactions.length - MAX_CHIPS} more →
+                </button>
+              )}
+            </div>
+          </div>
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+export default NeedsAttention;
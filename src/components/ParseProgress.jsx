@@ -0,0 +1,30 @@
+import React from 'react';
+
+const count = (n) => n.toLocaleString('en-IN');
+
+const stageText = ({ stage, done, total }, format) => {
+  if (stage === 'rows') return `Reading rows ${count(done)} of ${count(total)}`;
+  if (stage === 'checking') return 'Checking balances';
+  if (format === 'pdf' && total) return `Reading page ${done + 1} of ${total}`;
+  return 'Reading file';
+};
+
+// Progress through the current file and the files queued behind it
+const ParseProgress = ({ progress, onCancel }) => {
+  const { name, format, index, count: files, stage, done, total } = progress;
+  const fraction = total ? done / total : undefined;
+  return (
+    <div className="parse-progress" role="status">
+      <div className="parse-progress-text">
+        <span>
+          {files > 1 && <span className="badge-muted">File {index + 1} of {files} · </span>}
+          <strong title={name}>{name}</strong> — {stage ? stageText(progress, format) : 'Starting'}…
+        </span>
+        <button type="button" className="link-btn" onClick={onCancel}>Cancel</button>
+      </div>
+      <progress value={stage === 'checking' ? 1 : fraction} max={1} />
+    </div>
+  );
+};
+
+export default ParseProgress;
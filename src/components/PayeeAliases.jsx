@@ -0,0 +1,80 @@
+import React, { useMemo, useState } from 'react';
+import { FaTimes } from 'react-icons/fa';
+
+const newAliasId = () => `alias:${Date.now().toString(36)}`;
+
+const EMPTY = { match: '', name: '' };
+
+const validate = (form, aliases) => {
+  if (!form.match.trim() || !form.name.trim()) return 'Enter the payee or UPI ID and the name to show.';
+  if (aliases.some(a => a.match.toLowerCase() === form.match.trim().toLowerCase())) return 'That payee already has a name.';
+  return '';
+};
+
+// The user's names for payees: merge spellings ("SWIGGY INSTAMART" → Swiggy)
+// or name a bare UPI ID ("landlord@okaxis" → Landlord)
+const PayeeAliases = ({ aliases, transactions, onChange }) => {
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState(EMPTY);
+  const [error, setError] = useState('');
+  const set = (field) => (e) => setForm(f => ({ ...f, [field]: e.target.value }));
+
+  // Payee names and UPI IDs as they appear now, for the suggestions
+  const payees = useMemo(() => {
+    const names = new Set();
+    transactions.forEach(tx => {
+      names.add(tx.merchant);
+      if (tx.vpa) names.add(tx.vpa);
+    });
+    return [...names].sort((a, b) => a.localeCompare(b));
+  }, [transactions]);
+  const shown = useMemo(() => [...new Set(transactions.map(tx => tx.merchant))].sort((a, b) => a.localeCompare(b)), [transactions]);
+
+  const addAlias = (e) => {
+    e.preventDefault();
+    const problem = validate(form, aliases);
+    setError(problem);
+    if (problem) return;
+    onChange([...aliases, { id: newAliasId(), match: form.match.trim(), name: form.name.trim() }]);
+    setForm(EMPTY);
+  };
+
+  return (
+    <div className="category-rules">
+      <button type="button" className="link-btn" onClick={() => setOpen(o => !o)}>
+        {open ? 'Hide payee names' : `Payee names (${aliases.length})`}
+      </button>
+      {open && (
+        <>
+          {aliases.length === 0
+            ? <p className="badge-muted">Give a payee the name you know it by, or merge two spellings of one payee. UPI IDs work too.</p>
+            : (
+              <ul className="rule-list">
+                {aliases.map(a => (
+                  <li key={a.id}>
+                    <strong>{a.name}</strong>
+                    <span className="rule-desc">for {a.match}</span>
+                    <button type="button" className="icon-btn" onClick={() => onChange(aliases.filter(x => x.id !== a.id))} title="Remove name"><FaTimes size={11} /></button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          <form className="rule-form" onSubmit={addAlias}>
+            <input list="alias-payees" placeholder="Payee or UPI ID, e.g. Swiggy Instamart" value={form.match} onChange={set('match')} />
+            <datalist id="alias-payees">
+              {payees.map(p => <option key={p} value={p} />)}
+            </datalist>
+            <input list="alias-names" placeholder="Show as, e.g. Swiggy" value={form.name} onChange={set('name')} />
+            <datalist id="alias-names">
+              {shown.map(p => <option key={p} value={p} />)}
+            </datalist>
+            <button type="submit" className="btn btn-primary">Add name</button>
+          </form>
+          {error && <p className="error rule-error">{error}</p>}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PayeeAliases;
@@ -0,0 +1,29 @@
+import React, { useState } from 'react';
+import { FaLock } from 'react-icons/fa';
+
+// Indian banks email e-statements locked with a password (often a mix of
+// name and date of birth). The password is only handed to pdf.js in-page.
+const PdfPasswordPrompt = ({ fileName, incorrect, onSubmit, onCancel }) => {
+  const [password, setPassword] = useState('');
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (password) onSubmit(password);
+  };
+
+  return (
+    <form className="section-block pdf-password" onSubmit={submit}>
+      <div className="section-header"><FaLock color="#4e54c8" /><span>Password protected PDF</span></div>
+      <p className="badge-muted">
+        {incorrect ? 'That password did not work. ' : ''}Enter the password for <strong>{fileName}</strong> to read it.
+      </p>
+      <div className="pdf-password-row">
+        <input type="password" autoFocus autoComplete="off" value={password} onChange={e => setPassword(e.target.value)} placeholder="PDF password" />
+        <button type="submit" className="btn btn-primary" disabled={!password}>Unlock</button>
+        <button type="button" className="btn" onClick={onCancel}>Cancel</button>
+      </div>
+    </form>
+  );
+};
+
+export default PdfPasswordPrompt;
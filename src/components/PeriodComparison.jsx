@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { FaBalanceScaleRight } from 'react-icons/fa';
+import { fmt, toISODate } from '../engine';
+
+// Before the statements start a zero is missing data, not nothing spent
+const noData = (figure, covered) => !covered && !figure.previous;
+
+const Before = ({ figure, covered }) => (noData(figure, covered) ? 'no data' : fmt(figure.previous));
+
+// "+12%" against the baseline. Spending going up is bad news, income going up good.
+const Delta = ({ figure, covered = true, upIsGood = false }) => {
+  if (noData(figure, covered)) return <span className="delta delta-flat">no data</span>;
+  if (figure.pct === null) return <span className="delta delta-flat">{figure.current ? 'new' : '—'}</span>;
+  const rounded = Math.round(figure.pct * 100);
+  if (rounded === 0) return <span className="delta delta-flat">±0%</span>;
+  const good = (rounded > 0) === upIsGood;
+  return <span className={`delta ${good ? 'delta-good' : 'delta-bad'}`}>{rounded > 0 ? '+' : '−'}{Math.abs(rounded)}%</span>;
+};
+
+const TOTALS = [
+  { key: 'spent', label: 'Spent' },
+  { key: 'received', label: 'Received', upIsGood: true },
+  { key: 'net', label: 'Net', upIsGood: true },
+];
+
+// The period next to the one before it and the same one a year earlier:
+// totals, every category, and the payees that moved most
+const PeriodComparison = ({ comparison, onExplore }) => {
+  const [baselineId, setBaselineId] = useState('previous');
+  const baseline = comparison.baselines.find(b => b.id === baselineId);
+  const range = { from: toISODate(comparison.from), until: toISODate(comparison.until) };
+
+  return (
+    <div className="section-block period-comparison">
+      <div className="section-header">
+        <FaBalanceScaleRight color="#4e54c8" />
+        <span>Period Comparison</span>
+        <span className="sub-monthly-est">{comparison.label}</span>
+        <div className="comparison-tabs">
+          {comparison.baselines.map(b => (
+            <button key={b.id} type="button" className={`comparison-tab${b.id === baselineId ? ' comparison-tab-active' : ''}`} onClick={() => setBaselineId(b.id)}>
+              {b.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      {baseline.empty ? (
+        <p className="badge-muted">No statements cover {baseline.range}. Add them to compare.</p>
+      ) : (
+        <>
+          <p className="badge-muted">
+            Against {baseline.range}{!baseline.covered && ' — the statements start partway through it, so its figures are incomplete'}.
+          </p>
+          <div className="comparison-totals">
+            {TOTALS.map(t => (
+              <div key={t.key} className="comparison-total">
+                <span className="detail-label">{t.label}</span>
+                <span className="comparison-value">{fmt(baseline.totals[t.key].current)}</span>
+                <span className="badge-muted">was <Before figure={baseline.totals[t.key]} covered={baseline.covered} /> <Delta figure={baseline.totals[t.key]} covered={baseline.covered} upIsGood={t.upIsGood} /></span>
+              </div>
+            ))}
+          </div>
+          <div className="bottom-grid">
+            <table className="table-compact">
+              <thead><tr><th>Category</th><th>Now</th><th>Before</th><th>Change</th></tr></thead>
+              <tbody>
+                {baseline.categories.map(c => (
+                  <tr key={c.id} className={c.current ? 'clickable-row' : undefined} onClick={c.current ? () => onExplore({ ...range, category: c.id, direction: 'debit' }) : undefined}>
+                    <td><span className="category-dot" style={{ background: c.color }} />{c.label}</td>
+                    <td className="amt-debit">{fmt(c.current)}</td>
+                    <td className="date-cell"><Before figure={c} covered={baseline.covered} /></td>
+                    <td><Delta figure={c} covered={baseline.covered} /></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <table className="table-compact">
+              <thead><tr><th>Payee</th><th>Now</th><th>Before</th><th>Change</th></tr></thead>
+              <tbody>
+                {baseline.payees.map(p => (
+                  <tr key={p.name} className={p.current ? 'clickable-row' : undefined} onClick={p.current ? () => onExplore({ ...range, merchant: p.name, direction: 'debit' }) : undefined}>
+                    <td>{p.name.slice(0, 28)}{p.name.length > 28 ? '…' : ''}</td>
+                    <td className="amt-debit">{fmt(p.current)}</td>
+                    <td className="date-cell"><Before figure={p} covered={baseline.covered} /></td>
+                    <td><Delta figure={p} covered={baseline.covered} /></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PeriodComparison;
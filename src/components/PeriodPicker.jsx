@@ -0,0 +1,31 @@
+import React from 'react';
+import { PERIODS, toISODate, rangeLabel } from '../engine';
+
+// The dates every dashboard figure covers. Presets count back from the last
+// month in the statements; a custom range starts from whatever is showing.
+const PeriodPicker = ({ value, period, onChange }) => {
+  const choose = (preset) => {
+    if (preset !== 'custom') return onChange({ ...value, preset });
+    return onChange({ preset, from: toISODate(period.from || period.first), until: toISODate(period.until || period.last) });
+  };
+
+  return (
+    <div className="account-filter period-picker">
+      <span className="detail-label">Period</span>
+      <select value={value.preset} onChange={e => choose(e.target.value)}>
+        {PERIODS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+      </select>
+      {value.preset === 'custom' ? (
+        <>
+          <input type="date" value={value.from} min={toISODate(period.first)} max={value.until || toISODate(period.last)} onChange={e => onChange({ ...value, from: e.target.value })} />
+          <span className="badge-muted">to</span>
+          <input type="date" value={value.until} min={value.from || toISODate(period.first)} max={toISODate(period.last)} onChange={e => onChange({ ...value, until: e.target.value })} />
+        </>
+      ) : (
+        period.from && <span className="badge-muted">{rangeLabel(period)}</span>
+      )}
+    </div>
+  );
+};
+
+export default PeriodPicker;
@@ -0,0 +1,132 @@
+import React, { useEffect, useEffectEvent } from 'react';
+import { createPortal } from 'react-dom';
+import { fmt, formatDate, buildExportTables, CADENCES, SUBSCRIPTION_CONFIDENCE } from '../engine';
+
+const cadenceLabel = (id) => CADENCES.find(c => c.id === id)?.label || id;
+const pct = (n) => `${Math.round(n * 100)}%`;
+// Payees listed in the report; the Excel export has them all
+const MAX_PAYEES = 15;
+
+const Table = ({ head, rows, numeric = [] }) => (
+  <table>
+    <thead><tr>{head.map((h, i) => <th key={i} className={numeric.includes(i) ? 'num' : ''}>{h}</th>)}</tr></thead>
+    <tbody>
+      {rows.map((row, r) => (
+        <tr key={r}>{row.map((cell, i) => <td key={i} className={numeric.includes(i) ? 'num' : ''}>{cell}</td>)}</tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+// Print-only copy of the dashboard for saving as PDF: plain tables, nothing
+// collapsed, no controls. Rendered outside #root, which print CSS hides.
+const PrintReport = ({ analysis, accounts, onDone }) => {
+  const { transactions, categories, recurring, renewals, payments, userStats, income, cashFlow } = analysis;
+  const [, , payees, monthly] = buildExportTables(analysis);
+  const dated = transactions.filter(tx => tx.date).map(tx => tx.date.getTime());
+  const spend = categories.reduce((s, c) => s + c.total, 0) || 1;
+
+  const print = useEffectEvent(() => {
+    window.addEventListener('afterprint', onDone, { once: true });
+    window.print();
+  });
+  useEffect(() => {
+    print();
+  }, []);
+
+  return createPortal(
+    <div className="print-report">
+      <h1>Statement Analysis Report</h1>
+      <p className="print-meta">
+        {dated.length > 0 && <>Period {formatDate(new Date(Math.min(...dated)))} – {formatDate(new Date(Math.max(...dated)))} · </>}
+        {accounts.length > 0 && <>{accounts.join(', ')} · </>}
+        {transactions.length} transactions · Generated {formatDate(new Date())}
+      </p>
+
+      <h2>Summary</h2>
+      <Table
+        head={['Total debited', 'Total credited', 'Net', 'Average debit', 'Largest payment']}
+        rows={[[
+          fmt(userStats.totalSpent), fmt(userStats.totalReceived), fmt(userStats.totalReceived - userStats.totalSpent),
+          fmt(userStats.avgTransaction), `${fmt(userStats.largestPayment.amount)} ${userStats.largestPayment.description}`,
+        ]]}
+      />
+
+      {categories.length > 0 && (
+        <>
+          <h2>Spending by category</h2>
+          <Table
+            head={['Category', 'Payments', 'Total', 'Share']}
+            numeric={[1, 2, 3]}
+            rows={categories.map(c => [c.label, c.count, fmt(c.total), pct(c.total / spend)])}
+          />
+        </>
+      )}
+
+      {recurring.length > 0 && (
+        <>
+          <h2>Subscriptions &amp; recurring payments</h2>
+          <Table
+            head={['Payee', 'Cycle', 'Type', 'Times', 'Per month', 'Total', 'Last paid']}
+            numeric={[3, 4, 5]}
+            rows={recurring.map(r => [
+              r.description, cadenceLabel(r.cadence), r.confidence >= SUBSCRIPTION_CONFIDENCE ? 'Subscription / EMI' : `Recurring (${pct(r.confidence)})`,
+              r.count, fmt(r.monthlyAmount), fmt(r.total), formatDate(r.lastDate),
+            ])}
+          />
+        </>
+      )}
+
+      {renewals.upcoming.length > 0 && (
+        <>
+          <h2>Expected in the next 30 days</h2>
+          <Table
+            head={['Date', 'Payee', 'Amount']}
+            numeric={[2]}
+            rows={renewals.upcoming.map(c => [formatDate(c.date), c.description, fmt(c.amount)])}
+          />
+        </>
+      )}
+
+      {cashFlow.months.length > 0 && (
+        <>
+          <h2>Cash flow</h2>
+          {income.salary.length > 0 && (
+            <p className="print-meta">Salary: {income.salary.map(s => `${s.description} (~${fmt(s.averageAmount)} ${cadenceLabel(s.cadence).toLowerCase()})`).join(', ')}</p>
+          )}
+          <Table
+            head={['Month', 'In', 'Out (after refunds)', 'Refunds', 'Net', 'Savings rate']}
+            numeric={[1, 2, 3, 4, 5]}
+            rows={[...cashFlow.months, { month: 'Total', ...cashFlow, refunds: income.refunds.total }].map(m => [
+              m.month, fmt(m.inflow), fmt(m.outflow), fmt(m.refunds), fmt(m.net), m.savingsRate === null ? '—' : pct(m.savingsRate),
+            ])}
+          />
+        </>
+      )}
+
+      <h2>Monthly totals</h2>
+      <Table head={monthly.rows[0]} numeric={[1, 2, 3]} rows={monthly.rows.slice(1).map(([m, ...nums]) => [m, ...nums.map(fmt)])} />
+
+      <h2>Top payees</h2>
+      <Table
+        head={payees.rows[0]}
+        numeric={[2, 3]}
+        rows={payees.rows.slice(1, MAX_PAYEES + 1).map(([name, category, count, total]) => [name, category, count, fmt(total)])}
+      />
+
+      {payments.length > 0 && (
+        <>
+          <h2>Largest payments</h2>
+          <Table
+            head={['Date', 'Description', 'Reference', 'Amount']}
+            numeric={[3]}
+            rows={payments.map(p => [formatDate(p.date), p.description, p.reference, fmt(p.amount)])}
+          />
+        </>
+      )}
+    </div>,
+    document.body,
+  );
+};
+
+export default PrintReport;
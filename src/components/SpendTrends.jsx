@@ -0,0 +1,143 @@
+import React from 'react';
+import { FaChartBar } from 'react-icons/fa';
+import { fmt, shortAmount, monthRange, WEEKDAYS, MONTH_PARTS } from '../engine';
+
+const WIDTH = 640;
+const HEIGHT = 170;
+const AXIS = 16;
+const TOP = 12;
+
+// Every month gets a slot; with many months only every nth is labelled
+const monthLabels = (months) => {
+  const every = Math.ceil(months.length / 12);
+  return months.map((m, i) => (i % every === 0 ? m.month.split(' ')[0] : ''));
+};
+
+// A month's category bands from the bottom of the plot up
+const stack = (month, series, bottom, scale) => {
+  const bands = [];
+  let y = bottom;
+  series.filter(s => month.categories[s.id]).forEach(s => {
+    const height = month.categories[s.id] * scale;
+    y -= height;
+    bands.push({ ...s, y, height, total: month.categories[s.id] });
+  });
+  return bands;
+};
+
+// Spending per month, stacked by category
+const StackedBars = ({ months, series, onExplore }) => {
+  const plot = HEIGHT - AXIS;
+  const max = Math.max(1, ...months.map(m => m.spent));
+  const slot = WIDTH / months.length;
+  const bar = Math.min(32, slot * 0.7);
+  const labels = monthLabels(months);
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="cash-flow-chart" role="img" aria-label="Monthly spending by category">
+      <line x1={0} x2={WIDTH} y1={plot} y2={plot} className="cash-flow-axis" />
+      <text x={0} y={TOP - 3} className="cash-flow-label">{shortAmount(max)}</text>
+      {months.map((m, i) => {
+        const x = slot * i + (slot - bar) / 2;
+        return (
+          <g key={m.key} className="cash-flow-month cash-flow-clickable">
+            <rect x={slot * i} y={0} width={slot} height={HEIGHT} className="cash-flow-hit" onClick={() => onExplore({ ...monthRange(m.key), direction: 'debit' })}>
+              <title>{`${m.month}: ${fmt(m.spent)}`}</title>
+            </rect>
+            {stack(m, series, plot, (plot - TOP) / max).map(b => (
+              <rect
+                key={b.id} x={x} y={b.y} width={bar} height={b.height} fill={b.color}
+                onClick={() => onExplore({ ...monthRange(m.key), direction: 'debit', ...(b.id !== 'rest' && { category: b.id }) })}
+              >
+                <title>{`${m.month} · ${b.label}: ${fmt(b.total)}`}</title>
+              </rect>
+            ))}
+            <text x={slot * i + slot / 2} y={HEIGHT - 4} textAnchor="middle" className="cash-flow-label">{labels[i]}</text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+// Monthly spending and income as lines
+const TrendLine = ({ months, onExplore }) => {
+  const plot = HEIGHT - AXIS;
+  const max = Math.max(1, ...months.flatMap(m => [m.spent, m.received]));
+  const slot = WIDTH / months.length;
+  const x = (i) => slot * i + slot / 2;
+  const y = (value) => plot - (value / max) * (plot - TOP);
+  const points = (key) => months.map((m, i) => `${x(i)},${y(m[key])}`).join(' ');
+  const labels = monthLabels(months);
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="cash-flow-chart" role="img" aria-label="Monthly spending and income trend">
+      <line x1={0} x2={WIDTH} y1={plot} y2={plot} className="cash-flow-axis" />
+      <text x={0} y={TOP - 3} className="cash-flow-label">{shortAmount(max)}</text>
+      <polyline points={points('received')} className="trend-line trend-received" />
+      <polyline points={points('spent')} className="trend-line trend-spent" />
+      {months.map((m, i) => (
+        <g key={m.key} className="cash-flow-month cash-flow-clickable" onClick={() => onExplore({ ...monthRange(m.key), direction: 'debit' })}>
+          <title>{`${m.month}\nSpent ${fmt(m.spent)}\nReceived ${fmt(m.received)}`}</title>
+          <rect x={slot * i} y={0} width={slot} height={HEIGHT} className="cash-flow-hit" />
+          <circle cx={x(i)} cy={y(m.spent)} r={3} className="trend-dot" />
+          <text x={x(i)} y={HEIGHT - 4} textAnchor="middle" className="cash-flow-label">{labels[i]}</text>
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+// Spending by day of week against part of the month: a darker cell is more money
+const SpendHeatmap = ({ heatmap }) => (
+  <table className="spend-heatmap">
+    <thead>
+      <tr><th />{MONTH_PARTS.map(p => <th key={p.label}>{p.label}</th>)}</tr>
+    </thead>
+    <tbody>
+      {WEEKDAYS.map((day, d) => (
+        <tr key={day}>
+          <th>{day}</th>
+          {heatmap.cells[d].map((cell, p) => (
+            <td
+              key={p}
+              style={{ background: cell.total ? `rgba(229, 57, 53, ${0.08 + 0.82 * (cell.total / heatmap.max)})` : undefined }}
+              title={`${day}, ${MONTH_PARTS[p].label}: ${fmt(cell.total)} over ${cell.count} payment${cell.count === 1 ? '' : 's'}`}
+            />
+          ))}
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+// Where the period's money went month by month, how spending and income are
+// trending, and which days of the week and month the spending lands on
+const SpendTrends = ({ trends, onExplore }) => (
+  <div className="section-block spend-trends">
+    <div className="section-header"><FaChartBar color="#1565c0" /><span>Spending Trends</span></div>
+    <div className="trend-grid">
+      <div>
+        <div className="detail-label">By category, per month</div>
+        <StackedBars months={trends.months} series={trends.series} onExplore={onExplore} />
+        <div className="cash-flow-legend trend-legend">
+          {trends.series.map(s => <span key={s.id}><i className="cash-flow-swatch" style={{ background: s.color }} /> {s.label}</span>)}
+        </div>
+      </div>
+      <div>
+        <div className="detail-label">Trend</div>
+        <TrendLine months={trends.months} onExplore={onExplore} />
+        <div className="cash-flow-legend">
+          <span><i className="cash-flow-swatch cash-flow-out" /> Spent</span>
+          <span><i className="cash-flow-swatch cash-flow-in" /> Received</span>
+        </div>
+      </div>
+      {trends.heatmap.max > 0 && (
+        <div>
+          <div className="detail-label">When the money goes</div>
+          <SpendHeatmap heatmap={trends.heatmap} />
+        </div>
+      )}
+    </div>
+  </div>
+);
+
+export default SpendTrends;
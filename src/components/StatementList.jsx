@@ -0,0 +1,72 @@
+import React from 'react';
+import { FaFileAlt, FaTimes } from 'react-icons/fa';
+import { DATE_ORDERS, DEFAULT_CURRENCY, formatDate, fmt } from '../engine';
+import { IntegrityBadge } from './DataQuality';
+
+// A card statement's bill: its period, and what's due by when (in the card's own currency)
+const CardBill = ({ card, currency }) => (
+  <div className="statement-dates statement-bill">
+    Card bill{card.periodFrom && ` ${formatDate(card.periodFrom)} – ${formatDate(card.periodTo)}`}
+    {card.totalDue !== undefined && ` · ${fmt(card.totalDue, currency)} due`}
+    {card.dueDate && ` by ${formatDate(card.dueDate)}`}
+    {card.minimumDue !== undefined && ` (min ${fmt(card.minimumDue, currency)})`}
+  </div>
+);
+
+const dateRange = (transactions) => {
+  const dated = transactions.filter(tx => tx.date);
+  if (dated.length === 0) return '—';
+  const times = dated.map(tx => tx.date.getTime());
+  return `${formatDate(new Date(Math.min(...times)))} – ${formatDate(new Date(Math.max(...times)))}`;
+};
+
+// Loaded statements, each with an editable account label. Files that share a
+// label are treated as one account when merging.
+const StatementList = ({ statements, duplicates, onRename, onRemove, onFixColumns, onShowChecks, onClear }) => (
+  <div className="section-block statement-list">
+    <div className="section-header">
+      <FaFileAlt color="#4e54c8" />
+      <span>Loaded statements</span>
+      <span className="count-badge">{statements.length}</span>
+      {duplicates > 0 && <span className="badge-muted statement-dupes">{duplicates} overlapping rows merged</span>}
+      <button type="button" className="link-btn statement-clear" onClick={onClear}>Clear all</button>
+    </div>
+    <table className="table-compact">
+      <thead><tr><th>File</th><th>Account</th><th>Format</th><th>Period</th><th>Rows</th><th>Checks</th><th /></tr></thead>
+      <tbody>
+        {statements.map(s => (
+          <tr key={s.id}>
+            <td title={s.source.name}>{s.source.name}</td>
+            <td>
+              <input
+                className="account-input"
+                value={s.account}
+                onChange={e => onRename(s.id, e.target.value)}
+                aria-label={`Account label for ${s.source.name}`}
+              />
+            </td>
+            <td className="date-cell">
+              {s.profile ? s.profile.name : 'Auto-detected'}{s.format === 'pdf' ? ' (PDF)' : ''}
+              <div className="statement-dates">
+                dates {DATE_ORDERS[s.dateOrder]}
+                {s.currency && s.currency !== DEFAULT_CURRENCY && ` · amounts in ${s.currency}`}
+              </div>
+            </td>
+            <td className="date-cell">
+              {dateRange(s.transactions)}
+              {s.card && Object.keys(s.card).length > 0 && <CardBill card={s.card} currency={s.currency} />}
+            </td>
+            <td><span className="occ-badge">{s.transactions.length}</span></td>
+            <td><IntegrityBadge integrity={s.integrity} onClick={() => onShowChecks(s.id)} /></td>
+            <td className="statement-actions">
+              <button type="button" className="link-btn" onClick={() => onFixColumns(s)}>Fix columns</button>
+              <button type="button" className="icon-btn" onClick={() => onRemove(s.id)} title="Remove statement"><FaTimes size={11} /></button>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+export default StatementList;
@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { FaChevronDown, FaChevronRight, FaExclamationTriangle } from 'react-icons/fa';
+import { fmt, formatDate, CADENCES, cancellationSavings } from '../engine';
+
+const cadenceLabel = (id) => CADENCES.find(c => c.id === id)?.label || id;
+const pct = (n) => `${Math.round(n * 100)}%`;
+const DECISIONS = [{ id: 'keep', label: 'Keep' }, { id: 'cancel', label: 'Cancel' }];
+
+const ExploreLink = ({ onClick }) => (
+  <button type="button" className="link-btn explore-link" onClick={onClick}>View transactions →</button>
+);
+
+const PriceChange = ({ change }) => (
+  <span className={change.change > 0 ? 'sub-price-up' : 'sub-price-down'} title={`From ${fmt(change.from)}`}>
+    {change.change > 0 ? '▲' : '▼'} {pct(Math.abs(change.change))}
+  </span>
+);
+
+// Subscriptions and EMIs at their true monthly and yearly cost, with price
+// history, lapsed plans, overlapping services and keep/cancel marks
+const Subscriptions = ({ subscriptions, decisions, onDecisionsChange, onExplore }) => {
+  const [openId, setOpenId] = useState(null);
+  const { items, monthly, annual, duplicates } = subscriptions;
+  const byId = new Map(items.map(s => [s.id, s]));
+  const savings = cancellationSavings(items, decisions);
+  const cancelling = items.filter(s => s.status === 'active' && decisions[s.id] === 'cancel').length;
+
+  // Clicking the current mark clears it
+  const decide = (id, decision) => {
+    const { [id]: current, ...rest } = decisions;
+    onDecisionsChange(current === decision ? rest : { ...rest, [id]: decision });
+  };
+
+  return (
+    <div className="section-block subscription-block">
+      <div className="section-header">
+        <span>💳</span>
+        <span>Subscriptions &amp; EMIs</span>
+        <span className="count-badge">{items.length}</span>
+        <span className="sub-monthly-est">{fmt(monthly)}/mo · {fmt(annual)}/yr</span>
+      </div>
+      {duplicates.length > 0 && (
+        <ul className="sub-duplicates">
+          {duplicates.map(d => (
+            <li key={d.group}>
+              <FaExclamationTriangle size={11} /> {d.ids.length} {d.label}: {d.ids.map(id => byId.get(id).description).join(', ')}
+            </li>
+          ))}
+        </ul>
+      )}
+      <table className="table-compact">
+        <thead><tr><th style={{ width: '32%' }}>Service</th><th>Cycle</th><th>Price</th><th>Per month</th><th>Per year</th><th>Status</th><th /></tr></thead>
+        <tbody>
+          {items.map(s => (
+            <React.Fragment key={s.id}>
+              <tr onClick={() => setOpenId(openId === s.id ? null : s.id)} className={`clickable-row${s.status === 'lapsed' ? ' sub-lapsed' : ''}`}>
+                <td>
+                  <span className="expand-icon">{openId === s.id ? <FaChevronDown size={10}/> : <FaChevronRight size={10}/>}</span>
+                  <span className="sub-service-name">{s.description}</span>
+                </td>
+                <td className="date-cell" title={`${pct(s.confidence)} confidence`}>{cadenceLabel(s.cadence)}</td>
+                <td>{fmt(s.lastAmount)} {s.priceChange && <PriceChange change={s.priceChange} />}</td>
+                <td className="amt-debit">{fmt(s.monthlyCost)}</td>
+                <td className="amt-debit">{fmt(s.annualCost)}</td>
+                <td className="date-cell">
+                  {s.status === 'lapsed'
+                    ? <span className="sub-status-lapsed" title="A charge was expected inside the statement period but never came">Lapsed</span>
+                    : `Next ${formatDate(s.nextDate)}`}
+                </td>
+                <td onClick={e => e.stopPropagation()}>
+                  {s.status === 'active' && (
+                    <span className="view-toggle sub-decision">
+                      {DECISIONS.map(d => (
+                        <button key={d.id} type="button" className={decisions[s.id] === d.id ? `active sub-${d.id}` : ''} onClick={() => decide(s.id, d.id)}>{d.label}</button>
+                      ))}
+                    </span>
+                  )}
+                </td>
+              </tr>
+              {openId === s.id && (
+                <tr className="detail-row">
+                  <td colSpan={7}>
+                    {s.prices.length > 1 && (
+                      <p className="sub-price-history">
+                        Price: {s.prices.map((p, i) => (
+                          <span key={i} className={p.previous !== null && p.amount > p.previous ? 'sub-price-up' : ''}>
+                            {i > 0 && ' → '}{fmt(p.amount)} <span className="confidence">{i === 0 ? 'from' : 'on'} {formatDate(p.date)}</span>
+                          </span>
+                        ))}
+                      </p>
+                    )}
+                    <div className="detail-grid">
+                      {s.details.map((d, idx) => (
+                        <div key={idx} className="detail-chip">
+                          <span>{formatDate(d.date) || '—'}</span>
+                          <span className="amt-debit">{fmt(d.amount)}</span>
+                        </div>
+                      ))}
+                    </div>
+                    <ExploreLink onClick={() => onExplore({ merchant: s.description, direction: s.direction })} />
+                  </td>
+                </tr>
+              )}
+            </React.Fragment>
+          ))}
+        </tbody>
+      </table>
+      {cancelling > 0 && (
+        <p className="sub-savings">
+          Cancelling {cancelling === 1 ? 'this one' : `these ${cancelling}`} saves <strong>{fmt(savings)}</strong> a year ({fmt(savings / 12)} a month).
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default Subscriptions;
@@ -0,0 +1,144 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { FaFileInvoice, FaTimes, FaFileExcel, FaFileCsv } from 'react-icons/fa';
+import {
+  fmt, formatDate, filterTransactions, buildTaxTable, toCSV, toWorkbook, TAX_HEADS, TAX_SECTIONS,
+} from '../engine';
+import { downloadFile, downloadCSV, XLSX_TYPE } from '../lib/download';
+
+// Untagged rows listed for a search; enough to find the one meant
+const MAX_MATCHES = 20;
+
+const sectionLabel = (id) => TAX_SECTIONS.find(s => s.id === id)?.label || id;
+
+// The heads a row can go under (by its direction), or none
+const HeadSelect = ({ tx, onChange }) => (
+  <select value={tx.taxHead || ''} onChange={e => onChange(tx, e.target.value)} aria-label="Tax head">
+    <option value="">Not for tax</option>
+    {TAX_HEADS.filter(h => h.direction === (tx.debit > 0 ? 'debit' : 'credit')).map(h => (
+      <option key={h.id} value={h.id}>{h.label} · {sectionLabel(h.section)}</option>
+    ))}
+  </select>
+);
+
+// One Indian financial year, April to March: interest and dividends to
+// declare and the payments that may be deductible, by section. Rows can be
+// moved to another head, untagged, or tagged by hand; the tags are saved.
+const TaxReport = ({ years, tags, onTagsChange, onClose }) => {
+  const [year, setYear] = useState(years[0]?.year);
+  const [query, setQuery] = useState('');
+  const rootRef = useRef(null);
+  const report = years.find(y => y.year === year) || years[0];
+
+  useEffect(() => {
+    rootRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }, []);
+
+  // Picking what the row matches by itself drops the tag instead of storing it
+  const retag = (tx, head) => {
+    const next = { ...tags, [tx.taxKey]: head };
+    if (head === (tx.taxAuto || '')) delete next[tx.taxKey];
+    onTagsChange(next);
+  };
+
+  const exportSheet = (kind) => {
+    const table = buildTaxTable(report);
+    const name = `tax-report-${report.label.replace(/\s+/g, '-')}`;
+    if (kind === 'csv') downloadCSV(toCSV(table.rows), `${name}.csv`);
+    else downloadFile(toWorkbook([table]), `${name}.xlsx`, XLSX_TYPE);
+  };
+
+  const matches = query.trim() && report ? filterTransactions(report.others, { query }).slice(0, MAX_MATCHES) : [];
+
+  return (
+    <div className="section-block tax-report" ref={rootRef}>
+      <div className="section-header">
+        <FaFileInvoice color="#4e54c8" />
+        <span>Tax Report</span>
+        {report && (
+          <select value={report.year} onChange={e => setYear(Number(e.target.value))} aria-label="Financial year">
+            {years.map(y => <option key={y.year} value={y.year}>{y.label} ({y.assessmentYear})</option>)}
+          </select>
+        )}
+        {report && (
+          <span className="tax-export">
+            <button type="button" className="btn" onClick={() => exportSheet('xlsx')}><FaFileExcel color="#2e7d32" /> Excel</button>
+            <button type="button" className="btn" onClick={() => exportSheet('csv')}><FaFileCsv color="#4e54c8" /> CSV</button>
+          </span>
+        )}
+        <button type="button" className="icon-btn" onClick={onClose} title="Close tax report"><FaTimes size={12} /></button>
+      </div>
+      {!report ? (
+        <p className="badge-muted">No dated transactions to report on.</p>
+      ) : (
+        <>
+          <p className="badge-muted">
+            {formatDate(report.from)} – {formatDate(report.until)}, from the statements loaded. Limits are the old tax
+            regime’s; most of these deductions don’t apply under the new regime. Check the figures against your
+            certificates — this is not tax advice.
+          </p>
+          {report.sections.length === 0 ? (
+            <p className="badge-muted">Nothing in this year looks tax-relevant. Tag rows below.</p>
+          ) : (
+            <table className="table-compact tax-sections">
+              <thead><tr><th>Section</th><th>Total</th><th>Limit</th><th>Counted</th><th>Covers</th></tr></thead>
+              <tbody>
+                {report.sections.map(s => (
+                  <tr key={s.id}>
+                    <td><strong>{s.label}</strong></td>
+                    <td>{fmt(s.total)}</td>
+                    <td className="date-cell">{s.limit === null ? '—' : fmt(s.limit)}</td>
+                    <td className={s.counted < s.total ? 'amt-debit' : undefined}>{fmt(s.counted)}</td>
+                    <td className="date-cell">{s.note}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {report.heads.map(h => (
+            <div key={h.id} className="tax-head">
+              <div className="tax-head-title">
+                <span>{h.label}</span>
+                <span className="confidence">{sectionLabel(h.section)}</span>
+                <span className={h.direction === 'credit' ? 'amt-credit' : 'amt-debit'}>{fmt(h.total)}</span>
+              </div>
+              <table className="table-compact">
+                <tbody>
+                  {h.transactions.map((tx, i) => (
+                    <tr key={i}>
+                      <td className="date-cell">{formatDate(tx.date)}</td>
+                      <td title={tx.description}>{tx.merchant}</td>
+                      <td className={tx.debit > 0 ? 'amt-debit' : 'amt-credit'}>{fmt(tx.debit || tx.credit)}</td>
+                      <td className="confidence">{tx.taxHead === tx.taxAuto ? 'matched' : 'tagged by you'}</td>
+                      <td><HeadSelect tx={tx} onChange={retag} /></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+          <div className="tax-tag-more">
+            <input type="search" placeholder="Find another transaction in this year to tag" value={query} onChange={e => setQuery(e.target.value)} />
+            {matches.length > 0 && (
+              <table className="table-compact">
+                <tbody>
+                  {matches.map((tx, i) => (
+                    <tr key={i}>
+                      <td className="date-cell">{formatDate(tx.date)}</td>
+                      <td title={tx.description}>{tx.merchant}</td>
+                      <td className={tx.debit > 0 ? 'amt-debit' : 'amt-credit'}>{fmt(tx.debit || tx.credit)}</td>
+                      <td className="confidence">{tx.taxAuto ? 'untagged by you' : ''}</td>
+                      <td><HeadSelect tx={tx} onChange={retag} /></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {query.trim() && matches.length === 0 && <p className="badge-muted">No untagged transaction in {report.label} matches.</p>}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TaxReport;
@@ -0,0 +1,179 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { FaSearch, FaTimes, FaSortUp, FaSortDown } from 'react-icons/fa';
+import {
+  fmt, formatDate, parseDate, filterTransactions, sortTransactions, categoryById, currencySymbol, CATEGORIES, DEFAULT_CURRENCY,
+} from '../engine';
+
+// Fixed row height lets us render only the rows in view, so 50k-row
+// statements scroll as smoothly as 50-row ones
+const ROW_HEIGHT = 38;
+const VIEWPORT_HEIGHT = 480;
+const OVERSCAN = 8;
+
+// Filter form as the inputs hold it: everything is a string
+const EMPTY_FORM = {
+  query: '', from: '', until: '', minAmount: '', maxAmount: '', direction: '', merchant: '', category: '', account: '', transfers: '',
+};
+
+const toAmount = (text) => (text.trim() === '' || !Number.isFinite(Number(text)) ? null : Number(text));
+
+const toFilters = (form) => ({
+  ...form,
+  from: form.from ? parseDate(form.from, 'YMD') : null,
+  until: form.until ? parseDate(form.until, 'YMD') : null,
+  minAmount: toAmount(form.minAmount),
+  maxAmount: toAmount(form.maxAmount),
+});
+
+// Hover text for a row charged abroad and/or converted for display
+const originalAmount = (tx) => {
+  const parts = [];
+  if (tx.original && tx.original.currency !== tx.converted?.from) parts.push(`${fmt(tx.original.amount, tx.original.currency)} charged`);
+  if (tx.converted) {
+    const { from, rate } = tx.converted;
+    parts.push(`${fmt((tx.debit || tx.credit) / rate, from)} at ${Number(rate.toFixed(4))} ${tx.currency}/${from}`);
+  }
+  return parts.join(' · ') || undefined;
+};
+
+const COLUMNS = [
+  { key: 'date', label: 'Date', width: '11%' },
+  { key: 'merchant', label: 'Payee / Narration', width: '35%' },
+  { key: 'category', label: 'Category', width: '14%' },
+  { key: 'debit', label: 'Debit', width: '12%' },
+  { key: 'credit', label: 'Credit', width: '12%' },
+  { key: 'balance', label: 'Balance', width: '12%' },
+];
+
+// Every parsed row, searchable and sortable. Opened from the dashboard,
+// optionally pre-filtered by whatever was clicked.
+const TransactionExplorer = ({ transactions, currency = DEFAULT_CURRENCY, initialForm, initialSort, onClose }) => {
+  const [form, setForm] = useState({ ...EMPTY_FORM, ...initialForm });
+  const [sort, setSort] = useState(initialSort || { key: 'date', dir: 'desc' });
+  const [scrollTop, setScrollTop] = useState(0);
+  const rootRef = useRef(null);
+  const scrollRef = useRef(null);
+
+  useEffect(() => {
+    rootRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }, []);
+
+  const accounts = useMemo(() => [...new Set(transactions.map(tx => tx.account).filter(Boolean))], [transactions]);
+  const merchants = useMemo(() => [...new Set(transactions.map(tx => tx.merchant))].sort(), [transactions]);
+  const rows = useMemo(
+    () => sortTransactions(filterTransactions(transactions, toFilters(form)), sort.key, sort.dir),
+    [transactions, form, sort],
+  );
+  const totals = rows.reduce((t, tx) => ({ debit: t.debit + tx.debit, credit: t.credit + tx.credit }), { debit: 0, credit: 0 });
+
+  const resetScroll = () => {
+    if (scrollRef.current) scrollRef.current.scrollTop = 0;
+    setScrollTop(0);
+  };
+  const set = (field) => (e) => {
+    setForm(f => ({ ...f, [field]: e.target.value }));
+    resetScroll();
+  };
+  const toggleSort = (key) => {
+    setSort(s => (s.key === key ? { key, dir: s.dir === 'asc' ? 'desc' : 'asc' } : { key, dir: key === 'merchant' || key === 'category' ? 'asc' : 'desc' }));
+    resetScroll();
+  };
+
+  const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(rows.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+  const visible = rows.slice(first, last);
+  const isFiltered = Object.keys(EMPTY_FORM).some(k => form[k] !== EMPTY_FORM[k]);
+
+  return (
+    <div className="section-block explorer" ref={rootRef}>
+      <div className="section-header">
+        <FaSearch color="#4e54c8" />
+        <span>Transactions</span>
+        <span className="count-badge">{rows.length.toLocaleString('en-IN')}{isFiltered ? ` of ${transactions.length.toLocaleString('en-IN')}` : ''}</span>
+        <span className="explorer-totals">
+          <span className="amt-debit">−{fmt(totals.debit)}</span>
+          <span className="amt-credit">+{fmt(totals.credit)}</span>
+        </span>
+        <button type="button" className="icon-btn" onClick={onClose} title="Close explorer"><FaTimes size={12} /></button>
+      </div>
+
+      <div className="explorer-filters">
+        <input className="explorer-search" type="search" placeholder="Search narration, payee or reference" value={form.query} onChange={set('query')} />
+        <label>From <input type="date" value={form.from} onChange={set('from')} /></label>
+        <label>To <input type="date" value={form.until} onChange={set('until')} /></label>
+        <input placeholder={`Min ${currencySymbol(currency)}`} inputMode="decimal" value={form.minAmount} onChange={set('minAmount')} />
+        <input placeholder={`Max ${currencySymbol(currency)}`} inputMode="decimal" value={form.maxAmount} onChange={set('maxAmount')} />
+        <select value={form.direction} onChange={set('direction')} aria-label="Debit or credit">
+          <option value="">Debits &amp; credits</option>
+          <option value="debit">Debits</option>
+          <option value="credit">Credits</option>
+        </select>
+        <input list="explorer-merchants" placeholder="Payee" value={form.merchant} onChange={set('merchant')} />
+        <datalist id="explorer-merchants">
+          {merchants.map(m => <option key={m} value={m} />)}
+        </datalist>
+        <select value={form.category} onChange={set('category')} aria-label="Category">
+          <option value="">All categories</option>
+          {CATEGORIES.map(c => <option key={c.id} value={c.id}>{c.label}</option>)}
+        </select>
+        <select value={form.transfers} onChange={set('transfers')} aria-label="Transfers">
+          <option value="">With transfers</option>
+          <option value="exclude">Without transfers</option>
+          <option value="only">Transfers only</option>
+        </select>
+        {accounts.length > 1 && (
+          <select value={form.account} onChange={set('account')} aria-label="Account">
+            <option value="">All accounts</option>
+            {accounts.map(a => <option key={a} value={a}>{a}</option>)}
+          </select>
+        )}
+        {isFiltered && (
+          <button type="button" className="link-btn" onClick={() => { setForm(EMPTY_FORM); resetScroll(); }}>Clear filters</button>
+        )}
+      </div>
+
+      <div
+        className="explorer-scroll"
+        ref={scrollRef}
+        style={{ maxHeight: VIEWPORT_HEIGHT }}
+        onScroll={e => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <table className="table-compact explorer-table">
+          <thead>
+            <tr>
+              {COLUMNS.map(col => (
+                <th key={col.key} style={{ width: col.width }} onClick={() => toggleSort(col.key)} className="sortable">
+                  {col.label}
+                  {sort.key === col.key && (sort.dir === 'asc' ? <FaSortUp size={10} /> : <FaSortDown size={10} />)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {first > 0 && <tr style={{ height: first * ROW_HEIGHT }} aria-hidden="true"><td colSpan={COLUMNS.length} /></tr>}
+            {visible.map((tx, i) => (
+              <tr key={first + i} style={{ height: ROW_HEIGHT }}>
+                <td className="date-cell">{formatDate(tx.date) || '—'}</td>
+                <td className="explorer-narration" title={tx.description}>
+                  <span>{tx.merchant}</span>
+                  <span className="explorer-raw">{accounts.length > 1 ? `${tx.account} · ` : ''}{tx.description}</span>
+                </td>
+                <td>
+                  <span className="category-dot" style={{ background: categoryById(tx.category).color }} />
+                  {categoryById(tx.category).label}
+                </td>
+                <td className="amt-debit" title={originalAmount(tx)}>{tx.debit > 0 ? fmt(tx.debit, tx.currency) : ''}</td>
+                <td className="amt-credit" title={originalAmount(tx)}>{tx.credit > 0 ? fmt(tx.credit, tx.currency) : ''}</td>
+                <td className="date-cell">{tx.balance !== null ? fmt(tx.balance, tx.currency) : ''}</td>
+              </tr>
+            ))}
+            {last < rows.length && <tr style={{ height: (rows.length - last) * ROW_HEIGHT }} aria-hidden="true"><td colSpan={COLUMNS.length} /></tr>}
+          </tbody>
+        </table>
+        {rows.length === 0 && <p className="badge-muted explorer-empty">No transactions match these filters.</p>}
+      </div>
+    </div>
+  );
+};
+
+export default TransactionExplorer;
@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { FaRandom, FaTimes } from 'react-icons/fa';
+import { fmt, PAIR_WINDOW_DAYS } from '../engine';
+
+const validate = (id, saved) => {
+  if (!id) return 'Enter an account number or UPI ID.';
+  if (!id.includes('@') && id.replace(/\D/g, '').length < 4) return 'Account numbers need at least their last four digits.';
+  if (saved.some(s => s.toLowerCase() === id.toLowerCase())) return 'Already added.';
+  return '';
+};
+
+// Money moved between the user's own accounts, the switch that decides whether
+// it counts as spending, and the account numbers / UPI IDs that identify them
+const Transfers = ({ transfers, settings, onSettingsChange, onExplore }) => {
+  const [open, setOpen] = useState(false);
+  const [id, setId] = useState('');
+  const [error, setError] = useState('');
+  const { ownAccounts, include } = settings;
+
+  const addAccount = (e) => {
+    e.preventDefault();
+    const value = id.trim();
+    const problem = validate(value, ownAccounts);
+    setError(problem);
+    if (problem) return;
+    onSettingsChange({ ...settings, ownAccounts: [...ownAccounts, value] });
+    setId('');
+  };
+
+  return (
+    <div className="section-block transfers">
+      <div className="section-header">
+        <FaRandom color="#78909c" />
+        <span>Transfers Between Your Accounts</span>
+        {transfers.count > 0 && <span className="count-badge">{transfers.count}</span>}
+        {transfers.count > 0 && <span className="sub-monthly-est">{fmt(transfers.out)} out · {fmt(transfers.in)} in</span>}
+        <label className="transfers-include">
+          <input type="checkbox" checked={include} onChange={e => onSettingsChange({ ...settings, include: e.target.checked })} />
+          Count as spending &amp; income
+        </label>
+      </div>
+
+      {transfers.count === 0 ? (
+        <p className="badge-muted">
+          No transfers found. Self transfers, sweeps, FDs and card bill payments are picked up from the narration, and equal
+          amounts leaving one loaded account and reaching another within {PAIR_WINDOW_DAYS} days are paired up.
+        </p>
+      ) : (
+        <>
+          <table className="table-compact">
+            <thead><tr><th style={{ width: '40%' }}>Found as</th><th>Times</th><th>Out</th><th>In</th></tr></thead>
+            <tbody>
+              {transfers.kinds.map(k => (
+                <tr key={k.id}>
+                  <td>{k.label}</td>
+                  <td><span className="occ-badge">{k.count}×</span></td>
+                  <td className="amt-debit">{k.out > 0 ? fmt(k.out) : '—'}</td>
+                  <td className="amt-credit">{k.in > 0 ? fmt(k.in) : '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="badge-muted transfers-note">
+            {include ? 'Included in spend, income and cash flow.' : 'Left out of spend, income, budgets and cash flow.'}
+            {' '}
+            <button type="button" className="link-btn" onClick={() => onExplore({ transfers: 'only' })}>View transfers →</button>
+          </p>
+        </>
+      )}
+
+      <button type="button" className="link-btn" onClick={() => setOpen(o => !o)}>
+        {open ? 'Hide your accounts' : `Your accounts & UPI IDs (${ownAccounts.length})`}
+      </button>
+      {open && (
+        <>
+          {ownAccounts.length > 0 && (
+            <ul className="rule-list">
+              {ownAccounts.map(a => (
+                <li key={a}>
+                  <span className="rule-desc">{a}</span>
+                  <button
+                    type="button"
+                    className="icon-btn"
+                    onClick={() => onSettingsChange({ ...settings, ownAccounts: ownAccounts.filter(x => x !== a) })}
+                    title="Remove"
+                  >
+                    <FaTimes size={11} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <form className="rule-form" onSubmit={addAccount}>
+            <input placeholder="Account number (or last 4 digits) or UPI ID, e.g. me@okicici" value={id} onChange={e => setId(e.target.value)} />
+            <button type="submit" className="btn btn-primary">Add</button>
+          </form>
+          {error && <p className="error rule-error">{error}</p>}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Transfers;
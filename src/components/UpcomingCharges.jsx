@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+import { FaCalendarAlt } from 'react-icons/fa';
+import { fmt, formatDate, daysBetween, CADENCES, UPCOMING_DAYS } from '../engine';
+import ChargeCalendar from './ChargeCalendar';
+
+const cadenceLabel = (id) => CADENCES.find(c => c.id === id)?.label || id;
+
+const whenLabel = (today, date) => {
+  const days = daysBetween(today, date);
+  if (days === 0) return 'today';
+  return days === 1 ? 'tomorrow' : `in ${days} days`;
+};
+
+// Predicted charges for the next month, as a list or a calendar
+const UpcomingCharges = ({ recurring, renewals }) => {
+  const [view, setView] = useState('list');
+  const { upcoming, today } = renewals;
+  const total = upcoming.reduce((s, c) => s + c.amount, 0);
+
+  return (
+    <div className="section-block">
+      <div className="section-header">
+        <FaCalendarAlt color="#4e54c8" />
+        <span>Coming up in the next {UPCOMING_DAYS} days</span>
+        {upcoming.length > 0 && <span className="count-badge">{upcoming.length}</span>}
+        {upcoming.length > 0 && <span className="occ-badge">{fmt(total)}</span>}
+        <span className="view-toggle">
+          <button type="button" className={view === 'list' ? 'active' : ''} onClick={() => setView('list')}>List</button>
+          <button type="button" className={view === 'calendar' ? 'active' : ''} onClick={() => setView('calendar')}>Calendar</button>
+        </span>
+      </div>
+      {view === 'calendar' && <ChargeCalendar recurring={recurring} renewals={renewals} />}
+      {view === 'list' && (upcoming.length === 0 ? (
+        <p className="badge-muted">No recurring charges expected in the next {UPCOMING_DAYS} days.</p>
+      ) : (
+        <table className="table-compact">
+          <thead><tr><th style={{ width: '45%' }}>Service</th><th>Cycle</th><th>Expected</th><th>Date</th></tr></thead>
+          <tbody>
+            {upcoming.map(c => (
+              <tr key={`${c.key}-${c.date.getTime()}`}>
+                <td>{c.description}</td>
+                <td className="date-cell">{cadenceLabel(c.cadence)}</td>
+                <td className="amt-debit">{fmt(c.amount)}</td>
+                <td className="date-cell">{formatDate(c.date)} <span className="confidence">{whenLabel(today, c.date)}</span></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ))}
+    </div>
+  );
+};
+
+export default UpcomingCharges;
@@ -0,0 +1,42 @@
+import { monthKey, monthLabel } from './dates.js';
+
+/** @typedef {import('./normalize.js').Transaction} Transaction */
+
+// ── Debit aggregations ─────────────────────────────────
+// Shared by the dashboard stats, budgets and cash flow.
+
+/**
+ * Debits grouped by payee, largest total first. Grouped on the merchant name,
+ * after aliases, not the narration: UPI narrations differ in every reference.
+ * @returns {{ name: string, total: number, transactions: { date: Date|null, amount: number }[] }[]}
+ */
+export function groupPayees(debits) {
+  const payees = {};
+  debits.forEach(tx => {
+    const name = tx.merchant || 'Unknown';
+    if (!payees[name]) payees[name] = { name, total: 0, transactions: [] };
+    payees[name].total += tx.debit;
+    payees[name].transactions.push({ date: tx.date, amount: tx.debit });
+  });
+  return Object.values(payees).sort((a, b) => b.total - a.total);
+}
+
+/**
+ * Sum of `amountOf` per calendar month, oldest first. Undated rows are left out.
+ * @param {Transaction[]} transactions
+ * @param {(tx: Transaction) => number} amountOf
+ * @returns {{ key: string, month: string, total: number }[]}
+ */
+export function monthlyTotals(transactions, amountOf) {
+  const months = {};
+  transactions.filter(tx => tx.date).forEach(tx => {
+    const key = monthKey(tx.date);
+    months[key] = (months[key] || 0) + amountOf(tx);
+  });
+  return Object.entries(months)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, total]) => ({ key, month: monthLabel(key), total }));
+}
+
+/** Debit total per calendar month, oldest first. */
+export const monthlyDebits = (debits) => monthlyTotals(debits, tx => tx.debit);
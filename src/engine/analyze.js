@@ -0,0 +1,121 @@
+import { groupPayees, monthlyDebits } from './aggregate.js';
+import { detectRecurring } from './recurrence.js';
+import { getRenewals } from './renewals.js';
+import { getSubscriptions } from './subscriptions.js';
+import { categorizeTransactions, getCategoryBreakdown } from './categories.js';
+import { getBudgets } from './budgets.js';
+import { getIncome, getCashFlow, markRefunds } from './income.js';
+import { markTransfers, getTransfers } from './transfers.js';
+import { applyAliases } from './merchants.js';
+import { markCardEntries, foldInstallments, getCardSummary } from './creditCard.js';
+import { convertTransactions, DEFAULT_CURRENCY } from './currency.js';
+import { findAnomalies } from './anomalies.js';
+import { filterTransactions } from './explore.js';
+import { resolvePeriod, comparePeriods, getTrends } from './trends.js';
+import { getTaxReport } from './tax.js';
+
+/** @typedef {import('./normalize.js').Transaction} Transaction */
+
+// Five largest debits
+export function getPayments(transactions) {
+  return transactions
+    .filter(tx => tx.debit > 0)
+    .sort((a, b) => b.debit - a.debit)
+    .slice(0, 5)
+    .map(tx => ({
+      description: tx.description,
+      displayName: tx.merchant,
+      amount: tx.debit,
+      date: tx.date,
+      reference: tx.reference,
+      balance: tx.balance,
+      type: tx.type,
+    }));
+}
+
+export function getUserStats(transactions) {
+  const debits  = transactions.filter(tx => tx.debit  > 0);
+  const credits = transactions.filter(tx => tx.credit > 0);
+
+  const totalSpent    = debits.reduce((s, tx)  => s + tx.debit,  0);
+  const totalReceived = credits.reduce((s, tx) => s + tx.credit, 0);
+
+  const largestPayment = debits.reduce((max, tx) => (
+    tx.debit > max.amount ? { amount: tx.debit, description: tx.merchant } : max
+  ), { amount: 0, description: '' });
+
+  const topMerchants = groupPayees(debits).slice(0, 5);
+  const monthlySpend = monthlyDebits(debits);
+
+  return {
+    totalSpent,
+    totalReceived,
+    largestPayment,
+    paymentCount: debits.length,
+    creditCount: credits.length,
+    avgTransaction: debits.length ? totalSpent / debits.length : 0,
+    topMerchants,
+    monthlySpend,
+  };
+}
+
+// First and last dates the statements cover
+const firstDate = (transactions) => transactions.reduce((first, tx) => (tx.date && (!first || tx.date < first) ? tx.date : first), null);
+const lastDate = (transactions) => transactions.reduce((last, tx) => (tx.date && (!last || tx.date > last) ? tx.date : last), null);
+
+/**
+ * Run every dashboard analysis over a transaction list.
+ * @param {Transaction[]} transactions
+ * @param {{ today?: Date, rules?: Object[], budgets?: Object[], aliases?: Object[], ownAccounts?: string[],
+ *   includeTransfers?: boolean, account?: string, currency?: { display?: string, rates?: Object[] },
+ *   period?: { preset?: string, from?: string, until?: string }, taxTags?: Object<string, string> }} [options]
+ *   Reference date for renewal predictions; the user's category rules, budgets, payee aliases and
+ *   own account numbers / UPI IDs; whether transfers count as spending and income; one account
+ *   label to analyze on its own (the others are still used to pair up transfers); the currency
+ *   to show amounts in and the user's exchange rates (see convertTransactions); the dates to
+ *   analyze (see resolvePeriod — the dates around them are still used for the comparison and to
+ *   spot recurring charges); the user's tax tags (see getTaxReport, which covers every financial year whatever the period)
+ */
+export const analyzeTransactions = (transactions, {
+  today = new Date(), rules = [], budgets = [], aliases = [], ownAccounts = [], includeTransfers = false, account = '',
+  currency = {}, period = {}, taxTags = {},
+} = {}) => {
+  // Every figure below is in the display currency
+  const { transactions: converted, ...currencies } = convertTransactions(transactions, currency);
+  const named = applyAliases(converted, aliases);
+  const marked = markRefunds(markCardEntries(markTransfers(categorizeTransactions(named, rules), { ownAccounts })));
+  const everyDate = account ? marked.filter(tx => tx.account === account) : marked;
+  const range = resolvePeriod(period, lastDate(everyDate));
+  const categorized = filterTransactions(everyDate, range);
+  // Rows in a currency there's no rate for stay in the list but out of every total
+  const inDisplay = (tx) => (tx.currency || DEFAULT_CURRENCY) === currencies.display;
+  // Everything below the transaction list itself works on `counted`. A purchase
+  // converted to EMI is counted through its installments instead.
+  const isCounted = (tx) => inDisplay(tx) && (includeTransfers || !tx.transfer) && !tx.emiConverted;
+  const counted = categorized.filter(isCounted);
+  // Recurrence needs several cycles, so it looks at every date whatever the period
+  const everyCounted = everyDate.filter(isCounted);
+  const recurring = detectRecurring(foldInstallments(everyCounted));
+  const income = getIncome(counted);
+  const coveredUntil = lastDate(everyDate);
+  return {
+    transactions: categorized,
+    categories: getCategoryBreakdown(counted),
+    recurring,
+    renewals: getRenewals(recurring, { today, coveredUntil }),
+    subscriptions: getSubscriptions(recurring, { today, coveredUntil }),
+    payments: getPayments(counted),
+    userStats: getUserStats(counted),
+    budgets: getBudgets(counted, budgets),
+    income,
+    cashFlow: getCashFlow(counted, income.refunds.transactions),
+    transfers: { ...getTransfers(categorized.filter(inDisplay)), included: includeTransfers },
+    card: getCardSummary(categorized.filter(inDisplay)),
+    anomalies: findAnomalies(counted),
+    comparison: comparePeriods(everyCounted, range),
+    trends: getTrends(counted),
+    period: { ...range, first: firstDate(everyDate), last: lastDate(everyDate) },
+    tax: getTaxReport(everyDate.filter(tx => inDisplay(tx) && !tx.emiConverted), taxTags),
+    currency: currencies,
+  };
+};
@@ -0,0 +1,155 @@
+import { daysBetween, byDate, toISODate } from './dates.js';
+
+/** @typedef {import('./normalize.js').Transaction} Transaction */
+
+// ── Needs attention ────────────────────────────────────
+// Charges worth a second look: the same amount taken twice, a payment far
+// above what a payee usually costs, a large first payment to someone new, and
+// the bank's own charges and penalties, which hide among everything else.
+
+// The same amount to the same payee this close together is likely charged twice
+export const DUPLICATE_WINDOW_DAYS = 3;
+// A payee charged the same amount this often is a habit (the daily coffee), not a double charge
+const HABIT_COUNT = 4;
+// A payment this many times the payee's usual amount is a spike…
+export const SPIKE_FACTOR = 3;
+// …judged against at least this many earlier payments
+const SPIKE_HISTORY = 3;
+// A first payment this many times the typical debit, and among the largest tenth, stands out
+export const NEW_PAYEE_FACTOR = 5;
+// Payees first seen this soon after the statements start may simply predate them
+const NEW_PAYEE_AFTER_DAYS = 30;
+
+/** The bank's own charges, as narrations name them. The first match wins, so GST on a charge counts as GST. */
+export const FEE_KINDS = [
+  { id: 'gst', label: 'GST on charges', pattern: /\b[ics]?gst\b|service\s*tax/i },
+  { id: 'min-balance', label: 'Minimum balance penalties', pattern: /min(imum)?\.?\s*(avg\.?\s*|average\s*|monthly\s*)?bal|non[\s-]*maint|\bamb\b|\bmab\b|\bqab\b/i },
+  { id: 'penalty', label: 'Penalties & returns', pattern: /penal|late\s*(payment\s*)?(fee|chg|charge)|bounce|(ecs|nach|chq|cheque|mandate)\s*(return|rtn|bounce)|insuff|over\s*limit/i },
+  { id: 'sms', label: 'SMS alert charges', pattern: /\bsms\b/i },
+  { id: 'atm', label: 'ATM fees', pattern: /\batm\b|cash\s*(wdl|withdrawal)\s*(fee|chg|charge)|\bnfs\b.*(fee|chg|charge)/i },
+  { id: 'annual', label: 'Annual & card fees', pattern: /annual|\bamc\b|renewal\s*fee|joining\s*fee|(debit|credit)?\s*card\s*(fee|chg|charge)|membership\s*fee/i },
+  { id: 'markup', label: 'Forex markup', pattern: /mark\s*-?\s*up|cross\s*currency|forex|foreign\s*(currency\s*)?(txn\s*|transaction\s*)?(fee|charge)|\bdcc\b/i },
+  { id: 'interest', label: 'Interest charged', pattern: /interest|finance\s*charge/i },
+];
+const OTHER_FEE = { id: 'other', label: 'Other bank charges' };
+
+/** Which FEE_KINDS entry a charge is. */
+export const feeKind = (tx) => FEE_KINDS.find(k => k.pattern.test(tx.description)) || OTHER_FEE;
+
+const payeeKey = (tx) => tx.merchant.toLowerCase();
+const same = (a, b) => Math.abs(a - b) < 0.01;
+
+const median = (nums) => {
+  const s = [...nums].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+};
+
+// Debits that are spending: not transfers, card bill payments or EMI installments
+const spending = (transactions) => transactions
+  .filter(tx => tx.debit > 0 && tx.date && !tx.transfer && !tx.installment && tx.category !== 'fees')
+  .sort(byDate);
+
+const byPayee = (debits) => {
+  const payees = new Map();
+  debits.forEach(tx => {
+    if (!payees.has(payeeKey(tx))) payees.set(payeeKey(tx), []);
+    payees.get(payeeKey(tx)).push(tx);
+  });
+  return payees;
+};
+
+function findDuplicates(payees, credits) {
+  const found = [];
+  payees.forEach(txs => {
+    txs.forEach((tx, i) => {
+      const twin = txs.slice(i + 1).find(t => same(t.debit, tx.debit) && t.account === tx.account
+        && daysBetween(tx.date, t.date) <= DUPLICATE_WINDOW_DAYS);
+      if (!twin || found.some(f => f.transactions.includes(tx))) return;
+      if (txs.filter(t => same(t.debit, tx.debit)).length >= HABIT_COUNT) return;
+      // Already given back
+      if (credits.some(c => payeeKey(c) === payeeKey(tx) && same(c.credit, tx.debit) && c.date >= tx.date)) return;
+      found.push({
+        kind: 'duplicate', merchant: tx.merchant, amount: tx.debit, date: twin.date,
+        days: daysBetween(tx.date, twin.date), transactions: [tx, twin],
+      });
+    });
+  });
+  return found;
+}
+
+function findSpikes(payees) {
+  const found = [];
+  payees.forEach(txs => {
+    txs.slice(SPIKE_HISTORY).forEach((tx, i) => {
+      const usual = median(txs.slice(0, SPIKE_HISTORY + i).map(t => t.debit));
+      if (tx.debit >= usual * SPIKE_FACTOR) {
+        found.push({ kind: 'spike', merchant: tx.merchant, amount: tx.debit, usual, date: tx.date, transactions: [tx] });
+      }
+    });
+  });
+  return found;
+}
+
+function findNewPayees(payees, debits) {
+  if (!debits.length) return [];
+  const start = debits[0].date;
+  const amounts = debits.map(tx => tx.debit).sort((a, b) => a - b);
+  const typical = median(amounts);
+  const topTenth = amounts[Math.floor(amounts.length * 0.9)];
+  const found = [];
+  payees.forEach(([first]) => {
+    if (daysBetween(start, first.date) < NEW_PAYEE_AFTER_DAYS) return;
+    if (first.debit >= typical * NEW_PAYEE_FACTOR && first.debit >= topTenth) {
+      found.push({ kind: 'new-payee', merchant: first.merchant, amount: first.debit, typical, date: first.date, transactions: [first] });
+    }
+  });
+  return found;
+}
+
+// Card entries that are the issuer's own charges
+const CARD_CHARGES = ['fee', 'markup', 'interest'];
+
+// The category alone isn't enough: a user rule or a loose match can file school
+// fees there. The narration has to name a charge, or the card statement mark it as one.
+const isBankCharge = (tx) => tx.debit > 0 && tx.category === 'fees'
+  && (CARD_CHARGES.includes(tx.cardEntry) || FEE_KINDS.some(k => k.pattern.test(tx.description)));
+
+// One finding per kind of charge, with every charge of that kind
+function findFees(transactions) {
+  const kinds = new Map();
+  transactions.filter(isBankCharge).sort(byDate).forEach(tx => {
+    const kind = feeKind(tx);
+    if (!kinds.has(kind.id)) kinds.set(kind.id, { kind: 'fee', fee: kind.id, label: kind.label, amount: 0, transactions: [] });
+    const entry = kinds.get(kind.id);
+    entry.amount += tx.debit;
+    entry.transactions.push(tx);
+    entry.date = tx.date;
+  });
+  return [...kinds.values()];
+}
+
+const ORDER = ['duplicate', 'spike', 'fee', 'new-payee'];
+
+/**
+ * What in the statements needs the user's attention.
+ * @param {Transaction[]} transactions  Categorized, with transfers and refunds marked
+ * @returns {{ id: string, kind: 'duplicate'|'spike'|'new-payee'|'fee', merchant?: string, amount: number,
+ *   date: Date|null, transactions: Transaction[] }[]}  Most pressing kind first, then newest first.
+ *   A duplicate has the `days` between its two charges, a spike the payee's `usual` amount,
+ *   a new payee the `typical` debit, and a fee its FEE_KINDS `fee` id and `label` (its
+ *   amount is the total of its charges).
+ */
+export function findAnomalies(transactions) {
+  const debits = spending(transactions);
+  const payees = byPayee(debits);
+  const credits = transactions.filter(tx => tx.credit > 0 && tx.date);
+  return [
+    ...findDuplicates(payees, credits),
+    ...findSpikes(payees),
+    ...findNewPayees(payees, debits),
+    ...findFees(transactions),
+  ]
+    .map(f => ({ ...f, id: `${f.kind}:${f.fee || f.merchant}:${f.transactions.map(tx => (tx.date ? toISODate(tx.date) : '')).join(',')}` }))
+    .sort((a, b) => ORDER.indexOf(a.kind) - ORDER.indexOf(b.kind) || (b.date?.getTime() ?? 0) - (a.date?.getTime() ?? 0));
+}
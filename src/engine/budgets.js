@@ -0,0 +1,100 @@
+import { monthlyDebits } from './aggregate.js';
+import { monthKey, monthLabel, addMonths } from './dates.js';
+import { categoryById } from './categories.js';
+
+/** @typedef {import('./normalize.js').Transaction} Transaction */
+
+/**
+ * A monthly spending limit the user set.
+ * @typedef {Object} Budget
+ * @property {string} id
+ * @property {'category'|'merchant'} scope
+ * @property {string} target        Category id, or payee names as the dashboard shows them,
+ *   comma-separated ("Netflix, Hotstar" for an OTT budget)
+ * @property {string} [name]        Display name; defaults to the category or payees
+ * @property {number} limit         Per calendar month
+ * @property {boolean} [carryOver]  Unspent budget, or overspend, rolls into the next month
+ */
+
+// ── Budgets ────────────────────────────────────────────
+// Progress is worked out for every month the statements cover, including
+// months with nothing spent, so carry-over adds up across gaps.
+
+// Share of the month's budget at which a budget is flagged as close to its limit
+export const BUDGET_WARNING = 0.8;
+
+const payeeNames = (target) => target.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+
+/** Whether a transaction counts against a budget. */
+export const budgetMatches = (tx, budget) =>
+  tx.debit > 0 && (budget.scope === 'category'
+    ? tx.category === budget.target
+    : payeeNames(budget.target).includes(tx.merchant.toLowerCase()));
+
+export const budgetLabel = (budget) =>
+  budget.name || (budget.scope === 'category' ? categoryById(budget.target).label : budget.target);
+
+// Every 'YYYY-MM' from the first dated transaction to the last
+const coveredMonths = (transactions) => {
+  const times = transactions.filter(tx => tx.date).map(tx => tx.date.getTime());
+  if (times.length === 0) return [];
+  const last = monthKey(new Date(Math.max(...times)));
+  const months = [];
+  for (let d = new Date(Math.min(...times)); months.at(-1) !== last; d = addMonths(d, 1)) {
+    months.push(monthKey(d));
+  }
+  return months;
+};
+
+const monthStatus = (spent, available) => {
+  if (spent > available) return 'over';
+  return spent >= available * BUDGET_WARNING && spent > 0 ? 'warning' : 'ok';
+};
+
+/**
+ * One budget's progress month by month.
+ * @param {Transaction[]} transactions  Categorized
+ * @param {Budget} budget
+ * @param {string[]} months  'YYYY-MM' keys, oldest first
+ * @returns {{ key: string, month: string, spent: number, carried: number, available: number,
+ *   remaining: number, status: 'ok'|'warning'|'over' }[]}
+ *   `available` is the limit plus whatever was carried in
+ */
+export function budgetProgress(transactions, budget, months) {
+  const spent = new Map(monthlyDebits(transactions.filter(tx => budgetMatches(tx, budget))).map(m => [m.key, m.total]));
+  let carried = 0;
+  return months.map(key => {
+    const available = budget.limit + carried;
+    const total = spent.get(key) || 0;
+    carried = budget.carryOver ? available - total : 0;
+    return {
+      key,
+      month: monthLabel(key),
+      spent: total,
+      carried: available - budget.limit,
+      available,
+      remaining: available - total,
+      status: monthStatus(total, available),
+    };
+  });
+}
+
+/**
+ * Progress for every budget over the months the statements cover. The last
+ * month is `current`; `overMonths` counts the months the budget was exceeded.
+ * @param {Transaction[]} transactions  Categorized
+ * @param {Budget[]} budgets
+ */
+export function getBudgets(transactions, budgets) {
+  const months = coveredMonths(transactions);
+  return budgets.map(budget => {
+    const progress = budgetProgress(transactions, budget, months);
+    return {
+      ...budget,
+      label: budgetLabel(budget),
+      months: progress,
+      current: progress.at(-1) || null,
+      overMonths: progress.filter(m => m.status === 'over').length,
+    };
+  });
+}
@@ -0,0 +1,144 @@
+/** @typedef {import('./normalize.js').Transaction} Transaction */
+
+// ── Spending categories ────────────────────────────────
+// A rule matches when every condition it sets holds: narration regex,
+// merchant name, amount range, UPI handle and direction. Rules are plain JSON
+// so user rules can be saved as-is. User rules are tried before the built-in
+// set (newest first) and the first match wins.
+
+export const CATEGORIES = [
+  { id: 'food', label: 'Food & Dining', color: '#f57c00' },
+  { id: 'groceries', label: 'Groceries', color: '#7cb342' },
+  { id: 'shopping', label: 'Shopping', color: '#d81b60' },
+  { id: 'travel', label: 'Travel & Transport', color: '#1e88e5' },
+  { id: 'fuel', label: 'Fuel', color: '#6d4c41' },
+  { id: 'utilities', label: 'Bills & Utilities', color: '#00897b' },
+  { id: 'rent', label: 'Rent', color: '#5e35b1' },
+  { id: 'entertainment', label: 'Entertainment', color: '#e53935' },
+  { id: 'software', label: 'Software & Cloud', color: '#3949ab' },
+  { id: 'health', label: 'Health', color: '#43a047' },
+  { id: 'education', label: 'Education', color: '#8e24aa' },
+  { id: 'insurance', label: 'Insurance', color: '#546e7a' },
+  { id: 'investments', label: 'Investments', color: '#2e7d32' },
+  { id: 'emi', label: 'Loans & EMIs', color: '#c62828' },
+  { id: 'fees', label: 'Bank Fees & Charges', color: '#757575' },
+  { id: 'cash', label: 'Cash Withdrawal', color: '#9e9d24' },
+  { id: 'transfers', label: 'Transfers', color: '#90a4ae' },
+  { id: 'income', label: 'Income', color: '#2e7d32' },
+  { id: 'refunds', label: 'Refunds & Reversals', color: '#26a69a' },
+  { id: 'other', label: 'Other', color: '#bdbdbd' },
+];
+
+export const categoryById = (id) => CATEGORIES.find(c => c.id === id) || CATEGORIES[CATEGORIES.length - 1];
+
+const builtin = (category, pattern, extra = {}) => ({ id: `builtin:${category}:${pattern}`, category, pattern, ...extra });
+
+/** Indian merchants and narration conventions. Order matters: school fee is Education, not Fees. */
+export const BUILTIN_RULES = [
+  builtin('income', 'salary|\\bsal\\b|payroll', { direction: 'credit' }),
+  builtin('income', 'int\\.?\\s*pd|interest\\s*(paid|credit)|\\bdividend|\\bdiv\\b', { direction: 'credit' }),
+  builtin('refunds', 'refund|reversal|\\brev\\b|cashback|chargeback', { direction: 'credit' }),
+  builtin('groceries', 'bigbasket|blinkit|grofers|zepto|instamart|dmart|avenue\\s*supermarts|jiomart|reliance\\s*(fresh|smart|retail)|more\\s*retail|nature.?s\\s*basket|spencer'),
+  builtin('food', 'swiggy|zomato|domino|pizza\\s*hut|mcdonald|\\bkfc\\b|burger\\s*king|starbucks|eatsure|faasos|box8|chaayos|haldiram|restaurant|\\bcafe\\b|\\bdhaba\\b'),
+  builtin('entertainment', 'netflix|spotify|hotstar|disney|prime\\s*video|amazon\\s*prime|youtube\\s*premium|zee5|sonyliv|jiocinema|gaana|bookmyshow|\\bpvr\\b|inox'),
+  builtin('software', 'github|notion|figma|openai|chatgpt|slack|\\bzoom\\b|google\\s*(one|workspace|cloud)|microsoft|msft|dropbox|render\\.com|aws|adobe|canva|apple\\.com'),
+  builtin('shopping', 'amazon|flipkart|myntra|ajio|nykaa|meesho|tata\\s*cliq|croma|reliance\\s*digital|decathlon|ikea|lenskart|firstcry'),
+  builtin('travel', 'irctc|makemytrip|goibibo|cleartrip|yatra|ixigo|indigo|interglobe|air\\s*india|vistara|spicejet|akasa|redbus|\\boyo\\b|uber|\\bola\\b|olacabs|rapido|metro|fastag|\\bnetc\\b'),
+  builtin('fuel', 'indian\\s*oil|\\biocl?\\b|bharat\\s*petroleum|\\bbpcl\\b|\\bhpcl\\b|hp\\s*petrol|petrol|fuel|\\bshell\\b'),
+  builtin('utilities', '\\bjio\\b|airtel|bsnl|vodafone|\\bvi\\s*(prepaid|postpaid)|tata\\s*(power|play|sky)|adani\\s*(electricity|gas)|bescom|msedcl|tneb|tpddl|bses|electricity|act\\s*fibernet|hathway|dish\\s*tv|indane|bharat\\s*gas|hp\\s*gas|mahanagar\\s*gas|\\bigl\\b|water\\s*bill|bbps|billpay|bill\\s*pay|recharge|freecharge'),
+  builtin('rent', '\\brent\\b|nobroker|rentpay|house\\s*rent'),
+  builtin('health', 'apollo|pharmeasy|\\b1mg\\b|netmeds|medplus|hospital|clinic|diagnostic|practo|cult\\.?fit|pharmacy|chemist'),
+  builtin('education', 'byju|unacademy|udemy|coursera|vedantu|school|college|universit|tuition|exam\\s*fee'),
+  builtin('insurance', '\\blic\\b|insurance|policybazaar|ergo|lombard|star\\s*health|max\\s*life|acko|digit\\s*insurance'),
+  builtin('investments', 'zerodha|groww|upstox|kuvera|\\bsip\\b|mutual\\s*fund|\\bnps\\b|\\bppf\\b|\\biccl\\b|indian\\s*clearing|\\bbse\\b|\\bnse\\b|angel\\s*one|smallcase'),
+  builtin('emi', '\\bemi\\b|loan|bajaj\\s*fin|home\\s*fin|nach.*(fin|loan)'),
+  builtin('fees', '\\bcharges?\\b|\\bfee\\b|\\bgst\\b|penalty|min(imum)?\\s*bal|sms\\s*alert|\\bamc\\b|annual\\s*fee', { direction: 'debit' }),
+  builtin('cash', '\\b(atw|nwd|eaw|awb)\\b|\\batm\\b|cash\\s*(withdrawal|wdl)|self\\s*withdrawal', { direction: 'debit' }),
+  builtin('transfers', '^(neft|imps|rtgs)\\b|\\bfund\\s*transfer|\\bself\\s*transfer|\\bto\\s*self\\b|\\bft\\b|\\btpt\\b'),
+];
+
+// User patterns may not compile; a broken rule just never matches
+const regexCache = new Map();
+const compile = (pattern) => {
+  if (!regexCache.has(pattern)) {
+    let re = null;
+    try {
+      re = new RegExp(pattern, 'i');
+    } catch {
+      re = null;
+    }
+    regexCache.set(pattern, re);
+  }
+  return regexCache.get(pattern);
+};
+
+const amountOf = (tx) => tx.debit || tx.credit || 0;
+const isCredit = (tx) => tx.credit > 0 && !tx.debit;
+
+/**
+ * Does a rule match a transaction?
+ * @param {Transaction} tx
+ * @param {{ pattern?: string, merchant?: string, upi?: string, minAmount?: number, maxAmount?: number, direction?: 'debit'|'credit' }} rule
+ */
+export function matchesRule(tx, rule) {
+  if (rule.direction && (rule.direction === 'credit') !== isCredit(tx)) return false;
+  if (rule.pattern) {
+    const re = compile(rule.pattern);
+    if (!re || !re.test(tx.description)) return false;
+  }
+  if (rule.merchant && rule.merchant.toLowerCase() !== tx.merchant.toLowerCase()) return false;
+  if (rule.upi && !(tx.vpa || '').includes(rule.upi.toLowerCase())) return false;
+  const amount = amountOf(tx);
+  if (rule.minAmount != null && amount < rule.minAmount) return false;
+  if (rule.maxAmount != null && amount > rule.maxAmount) return false;
+  // A rule with no conditions would swallow everything
+  return Boolean(rule.pattern || rule.merchant || rule.upi || rule.minAmount != null || rule.maxAmount != null);
+}
+
+/**
+ * Category id for one transaction.
+ * @param {Transaction} tx
+ * @param {Object[]} [userRules]  Newest first
+ */
+export function categorize(tx, userRules = []) {
+  const rule = userRules.find(r => matchesRule(tx, r)) || BUILTIN_RULES.find(r => matchesRule(tx, r));
+  if (rule) return rule.category;
+  return isCredit(tx) ? 'income' : 'other';
+}
+
+/** Copies of the transactions with `category` set. */
+export const categorizeTransactions = (transactions, userRules = []) =>
+  transactions.map(tx => ({ ...tx, category: categorize(tx, userRules) }));
+
+/**
+ * Turn "this transaction is X" into a rule that also catches its siblings:
+ * by UPI handle when the narration has one, else by merchant name.
+ * @returns {Object} A user rule, ready to save
+ */
+export function learnRule(tx, category) {
+  const condition = tx.vpa ? { upi: tx.vpa } : { merchant: tx.merchant };
+  return {
+    id: `user:${Date.now().toString(36)}:${Math.random().toString(36).slice(2, 6)}`,
+    category,
+    ...condition,
+    direction: isCredit(tx) ? 'credit' : 'debit',
+    learned: true,
+  };
+}
+
+/**
+ * Debit spend per category, largest first.
+ * @param {Transaction[]} transactions  Already categorized
+ * @returns {{ id: string, label: string, color: string, total: number, count: number, transactions: Transaction[] }[]}
+ */
+export function getCategoryBreakdown(transactions) {
+  const groups = new Map();
+  transactions.filter(tx => tx.debit > 0).forEach(tx => {
+    if (!groups.has(tx.category)) groups.set(tx.category, { ...categoryById(tx.category), total: 0, count: 0, transactions: [] });
+    const group = groups.get(tx.category);
+    group.total += tx.debit;
+    group.count += 1;
+    group.transactions.push(tx);
+  });
+  return [...groups.values()].sort((a, b) => b.total - a.total);
+}
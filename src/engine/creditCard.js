@@ -0,0 +1,332 @@
+import { readCardAmount } from './normalize.js';
+import { stripCurrency } from './currency.js';
+import { cleanMerchantName } from './merchants.js';
+import { parseDate, daysBetween, byDate } from './dates.js';
+
+/** @typedef {import('./normalize.js').Transaction} Transaction */
+
+// ── Credit card statements ─────────────────────────────
+// A card statement is a bill: above (or below) the transactions it prints the
+// billing period, the total due and the date it's due. Its rows mix purchases
+// with things that aren't spending in the usual sense: bill payments (money
+// moved from a bank account), forex markup and fees, and purchases converted
+// to EMI, which turn one charge into monthly installments.
+
+// ── Bill summary ──
+
+// Labels, most specific first ("Minimum Amount Due" before "Total Amount Due")
+const SUMMARY_FIELDS = [
+  ['period', /(statement|billing)\s*(period|cycle)/],
+  ['dueDate', /(payment\s*)?due\s*date|pay\s*by/],
+  ['statementDate', /statement\s*date|bill\s*date/],
+  ['minimumDue', /min(imum)?\.?\s*(amount\s*)?(due|payable)/],
+  ['totalDue', /total\s*(amount\s*)?(due|dues|payable|outstanding)/],
+  ['previousBalance', /previous\s*(balance|statement\s*dues?)|opening\s*balance/],
+  ['creditLimit', /^(total\s*)?credit\s*limit/],
+];
+const DATE_FIELDS = ['period', 'dueDate', 'statementDate'];
+
+const DATE_RE = /\d{4}-\d{2}-\d{2}|\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}|\d{1,2}[\s-]+[a-z]{3,9}[\s,-]+\d{2,4}/gi;
+const MONEY_RE = /-?\d[\d,.]*\s*(?:cr|dr)?/i;
+
+const dateIn = (text, dateOrder) => (String(text ?? '').match(DATE_RE) || []).map(d => parseDate(d, dateOrder)).filter(Boolean);
+
+const moneyIn = (text) => {
+  const found = stripCurrency(text).match(MONEY_RE);
+  if (!found) return null;
+  const { amount, credit } = readCardAmount(found[0]);
+  // A credit balance ("500.00 Cr") is money the bank owes the cardholder
+  return amount === null ? null : credit ? -amount : amount;
+};
+
+const fieldAt = (cell) => {
+  const text = String(cell ?? '').trim().toLowerCase();
+  if (!text) return null;
+  const hit = SUMMARY_FIELDS.find(([, re]) => re.test(text));
+  if (!hit) return null;
+  const end = text.match(hit[1]).index + text.match(hit[1])[0].length;
+  return { field: hit[0], rest: String(cell).trim().slice(end).replace(/^[\s:-]+/, '') };
+};
+
+/**
+ * The bill summary of a card statement: billing period, dates and amounts.
+ * Handles "label: value" cells, label and value in neighbouring cells, and a
+ * row of labels with the values on the row below.
+ * @param {Array[]} rows  Raw rows around the transaction table (parseTable's preamble and summary rows)
+ * @param {string} [dateOrder]  From inferDateOrder
+ * @returns {{ periodFrom?: Date, periodTo?: Date, statementDate?: Date, dueDate?: Date,
+ *   totalDue?: number, minimumDue?: number, previousBalance?: number, creditLimit?: number }}
+ */
+export function readCardSummary(rows = [], dateOrder = 'DMY') {
+  const summary = {};
+  const set = (field, values) => {
+    if (field in summary || (field === 'period' && 'periodFrom' in summary)) return;
+    const text = values.filter(v => v !== null && v !== undefined && String(v).trim() !== '').join(' ');
+    if (DATE_FIELDS.includes(field)) {
+      const dates = dateIn(text, dateOrder);
+      if (field === 'period' && dates.length >= 2) [summary.periodFrom, summary.periodTo] = dates;
+      else if (field !== 'period' && dates.length) summary[field] = dates[0];
+      return;
+    }
+    const value = typeof values[0] === 'number' ? values[0] : moneyIn(text);
+    if (value !== null) summary[field] = value;
+  };
+  rows.forEach((row, k) => {
+    const fields = row.map(fieldAt);
+    const blank = (cell, i) => fields[i] || String(cell ?? '').trim() === '';
+    if (fields.filter(f => f && !f.rest).length >= 2 && row.every(blank)) {
+      const below = rows[k + 1] || [];
+      fields.forEach((f, i) => f && set(f.field, [below[i]]));
+      return;
+    }
+    fields.forEach((f, i) => {
+      if (!f) return;
+      // The value is in the cell itself, or in the cells after it up to the next label
+      const next = row.slice(i + 1);
+      const stop = next.findIndex(fieldAt);
+      set(f.field, f.rest ? [f.rest] : next.slice(0, stop === -1 ? next.length : stop));
+    });
+  });
+  return summary;
+}
+
+/** Only card statements print a payment due date or a minimum due. */
+export const isCardSummary = (summary) => Boolean(summary.dueDate || summary.minimumDue !== undefined);
+
+// ── Entries ──
+
+/** What each card row is. */
+export const CARD_ENTRIES = [
+  { id: 'purchase', label: 'Purchases' },
+  { id: 'emi', label: 'EMI installments' },
+  { id: 'markup', label: 'Forex markup' },
+  { id: 'fee', label: 'Fees & taxes' },
+  { id: 'interest', label: 'Interest' },
+  { id: 'payment', label: 'Bill payments' },
+  { id: 'refund', label: 'Refunds' },
+  { id: 'reward', label: 'Rewards & cashback' },
+  { id: 'emi-conversion', label: 'Converted to EMI' },
+];
+
+const MARKUP_RE = /mark\s*-?\s*up|cross\s*currency|\bdcc\b|forex\s*(fee|charge|markup)|foreign\s*(currency\s*)?(txn\s*|transaction\s*)?(fee|charge)|\bfcy\s*(fee|charge)/i;
+const TAX_RE = /\b[ics]?gst\b|service\s*tax/i;
+// The issuer's own charges; "SCHOOL FEES" or "MOBILE RECHARGE" are purchases
+const FEE_RE = /\b(annual|joining|renewal|membership|late\s*(payment)?|over\s*-?\s*limit|cash\s*(advance|withdrawal)|reward\s*redemption|(cheque|chq|payment|ecs|nach|auto\s*debit)\s*(return|bounce))\s*(fees?|chg|chgs|charges?)\b|\bpenal(ty)?\b/i;
+const INTEREST_RE = /interest|\bint\b|finance\s*charge/i;
+const EMI_RE = /\b(emi|instal+ments?|inst)\b/i;
+// "3/12", "03 OF 12"; not the start of a date
+const COUNT_RE = /\b(\d{1,2})\s*(?:\/|of)\s*(\d{1,2})\b(?![/.-]\d)/i;
+const CONVERSION_RE = /emi\s*conv|conver(ted|sion)\s*(to|into)?\s*emi|smart\s*emi|flexi\s*pay|emi\s*booking|loan\s*on\s*card/i;
+const REWARD_RE = /reward|cash\s*back|points?\s*redem|redeem/i;
+const REFUND_RE = /refund|reversal|\brev\b|chargeback|waiver|waived/i;
+const PAYMENT_RE = /payment|thank\s*you|autopay|auto\s*debit|\bbbps\b|\bneft\b|\bimps\b|\bupi\b|\bcred\b|received|\bpymt\b/i;
+
+// Installment number and count, when the narration is one
+const readInstallment = (description) => {
+  if (!EMI_RE.test(description) || CONVERSION_RE.test(description)) return null;
+  const count = description.match(COUNT_RE);
+  if (!count) return null;
+  const [n, of] = [Number(count[1]), Number(count[2])];
+  if (n < 1 || of < 2 || n > of) return null;
+  return { n, of, part: INTEREST_RE.test(description) ? 'interest' : 'principal' };
+};
+
+// "EMI PRINCIPAL 3/12 AMAZON SELLER SERVICES" → "Amazon EMI"
+const installmentMerchant = (description) => {
+  const name = description
+    .replace(COUNT_RE, ' ')
+    .replace(/\b(emi|instal+ments?|inst|principal|interest|int|amt|amount|loan|on|of|for|no)\b/gi, ' ')
+    .replace(/[^a-z0-9&.'\s]+/gi, ' ')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+  return name ? `${cleanMerchantName(name)} EMI` : 'Card EMI';
+};
+
+/**
+ * The card fields of a row from a card statement. Worked out from the
+ * narration, so saved statements pick up improvements here too.
+ * @param {Transaction} tx
+ * @returns {{ cardEntry: string, installment: Object|null, merchant?: string }}
+ */
+export function cardFields(tx) {
+  const text = tx.description;
+  let cardEntry;
+  let installment = null;
+  if (tx.credit > 0) {
+    if (CONVERSION_RE.test(text)) cardEntry = 'emi-conversion';
+    else if (REWARD_RE.test(text)) cardEntry = 'reward';
+    else if (REFUND_RE.test(text)) cardEntry = 'refund';
+    else cardEntry = PAYMENT_RE.test(text) ? 'payment' : 'refund';
+  } else if (MARKUP_RE.test(text)) {
+    cardEntry = 'markup';
+  } else if (TAX_RE.test(text)) {
+    cardEntry = 'fee';
+  } else if ((installment = readInstallment(text))) {
+    cardEntry = 'emi';
+  } else if (INTEREST_RE.test(text)) {
+    cardEntry = 'interest';
+  } else {
+    cardEntry = FEE_RE.test(text) ? 'fee' : 'purchase';
+  }
+  return { cardEntry, installment, ...(installment && { merchant: installmentMerchant(text) }) };
+}
+
+// ── EMI plans ──
+
+// Categories card entries take whatever their narration says. A conversion
+// credit gives back its purchase, so it's a refund even when unlinked.
+const ENTRY_CATEGORY = {
+  markup: 'fees', fee: 'fees', interest: 'fees', emi: 'emi', refund: 'refunds', reward: 'refunds', 'emi-conversion': 'refunds',
+};
+
+// A conversion to EMI this long after the purchase still links to it
+const LINK_WINDOW_DAYS = 60;
+const near = (a, b, slack) => Math.abs(a - b) <= slack;
+
+const planKey = (tx) => `emi:${tx.account}:${tx.merchant}:${tx.installment.of}`;
+
+// The latest unclaimed row for `amount`, dated up to `days` before `by`
+const findLinked = (rows, claimed, { amount, slack, by, days = LINK_WINDOW_DAYS }) => rows
+  .filter(tx => !claimed.has(tx) && tx.date <= by && daysBetween(tx.date, by) <= days
+    && near(tx.debit || tx.credit, amount, slack))
+  .sort((a, b) => b.date - a.date)[0] || null;
+
+/**
+ * Copies of the transactions with card entries applied: fees, markup and
+ * interest categorized as fees, installments as EMIs, refunds and rewards as
+ * refunds. Each installment gets its plan id in `emiPlan`; the purchase it
+ * pays off and the credit that reversed that purchase get it in `emiConverted`
+ * and drop out of spending, since the installments now carry it. A conversion
+ * whose installments haven't started yet still cancels out its purchase.
+ * @param {Transaction[]} transactions  Categorized
+ */
+export function markCardEntries(transactions) {
+  const card = transactions.filter(tx => tx.cardEntry && tx.date).sort(byDate);
+  if (!card.length) return transactions;
+  const marks = new Map();
+  const claimed = new Set();
+  const purchases = card.filter(tx => tx.cardEntry === 'purchase');
+  const conversions = card.filter(tx => tx.cardEntry === 'emi-conversion');
+
+  const plans = new Map();
+  card.filter(tx => tx.cardEntry === 'emi').forEach(tx => {
+    const key = planKey(tx);
+    if (!plans.has(key)) plans.set(key, []);
+    plans.get(key).push(tx);
+    marks.set(tx, { emiPlan: key });
+  });
+  plans.forEach((rows, key) => {
+    const principal = rows.filter(tx => tx.installment.part === 'principal');
+    if (!principal.length) return;
+    const first = principal[0];
+    const { of } = first.installment;
+    const financed = first.debit * of;
+    // Equal installments round to the rupee, so allow that much per installment
+    const slack = Math.max(of, financed * 0.01);
+    // Reaching back to the purchase from the first installment in view
+    const days = LINK_WINDOW_DAYS + 31 * (first.installment.n - 1);
+    const account = (tx) => tx.account === first.account;
+    const purchase = findLinked(purchases.filter(account), claimed, { amount: financed, slack, by: first.date, days });
+    const conversion = findLinked(conversions.filter(account), claimed, purchase
+      ? { amount: purchase.debit, slack: 0.01, by: first.date, days }
+      : { amount: financed, slack, by: first.date, days });
+    [purchase, conversion].filter(Boolean).forEach(tx => {
+      claimed.add(tx);
+      marks.set(tx, { emiConverted: key });
+    });
+  });
+
+  conversions.filter(tx => !claimed.has(tx)).forEach(conversion => {
+    const purchase = findLinked(purchases.filter(tx => tx.account === conversion.account), claimed, {
+      amount: conversion.credit, slack: 0.01, by: conversion.date,
+    });
+    if (!purchase) return;
+    const key = `emi:${conversion.account}:${purchase.merchant}:new`;
+    [purchase, conversion].forEach(tx => {
+      claimed.add(tx);
+      marks.set(tx, { emiConverted: key });
+    });
+  });
+
+  return transactions.map(tx => {
+    if (!tx.cardEntry) return tx;
+    const category = ENTRY_CATEGORY[tx.cardEntry];
+    return { ...tx, ...(category && { category }), ...marks.get(tx) };
+  });
+}
+
+/**
+ * One row per EMI installment (principal plus its interest) and no card fees,
+ * markup or interest, so recurrence detection sees what's billed each month
+ * and one-off charges that mention "EMI" don't pass for a subscription.
+ * @param {Transaction[]} transactions  From markCardEntries
+ */
+export function foldInstallments(transactions) {
+  const interest = new Map();
+  transactions.filter(tx => tx.installment?.part === 'interest').forEach(tx => {
+    const key = `${tx.emiPlan}#${tx.installment.n}`;
+    interest.set(key, (interest.get(key) || 0) + tx.debit);
+  });
+  return transactions
+    .filter(tx => !['markup', 'fee', 'interest'].includes(tx.cardEntry) && tx.installment?.part !== 'interest')
+    .map(tx => {
+      const extra = tx.installment ? interest.get(`${tx.emiPlan}#${tx.installment.n}`) : 0;
+      return extra ? { ...tx, debit: tx.debit + extra } : tx;
+    });
+}
+
+/**
+ * Card figures for the dashboard: totals per kind of entry and the EMI plans.
+ * @param {Transaction[]} transactions  From markCardEntries
+ * @returns {{ entries: { id: string, label: string, count: number, total: number }[],
+ *   plans: { id: string, account: string, merchant: string, description: string, months: number, paid: number,
+ *     monthly: number, principal: number, interest: number, remaining: number, lastDate: Date,
+ *     purchase: { date: Date, amount: number, description: string }|null }[],
+ *   emiMonthly: number, emiRemaining: number }|null}  null when no card statement is loaded
+ */
+export function getCardSummary(transactions) {
+  const card = transactions.filter(tx => tx.cardEntry);
+  if (!card.length) return null;
+  const entries = CARD_ENTRIES
+    .map(({ id, label }) => {
+      const own = card.filter(tx => tx.cardEntry === id);
+      return { id, label, count: own.length, total: own.reduce((s, tx) => s + tx.debit + tx.credit, 0) };
+    })
+    .filter(e => e.count > 0);
+
+  const byPlan = new Map();
+  card.filter(tx => tx.emiPlan).sort(byDate).forEach(tx => {
+    if (!byPlan.has(tx.emiPlan)) byPlan.set(tx.emiPlan, []);
+    byPlan.get(tx.emiPlan).push(tx);
+  });
+  const plans = [...byPlan].map(([id, rows]) => {
+    const paid = Math.max(...rows.map(tx => tx.installment.n));
+    const latest = rows.filter(tx => tx.installment.n === paid);
+    const part = (name) => latest.filter(tx => tx.installment.part === name).reduce((s, tx) => s + tx.debit, 0);
+    const principal = part('principal');
+    const purchase = card.find(tx => tx.emiConverted === id && tx.debit > 0);
+    const months = rows[0].installment.of;
+    return {
+      id,
+      account: rows[0].account,
+      merchant: rows[0].merchant,
+      description: purchase ? purchase.merchant : rows[0].merchant.replace(/ EMI$/, ''),
+      months,
+      paid,
+      principal,
+      interest: part('interest'),
+      monthly: principal + part('interest'),
+      remaining: principal * (months - paid),
+      lastDate: latest[latest.length - 1].date,
+      purchase: purchase ? { date: purchase.date, amount: purchase.debit, description: purchase.description } : null,
+    };
+  }).sort((a, b) => b.remaining - a.remaining);
+
+  const running = plans.filter(p => p.paid < p.months);
+  return {
+    entries,
+    plans,
+    emiMonthly: running.reduce((s, p) => s + p.monthly, 0),
+    emiRemaining: running.reduce((s, p) => s + p.remaining, 0),
+  };
+}
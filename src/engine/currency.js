@@ -0,0 +1,228 @@
+// ── Currencies ─────────────────────────────────────────
+// Which currency a statement is in, how its amounts are written (1,234.56 or
+// 1.234,56), the foreign amount behind a card charge abroad ("USD 12.99"), and
+// converting everything into one display currency at rates the user enters —
+// nothing is fetched, so conversion works offline.
+
+export const DEFAULT_CURRENCY = 'INR';
+
+/** Currencies we recognise in headers, amounts and narrations, and how to show them. */
+export const CURRENCIES = [
+  { code: 'INR', label: 'Indian rupee', locale: 'en-IN', symbols: ['₹', 'Rs.', 'Rs'] },
+  { code: 'USD', label: 'US dollar', locale: 'en-US', symbols: ['US$', '$'] },
+  { code: 'EUR', label: 'Euro', locale: 'de-DE', symbols: ['€'] },
+  { code: 'GBP', label: 'British pound', locale: 'en-GB', symbols: ['£'] },
+  { code: 'AED', label: 'UAE dirham', locale: 'en-AE', symbols: ['Dhs', 'Dh'] },
+  { code: 'SGD', label: 'Singapore dollar', locale: 'en-SG', symbols: ['S$'] },
+  { code: 'AUD', label: 'Australian dollar', locale: 'en-AU', symbols: ['A$'] },
+  { code: 'CAD', label: 'Canadian dollar', locale: 'en-CA', symbols: ['C$'] },
+  { code: 'JPY', label: 'Japanese yen', locale: 'ja-JP', symbols: ['¥'] },
+  { code: 'CHF', label: 'Swiss franc', locale: 'de-CH', symbols: [] },
+];
+
+export const currencyByCode = (code) => CURRENCIES.find(c => c.code === code) || null;
+
+/** How amounts in a currency are marked: ₹, €; the code itself when it has no symbol. */
+export const currencySymbol = (code) => currencyByCode(code)?.symbols[0] || code;
+
+const escape = (s) => s.replace(/[.$]/g, '\\$&');
+// Longest first, so "US$" wins over "$". Letter symbols need word boundaries.
+const SYMBOLS = CURRENCIES.flatMap(c => c.symbols.map(symbol => ({ symbol, code: c.code })))
+  .sort((a, b) => b.symbol.length - a.symbol.length);
+const MARK = SYMBOLS.map(({ symbol }) => (/^[a-z]/i.test(symbol) ? `\\b${escape(symbol)}(?![a-z])` : escape(symbol)));
+const CODE_RE = new RegExp(`\\b(${CURRENCIES.map(c => c.code).join('|')})\\b`, 'i');
+const MARK_RE = new RegExp(`\\b(${CURRENCIES.map(c => c.code).join('|')})\\b|${MARK.join('|')}`, 'gi');
+
+/**
+ * The currency a piece of text names, by ISO code or symbol: "Amount (USD)",
+ * "€ 12,50", "Rs. 500". Null when it names none.
+ */
+export const currencyOf = (text) => {
+  const s = String(text ?? '');
+  const code = s.match(CODE_RE);
+  if (code) return code[1].toUpperCase();
+  const lower = s.toLowerCase();
+  const hit = SYMBOLS.find(({ symbol }) => (/^[a-z]/i.test(symbol)
+    ? new RegExp(`\\b${escape(symbol)}(?![a-z])`, 'i').test(s)
+    : lower.includes(symbol.toLowerCase())));
+  return hit ? hit.code : null;
+};
+
+/** The text with currency codes and symbols taken out. */
+export const stripCurrency = (text) => String(text ?? '').replace(MARK_RE, ' ');
+
+// ── Amount formats ──
+
+// "1,234.56", "1.234,56", "1 234,56", "1'234.56" → "1234.56". `decimal` settles
+// the ambiguous ones ("1.234", "12,50") the way the rest of the statement writes them.
+export const plainNumber = (digits, decimal = '.') => {
+  const text = digits.replace(/[\s'\u00a0\u202f]/g, '');
+  const dot = text.lastIndexOf('.');
+  const comma = text.lastIndexOf(',');
+  let sep = null;
+  if (dot !== -1 && comma !== -1) sep = dot > comma ? '.' : ',';
+  else if (comma !== -1) sep = decimal === ',' || /^\d+,\d{1,2}$/.test(text) ? ',' : null;
+  else if (dot !== -1) sep = decimal === ',' && /^\d{1,3}(\.\d{3})+$/.test(text) ? null : '.';
+  // The same mark more than once is digit grouping ("1.234.567")
+  if (sep && text.split(sep).length > 2) sep = null;
+  const [whole, fraction] = sep ? [text.slice(0, text.lastIndexOf(sep)), text.slice(text.lastIndexOf(sep) + 1)] : [text, ''];
+  return whole.replace(/[.,]/g, '') + (fraction ? `.${fraction}` : '');
+};
+
+/**
+ * How a statement writes its decimals, from a sample of its amount cells:
+ * ',' when most amounts read like "1.234,56" or "12,50", else '.'.
+ * @param {*[]} cells
+ * @returns {'.'|','}
+ */
+export function inferDecimal(cells) {
+  let comma = 0;
+  let dot = 0;
+  cells.forEach(cell => {
+    if (typeof cell !== 'string') return;
+    const text = cell.replace(/[^\d.,]/g, '');
+    if (/,\d{1,2}$/.test(text) || /^\d{1,3}(\.\d{3}){2,}$/.test(text) || /\.\d{3},/.test(text)) comma++;
+    else if (/\.\d{1,2}$/.test(text) || /,\d{3}\./.test(text)) dot++;
+  });
+  return comma > dot ? ',' : '.';
+}
+
+// ── Statement and foreign currency ──
+
+// Amount columns that hold a foreign amount rather than the statement's own
+const FOREIGN_HEADER = /foreign|original|fcy/i;
+
+/**
+ * The currency a statement is in: from a "Currency: USD" line above the
+ * table, an amount header like "Amount (EUR)", or the marks on its amount cells.
+ * @param {{ preamble?: Array[], headers?: string[], cells?: *[] }} sources
+ * @returns {string|null}  ISO code, or null when nothing says
+ */
+export function detectCurrency({ preamble = [], headers = [], cells = [] }) {
+  const stated = preamble.map(row => row.join(' ')).find(line => /currency/i.test(line) && currencyOf(line.replace(/currency/gi, '')));
+  if (stated) return currencyOf(stated.replace(/currency/gi, ''));
+  const header = headers.find(h => !FOREIGN_HEADER.test(h) && /amt|amount|balance|debit|credit|withdrawal|deposit/i.test(h) && currencyOf(h));
+  if (header) return currencyOf(header);
+  const counts = new Map();
+  cells.forEach(cell => {
+    const code = typeof cell === 'string' ? currencyOf(cell) : null;
+    if (code) counts.set(code, (counts.get(code) || 0) + 1);
+  });
+  return [...counts].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+}
+
+const FOREIGN_RE = new RegExp(
+  `\\b(${CURRENCIES.map(c => c.code).join('|')})\\s*(\\d[\\d,.]*\\d|\\d)|(\\d[\\d,.]*\\d|\\d)\\s*(${CURRENCIES.map(c => c.code).join('|')})\\b`,
+  'i',
+);
+
+/**
+ * The amount in another currency that a narration quotes, as card statements
+ * do for charges abroad: "NETFLIX.COM USD 15.49", "AWS 12.00 USD".
+ * @param {string} text
+ * @param {string} currency  The statement's own currency, which doesn't count as foreign
+ * @returns {{ amount: number, currency: string }|null}
+ */
+export function foreignAmount(text, currency) {
+  const m = String(text ?? '').match(FOREIGN_RE);
+  if (!m) return null;
+  const code = (m[1] || m[4]).toUpperCase();
+  const amount = Number(plainNumber(m[2] || m[3]));
+  return code !== currency && amount > 0 ? { amount, currency: code } : null;
+}
+
+// ── Conversion ──
+
+/**
+ * Read exchange rates typed or pasted in, one per line: "USD INR 83.2",
+ * "USD/INR, 83.2", "1 USD = 83.2 INR". A JSON list of { from, to, rate } works too.
+ * @param {string} text
+ * @returns {{ rates: { from: string, to: string, rate: number }[], skipped: string[] }}  `skipped` are the lines that couldn't be read
+ */
+export function parseRates(text) {
+  const rates = [];
+  const skipped = [];
+  const add = (from, to, rate) => rates.push({ from: from.toUpperCase(), to: to.toUpperCase(), rate });
+  try {
+    const list = JSON.parse(text);
+    if (Array.isArray(list)) {
+      list.forEach(r => (currencyByCode(String(r.from).toUpperCase()) && currencyByCode(String(r.to).toUpperCase()) && r.rate > 0
+        ? add(r.from, r.to, Number(r.rate)) : skipped.push(JSON.stringify(r))));
+      return { rates, skipped };
+    }
+  } catch {
+    // Not JSON: one rate per line
+  }
+  String(text).split(/\r?\n/).map(line => line.trim()).filter(Boolean).forEach(line => {
+    const codes = line.match(new RegExp(CODE_RE.source, 'gi')) || [];
+    const numbers = (line.match(/\d+(?:\.\d+)?/g) || []).map(Number);
+    // "1 USD = 83.2 INR": the rate is the last number
+    const rate = numbers[numbers.length - 1];
+    if (codes.length === 2 && rate > 0 && codes[0].toUpperCase() !== codes[1].toUpperCase()) add(codes[0], codes[1], rate);
+    else skipped.push(line);
+  });
+  return { rates, skipped };
+}
+
+const quoted = (rates, from, to) => {
+  const direct = rates.find(r => r.from === from && r.to === to);
+  if (direct) return direct.rate;
+  const inverse = rates.find(r => r.from === to && r.to === from);
+  return inverse ? 1 / inverse.rate : null;
+};
+
+/**
+ * How many `to` one `from` buys at the user's rates: quoted directly, the
+ * other way round, or through a currency both are quoted against.
+ * @param {{ from: string, to: string, rate: number }[]} rates
+ * @returns {number|null}
+ */
+export function findRate(rates, from, to) {
+  if (from === to) return 1;
+  const rate = quoted(rates, from, to);
+  if (rate) return rate;
+  for (const via of new Set(rates.flatMap(r => [r.from, r.to]))) {
+    const [a, b] = [quoted(rates, from, via), quoted(rates, via, to)];
+    if (a && b) return a * b;
+  }
+  return null;
+}
+
+const MONEY_FIELDS = ['debit', 'credit', 'amount', 'balance'];
+
+/**
+ * Bring every transaction into one display currency.
+ * @param {import('./normalize.js').Transaction[]} transactions
+ * @param {{ display?: string, rates?: { from: string, to: string, rate: number }[] }} [settings]
+ *   `display` '' (the default) shows the currency most of the rows are in
+ * @returns {{ transactions: Object[], display: string, currencies: string[], missing: string[] }}
+ *   Converted rows keep what they were in `original` (unless they already had a foreign
+ *   original) and get `converted: { from, rate }`. Rows in a currency with no rate are left
+ *   as they are and their currency is listed in `missing`; analyzeTransactions leaves them
+ *   out of its totals.
+ */
+export function convertTransactions(transactions, { display = '', rates = [] } = {}) {
+  const counts = new Map();
+  transactions.forEach(tx => counts.set(tx.currency || DEFAULT_CURRENCY, (counts.get(tx.currency || DEFAULT_CURRENCY) || 0) + 1));
+  const currencies = [...counts].sort((a, b) => b[1] - a[1]).map(([code]) => code);
+  const target = display || currencies[0] || DEFAULT_CURRENCY;
+  const missing = new Set();
+  const converted = transactions.map(tx => {
+    const from = tx.currency || DEFAULT_CURRENCY;
+    if (from === target) return tx;
+    const rate = findRate(rates, from, target);
+    if (!rate) {
+      missing.add(from);
+      return tx;
+    }
+    const values = Object.fromEntries(MONEY_FIELDS.map(f => [f, typeof tx[f] === 'number' ? tx[f] * rate : tx[f]]));
+    return {
+      ...tx,
+      ...values,
+      currency: target,
+      original: tx.original || { amount: tx.debit || tx.credit, currency: from },
+      converted: { from, rate },
+    };
+  });
+  return { transactions: converted, display: target, currencies, missing: [...missing] };
+}
@@ -0,0 +1,176 @@
+// ── Statement date parsing ────────────────────────────
+// Banks write dates every which way: 05/01/25, 05-Jan-2025, 2025-01-05,
+// 01/05/2025 (US exports), 05.01.2025, "5 Jan 2025 10:32". A single cell like
+// 05/01/25 is ambiguous, so the day/month order is decided once for the whole
+// column (inferDateOrder) and then applied to every cell (parseDate).
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAMES = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
+
+/** Day/month/year order of numeric dates. */
+export const DATE_ORDERS = {
+  DMY: 'DD/MM/YYYY',
+  MDY: 'MM/DD/YYYY',
+  YMD: 'YYYY-MM-DD',
+};
+
+const monthIndex = (token) => MONTHS.indexOf(token.slice(0, 3).toLowerCase());
+const fullYear = (y) => (y < 100 ? (y < 70 ? 2000 + y : 1900 + y) : y);
+const isYearToken = (t) => /^\d{4}$/.test(t);
+
+const makeDate = (year, month, day) => {
+  if (!(month >= 0 && month <= 11 && day >= 1 && day <= 31)) return null;
+  const d = new Date(fullYear(year), month, day);
+  // Rejects 31/02 and friends, which Date would silently roll over
+  return d.getMonth() === month && d.getDate() === day ? d : null;
+};
+
+// Split a text date into its parts, dropping any trailing time of day
+const tokenize = (text) => text.trim()
+  .replace(/[T\s]+\d{1,2}:\d{2}(:\d{2})?(\.\d+)?\s*([AP]M)?.*$/i, '')
+  .split(/[\s/.\-,]+/)
+  .filter(Boolean);
+
+/**
+ * Classify a text date. Month names and 4-digit leading years pin the order
+ * by themselves; anything else is 'numeric' and needs the column's order.
+ * @returns {{ kind: 'fixed', date: Date|null }|{ kind: 'numeric', a: number, b: number, year: number }|null}
+ */
+const readParts = (text) => {
+  const tokens = tokenize(text);
+  if (tokens.length === 1 && /^\d{8}$/.test(tokens[0])) {
+    const t = tokens[0];
+    return { kind: 'fixed', date: makeDate(+t.slice(0, 4), +t.slice(4, 6) - 1, +t.slice(6, 8)) };
+  }
+  if (tokens.length !== 3) return null;
+  const named = tokens.findIndex(t => /^[a-z]{3,}$/i.test(t));
+  if (named !== -1) {
+    const month = monthIndex(tokens[named]);
+    if (month === -1) return null;
+    const nums = tokens.filter((_, i) => i !== named).map(Number);
+    if (nums.some(Number.isNaN)) return null;
+    // "Jan 05 2025" / "05 Jan 2025" / "2025 Jan 05"
+    const yearFirst = isYearToken(tokens[0]);
+    const [day, year] = yearFirst ? [nums[1], nums[0]] : [nums[0], nums[1]];
+    return { kind: 'fixed', date: makeDate(year, month, day) };
+  }
+  if (!tokens.every(t => /^\d+$/.test(t))) return null;
+  const [x, y, z] = tokens.map(Number);
+  if (isYearToken(tokens[0])) return { kind: 'fixed', date: makeDate(x, y - 1, z) };
+  return { kind: 'numeric', a: x, b: y, year: z };
+};
+
+const fromNumeric = ({ a, b, year }, order) => (
+  order === 'MDY' ? makeDate(year, a - 1, b) : makeDate(year, b - 1, a)
+);
+
+// Statements are in date order (either direction), so the right reading of an
+// ambiguous column is the one that yields the more sorted sequence.
+const orderliness = (dates) => {
+  let asc = 0;
+  let desc = 0;
+  for (let i = 1; i < dates.length; i++) {
+    if (dates[i] >= dates[i - 1]) asc++;
+    if (dates[i] <= dates[i - 1]) desc++;
+  }
+  return Math.max(asc, desc);
+};
+
+/** Turn a profile's dateFormat ('DD/MM/YY', 'D MMM YYYY'…) into an order code. */
+export const formatToOrder = (format) => {
+  const first = (format || '').trim().charAt(0).toUpperCase();
+  return { D: 'DMY', M: 'MDY', Y: 'YMD' }[first] || null;
+};
+
+/**
+ * Work out the day/month order for a whole date column.
+ * @param {Array} cells  Raw date cells (strings, Excel serials, Date objects)
+ * @param {string} [hint]  Order to prefer when the data can't decide (e.g. from a bank profile)
+ * @returns {'DMY'|'MDY'|'YMD'}
+ */
+export function inferDateOrder(cells, hint) {
+  const numeric = cells
+    .filter(c => typeof c === 'string')
+    .map(readParts)
+    .filter(p => p && p.kind === 'numeric');
+  // Serials, Date objects, month names and ISO dates carry their own order
+  if (numeric.length === 0) return hint || 'DMY';
+  const dmy = numeric.map(p => fromNumeric(p, 'DMY'));
+  const mdy = numeric.map(p => fromNumeric(p, 'MDY'));
+  // Any 13+ in the first position rules out MM/DD, and vice versa
+  const dmyBad = dmy.filter(d => !d).length;
+  const mdyBad = mdy.filter(d => !d).length;
+  if (dmyBad !== mdyBad) return dmyBad < mdyBad ? 'DMY' : 'MDY';
+  // Every value is ≤ 12 on both sides — trust the profile, then the row order
+  if (hint === 'DMY' || hint === 'MDY') return hint;
+  return orderliness(mdy) > orderliness(dmy) ? 'MDY' : 'DMY';
+}
+
+/**
+ * Convert one raw date cell into a Date (local midnight).
+ * @param {*} cell   Text, Excel serial number or Date
+ * @param {string} [order]  Result of inferDateOrder; only used for all-numeric text
+ * @returns {Date|null}
+ */
+export function parseDate(cell, order = 'DMY') {
+  if (cell instanceof Date) {
+    return Number.isNaN(cell.getTime()) ? null : new Date(cell.getFullYear(), cell.getMonth(), cell.getDate());
+  }
+  // Excel serial date
+  if (typeof cell === 'number') {
+    if (cell <= 1000) return null;
+    const d = new Date(Math.round((cell - 25569) * 86400 * 1000));
+    return new Date(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+  }
+  if (typeof cell !== 'string' || !cell.trim()) return null;
+  const parts = readParts(cell);
+  if (!parts) return null;
+  return parts.kind === 'fixed' ? parts.date : fromNumeric(parts, order);
+}
+
+/** Sort comparator for transactions; undated rows sort first. */
+export const byDate = (a, b) => (a.date?.getTime() ?? 0) - (b.date?.getTime() ?? 0);
+
+// ── Date arithmetic ────────────────────────────────────
+const DAY_MS = 86400000;
+
+/** Local midnight of the given instant. */
+export const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+export const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+/** Same day-of-month `months` later, clamped to the month's end (31 Jan + 1 → 28/29 Feb). */
+export const addMonths = (date, months) => {
+  const first = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const lastDay = new Date(first.getFullYear(), first.getMonth() + 1, 0).getDate();
+  return new Date(first.getFullYear(), first.getMonth(), Math.min(date.getDate(), lastDay));
+};
+
+/** Whole calendar days from `a` to `b` (negative when b is earlier). */
+export const daysBetween = (a, b) => Math.round((startOfDay(b) - startOfDay(a)) / DAY_MS);
+
+// ── Display helpers ────────────────────────────────────
+const pad = (n) => String(n).padStart(2, '0');
+
+/** DD/MM/YYYY, or '' for a missing date. */
+export const formatDate = (date) =>
+  (date ? `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()}` : '');
+
+/** YYYY-MM-DD in local time (Date#toISOString would shift by the UTC offset). */
+export const toISODate = (date) =>
+  (date ? `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` : '');
+
+/** Sortable month bucket, e.g. '2025-01'. */
+export const monthKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+
+/** '2025-01' → 'Jan 2025' */
+export const monthLabel = (key) => {
+  const [y, m] = key.split('-');
+  return `${MONTH_NAMES[Number(m) - 1]} ${y}`;
+};
+
+/** '2025-02' → { from: '2025-02-01', until: '2025-02-28' } */
+export const monthRange = (key) => {
+  const [y, m] = key.split('-').map(Number);
+  return { from: `${key}-01`, until: toISODate(new Date(y, m, 0)) };
+};
@@ -0,0 +1,9 @@
+// Raised for problems the user can act on (wrong file type, unreadable layout…).
+// `message` is safe to show as-is; anything else thrown by the engine is a bug.
+export class StatementError extends Error {
+  constructor(message, code = 'INVALID_STATEMENT') {
+    super(message);
+    this.name = 'StatementError';
+    this.code = code;
+  }
+}
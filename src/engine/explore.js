@@ -0,0 +1,84 @@
+/** @typedef {import('./normalize.js').Transaction} Transaction */
+
+// ── Transaction explorer ───────────────────────────────
+// Filtering and sorting for the full transaction list. Every filter is
+// optional; empty strings and nulls mean "any".
+
+/**
+ * @typedef {Object} TransactionFilters
+ * @property {string} [query]              Words that must all appear in the narration, payee or reference
+ * @property {Date|null} [from]            Inclusive
+ * @property {Date|null} [until]           Inclusive
+ * @property {number|null} [minAmount]
+ * @property {number|null} [maxAmount]
+ * @property {''|'debit'|'credit'} [direction]
+ * @property {string} [merchant]           Payee display name, case-insensitive
+ * @property {string} [category]           Category id
+ * @property {string} [account]            Account label
+ * @property {''|'only'|'exclude'} [transfers]  Transfers between own accounts
+ */
+
+export const EMPTY_FILTERS = {
+  query: '', from: null, until: null, minAmount: null, maxAmount: null, direction: '', merchant: '', category: '', account: '', transfers: '',
+};
+
+const amountOf = (tx) => tx.debit || tx.credit || 0;
+
+/**
+ * @param {Transaction[]} transactions
+ * @param {TransactionFilters} filters
+ * @returns {Transaction[]}
+ */
+export function filterTransactions(transactions, filters = {}) {
+  const f = { ...EMPTY_FILTERS, ...filters };
+  const words = f.query.toLowerCase().split(/\s+/).filter(Boolean);
+  const merchant = f.merchant.toLowerCase();
+  return transactions.filter(tx => {
+    if (f.direction === 'debit' && !(tx.debit > 0)) return false;
+    if (f.direction === 'credit' && !(tx.credit > 0)) return false;
+    if ((f.from || f.until) && !tx.date) return false;
+    if (f.from && tx.date < f.from) return false;
+    if (f.until && tx.date > f.until) return false;
+    const amount = amountOf(tx);
+    if (f.minAmount != null && amount < f.minAmount) return false;
+    if (f.maxAmount != null && amount > f.maxAmount) return false;
+    if (merchant && tx.merchant.toLowerCase() !== merchant) return false;
+    if (f.category && tx.category !== f.category) return false;
+    if (f.account && tx.account !== f.account) return false;
+    if (f.transfers === 'only' && !tx.transfer) return false;
+    if (f.transfers === 'exclude' && tx.transfer) return false;
+    if (words.length) {
+      const haystack = `${tx.description} ${tx.merchant} ${tx.reference}`.toLowerCase();
+      if (!words.every(w => haystack.includes(w))) return false;
+    }
+    return true;
+  });
+}
+
+const SORTERS = {
+  date: (a, b) => (a.date?.getTime() ?? 0) - (b.date?.getTime() ?? 0),
+  merchant: (a, b) => a.merchant.localeCompare(b.merchant),
+  category: (a, b) => (a.category || '').localeCompare(b.category || ''),
+  account: (a, b) => a.account.localeCompare(b.account),
+  debit: (a, b) => a.debit - b.debit,
+  credit: (a, b) => a.credit - b.credit,
+  amount: (a, b) => amountOf(a) - amountOf(b),
+  balance: (a, b) => (a.balance ?? -Infinity) - (b.balance ?? -Infinity),
+};
+
+export const SORT_KEYS = Object.keys(SORTERS);
+
+/**
+ * Sorted copy; ties keep statement order.
+ * @param {Transaction[]} transactions
+ * @param {string} [key]  One of SORT_KEYS
+ * @param {'asc'|'desc'} [dir]
+ */
+export function sortTransactions(transactions, key = 'date', dir = 'desc') {
+  const compare = SORTERS[key] || SORTERS.date;
+  const sign = dir === 'asc' ? 1 : -1;
+  return transactions
+    .map((tx, i) => [tx, i])
+    .sort(([a, i], [b, j]) => sign * compare(a, b) || i - j)
+    .map(([tx]) => tx);
+}
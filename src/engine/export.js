@@ -0,0 +1,120 @@
+import * as XLSX from '@e965/xlsx';
+import Papa from 'papaparse';
+import { toISODate, monthKey, monthLabel } from './dates.js';
+import { categoryById } from './categories.js';
+import { CADENCES, SUBSCRIPTION_CONFIDENCE } from './recurrence.js';
+import { TAX_SECTIONS } from './tax.js';
+
+/** @typedef {import('./normalize.js').Transaction} Transaction */
+
+// ── Export ─────────────────────────────────────────────
+// Analysis results as plain tables (header row first). Cells are strings,
+// numbers or Dates; CSV writes Dates as YYYY-MM-DD, Excel as real dates.
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const cadenceLabel = (id) => CADENCES.find(c => c.id === id)?.label || id;
+
+const transactionRows = (transactions) => [
+  ['Date', 'Account', 'Narration', 'Payee', 'Category', 'Debit', 'Credit', 'Balance', 'Currency', 'Original amount', 'Original currency', 'Reference', 'Type'],
+  ...transactions.map(tx => [
+    tx.date, tx.account, tx.description, tx.merchant, categoryById(tx.category).label,
+    tx.debit ? round2(tx.debit) : '', tx.credit ? round2(tx.credit) : '', typeof tx.balance === 'number' ? round2(tx.balance) : '',
+    tx.currency || '', tx.original?.amount ?? '', tx.original?.currency || '', tx.reference, tx.type,
+  ]),
+];
+
+const recurringRows = (recurring) => [
+  ['Payee', 'Cycle', 'Subscription / EMI', 'Confidence %', 'Occurrences', 'Average', 'Last amount', 'Per month', 'Total', 'First date', 'Last date'],
+  ...recurring.map(r => [
+    r.description, cadenceLabel(r.cadence), r.confidence >= SUBSCRIPTION_CONFIDENCE ? 'Yes' : 'No', Math.round(r.confidence * 100),
+    r.count, round2(r.averageAmount), r.lastAmount, round2(r.monthlyAmount), round2(r.total), r.firstDate, r.lastDate,
+  ]),
+];
+
+// Every payee, not just the dashboard's top five
+const payeeRows = (transactions) => {
+  const payees = new Map();
+  transactions.filter(tx => tx.debit > 0).forEach(tx => {
+    if (!payees.has(tx.merchant)) payees.set(tx.merchant, { name: tx.merchant, category: tx.category, count: 0, total: 0 });
+    const p = payees.get(tx.merchant);
+    p.count += 1;
+    p.total += tx.debit;
+  });
+  return [
+    ['Payee', 'Category', 'Payments', 'Total'],
+    ...[...payees.values()].sort((a, b) => b.total - a.total)
+      .map(p => [p.name, categoryById(p.category).label, p.count, round2(p.total)]),
+  ];
+};
+
+// Every month, debits and credits
+const monthlyRows = (transactions) => {
+  const months = new Map();
+  transactions.filter(tx => tx.date).forEach(tx => {
+    const key = monthKey(tx.date);
+    if (!months.has(key)) months.set(key, { debit: 0, credit: 0 });
+    months.get(key).debit += tx.debit;
+    months.get(key).credit += tx.credit;
+  });
+  return [
+    ['Month', 'Debits', 'Credits', 'Net'],
+    ...[...months.entries()].sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, m]) => [monthLabel(key), round2(m.debit), round2(m.credit), round2(m.credit - m.debit)]),
+  ];
+};
+
+/**
+ * The exportable tables for an analysis.
+ * @param {Object} analysis  From analyzeTransactions
+ * @returns {{ id: string, name: string, rows: Array[] }[]}
+ */
+export const buildExportTables = (analysis) => [
+  { id: 'transactions', name: 'Transactions', rows: transactionRows(analysis.transactions) },
+  { id: 'recurring', name: 'Recurring', rows: recurringRows(analysis.recurring) },
+  { id: 'payees', name: 'Payees', rows: payeeRows(analysis.transactions) },
+  { id: 'monthly', name: 'Monthly', rows: monthlyRows(analysis.transactions) },
+];
+
+/**
+ * One financial year of getTaxReport as a single sheet: the section totals on
+ * top, then every row behind them.
+ * @returns {{ id: string, name: string, rows: Array[] }}
+ */
+export function buildTaxTable(year) {
+  const sectionLabel = (id) => TAX_SECTIONS.find(s => s.id === id)?.label || id;
+  return {
+    id: 'tax',
+    name: year.label,
+    rows: [
+      [`${year.label} (${year.assessmentYear})`, 'Total', 'Limit', 'Counted', 'Covers'],
+      ...year.sections.map(s => [sectionLabel(s.id), round2(s.total), s.limit ?? '', round2(s.counted), s.note]),
+      [],
+      ['Section', 'Head', 'Date', 'Account', 'Narration', 'Payee', 'Amount', 'Tagged'],
+      ...year.heads.flatMap(h => h.transactions.map(tx => [
+        sectionLabel(h.section), h.label, tx.date, tx.account, tx.description, tx.merchant, round2(tx.debit || tx.credit),
+        tx.taxHead === tx.taxAuto ? 'Matched' : 'By you',
+      ])),
+    ],
+  };
+}
+
+/** One table as CSV text. */
+export const toCSV = (rows) =>
+  Papa.unparse(rows.map(row => row.map(cell => (cell instanceof Date ? toISODate(cell) : cell))));
+
+/**
+ * All tables as one workbook, a sheet each.
+ * @returns {ArrayBuffer} .xlsx bytes
+ */
+export function toWorkbook(tables) {
+  const workbook = XLSX.utils.book_new();
+  tables.forEach(table => {
+    const sheet = XLSX.utils.aoa_to_sheet(table.rows, { cellDates: true, dateNF: 'yyyy-mm-dd' });
+    const width = Math.max(...table.rows.map(r => r.length));
+    sheet['!cols'] = Array.from({ length: width }, (_, c) => ({
+      wch: Math.min(48, Math.max(10, ...table.rows.slice(0, 200).map(r => String(r[c] instanceof Date ? '2025-01-01' : r[c] ?? '').length))),
+    }));
+    XLSX.utils.book_append_sheet(workbook, sheet, table.name);
+  });
+  return XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
+}
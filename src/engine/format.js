@@ -0,0 +1,28 @@
+import { currencyByCode, DEFAULT_CURRENCY } from './currency.js';
+
+let displayCurrency = DEFAULT_CURRENCY;
+
+/** The currency fmt shows amounts in when none is given (the app passes the analysis' display currency). */
+export const setDisplayCurrency = (code) => {
+  displayCurrency = code || DEFAULT_CURRENCY;
+};
+
+const formatters = new Map();
+const formatter = (code) => {
+  if (!formatters.has(code)) {
+    const locale = currencyByCode(code)?.locale || 'en-IN';
+    formatters.set(code, new Intl.NumberFormat(locale, { style: 'currency', currency: code, minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+  }
+  return formatters.get(code);
+};
+
+export const fmt = (n, currency = displayCurrency) => formatter(currency).format(Number(n));
+
+/** Chart-label amounts without the currency: 950, 12k, 4.5L, 1.2Cr. */
+export const shortAmount = (n) => {
+  const abs = Math.abs(n);
+  if (abs >= 1e7) return `${(n / 1e7).toFixed(1)}Cr`;
+  if (abs >= 1e5) return `${(n / 1e5).toFixed(1)}L`;
+  if (abs >= 1e3) return `${Math.round(n / 1e3)}k`;
+  return String(Math.round(n));
+};
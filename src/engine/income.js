@@ -0,0 +1,127 @@
+import { detectRecurring } from './recurrence.js';
+import { monthlyTotals } from './aggregate.js';
+import { daysBetween, byDate } from './dates.js';
+
+/** @typedef {import('./normalize.js').Transaction} Transaction */
+
+// ── Income & cash flow ─────────────────────────────────
+// Credits are split into refunds (money coming back for an earlier debit,
+// which lowers spending rather than adding income) and earned income. Earned
+// income goes through the same recurrence detection as debits, and the
+// steadiest large monthly credit is picked out as salary.
+
+// A credit from the same payee, for the same amount, this soon after a debit refunds it
+export const REFUND_WINDOW_DAYS = 60;
+// A monthly credit this large is taken for salary even when the narration doesn't say so
+export const SALARY_MIN = 10000;
+const SALARY_RE = /salary|\bsal\b|payroll/i;
+
+const payeeKey = (tx) => tx.merchant.toLowerCase();
+
+/**
+ * Credits that give back an earlier debit: categorized as refunds, or matching
+ * an unclaimed debit to the same payee within REFUND_WINDOW_DAYS. Transfers
+ * are never refunds.
+ * @param {Transaction[]} all  Categorized, with markTransfers applied
+ * @returns {Set<Transaction>}
+ */
+export function findRefunds(all) {
+  const transactions = all.filter(tx => !tx.transfer);
+  const refunds = new Set();
+  const debits = new Map();
+  transactions.filter(tx => tx.debit > 0 && tx.date).forEach(tx => {
+    if (!debits.has(payeeKey(tx))) debits.set(payeeKey(tx), []);
+    debits.get(payeeKey(tx)).push(tx);
+  });
+  const claimed = new Set();
+  transactions.filter(tx => tx.credit > 0).sort(byDate).forEach(tx => {
+    if (tx.category === 'refunds') {
+      refunds.add(tx);
+      return;
+    }
+    if (!tx.date) return;
+    const original = (debits.get(payeeKey(tx)) || []).find(d => !claimed.has(d)
+      && Math.abs(d.debit - tx.credit) < 0.01
+      && d.date <= tx.date
+      && daysBetween(d.date, tx.date) <= REFUND_WINDOW_DAYS);
+    if (original) {
+      claimed.add(original);
+      refunds.add(tx);
+    }
+  });
+  return refunds;
+}
+
+/** Copies of the transactions with every refund categorized as one. */
+export function markRefunds(transactions) {
+  const refunds = findRefunds(transactions);
+  return transactions.map(tx => (refunds.has(tx) && tx.category !== 'refunds' ? { ...tx, category: 'refunds' } : tx));
+}
+
+// Salary by narration; failing that, the largest steady monthly credit
+const pickSalary = (series) => {
+  const named = series.filter(s => SALARY_RE.test(s.rawDescription));
+  if (named.length) return new Set(named);
+  const largest = series
+    .filter(s => s.cadence === 'monthly' && s.averageAmount >= SALARY_MIN)
+    .sort((a, b) => b.averageAmount - a.averageAmount)[0];
+  return new Set(largest ? [largest] : []);
+};
+
+const sum = (txs, amountOf) => txs.reduce((s, tx) => s + amountOf(tx), 0);
+
+/**
+ * Where the money came from.
+ * @param {Transaction[]} transactions  Categorized, with markRefunds applied
+ * @returns {{ total: number, salary: Object[], recurring: Object[], recurringTotal: number,
+ *   refunds: { total: number, count: number, transactions: Transaction[] } }}
+ *   `total` excludes refunds; `salary` and `recurring` are detectRecurring series
+ *   with `kind` set
+ */
+export function getIncome(transactions) {
+  const refundList = transactions.filter(tx => tx.credit > 0 && tx.category === 'refunds');
+  const earned = transactions.filter(tx => tx.credit > 0 && tx.category !== 'refunds');
+  const series = detectRecurring(earned, { direction: 'credit' });
+  const salary = pickSalary(series);
+  const labelled = series.map(s => ({ ...s, kind: salary.has(s) ? 'salary' : 'recurring' }));
+  return {
+    total: sum(earned, tx => tx.credit),
+    salary: labelled.filter(s => s.kind === 'salary'),
+    recurring: labelled.filter(s => s.kind === 'recurring'),
+    recurringTotal: labelled.reduce((s, r) => s + r.total, 0),
+    refunds: { total: sum(refundList, tx => tx.credit), count: refundList.length, transactions: refundList },
+  };
+}
+
+const savingsRate = (inflow, net) => (inflow > 0 ? net / inflow : null);
+
+/**
+ * Money in and out per month. Refunds are netted off outflow rather than
+ * counted as inflow; `savingsRate` is net over inflow, null without inflow.
+ * @param {Transaction[]} transactions
+ * @param {Transaction[]} refunds  From getIncome
+ * @returns {{ months: { key: string, month: string, inflow: number, outflow: number, refunds: number,
+ *   net: number, savingsRate: number|null }[], inflow: number, outflow: number, net: number, savingsRate: number|null }}
+ */
+export function getCashFlow(transactions, refunds) {
+  const isRefund = new Set(refunds);
+  const rows = new Map();
+  const add = (list, field) => list.forEach(({ key, month, total }) => {
+    if (!rows.has(key)) rows.set(key, { key, month, inflow: 0, outflow: 0, refunds: 0 });
+    rows.get(key)[field] += total;
+  });
+  add(monthlyTotals(transactions.filter(tx => tx.credit > 0 && !isRefund.has(tx)), tx => tx.credit), 'inflow');
+  add(monthlyTotals(transactions.filter(tx => tx.debit > 0), tx => tx.debit), 'outflow');
+  add(monthlyTotals(refunds, tx => tx.credit), 'refunds');
+
+  const months = [...rows.values()]
+    .sort((a, b) => a.key.localeCompare(b.key))
+    .map(m => {
+      const outflow = m.outflow - m.refunds;
+      const net = m.inflow - outflow;
+      return { ...m, outflow, net, savingsRate: savingsRate(m.inflow, net) };
+    });
+  const inflow = months.reduce((s, m) => s + m.inflow, 0);
+  const outflow = months.reduce((s, m) => s + m.outflow, 0);
+  return { months, inflow, outflow, net: inflow - outflow, savingsRate: savingsRate(inflow, inflow - outflow) };
+}
@@ -0,0 +1,73 @@
+// Headless statement engine: file bytes in, transactions + analysis out.
+// Nothing in here may import React or touch the DOM, so it can run in a
+// worker or under Node as well as in the page.
+import { parseStatement } from './parse.js';
+import { analyzeTransactions } from './analyze.js';
+
+export { StatementError } from './errors.js';
+export { parseStatement, readGrid, validateFile, detectFormat, MAX_SIZE_MB } from './parse.js';
+export { parseTable, findHeaderRow } from './table.js';
+export { setPdfWorkerSrc } from './pdf.js';
+export {
+  BANK_PROFILES, MAPPING_ROLES, detectProfile, resolveColumns, headerFingerprint, buildCustomProfile, guessColumns,
+} from './profiles.js';
+export { analyzeTransactions, getPayments, getUserStats } from './analyze.js';
+export { groupPayees, monthlyDebits, monthlyTotals } from './aggregate.js';
+export { getIncome, getCashFlow, findRefunds, markRefunds, REFUND_WINDOW_DAYS, SALARY_MIN } from './income.js';
+export { markTransfers, findTransfers, getTransfers, TRANSFER_KINDS, PAIR_WINDOW_DAYS } from './transfers.js';
+export {
+  readCardSummary, isCardSummary, cardFields, markCardEntries, foldInstallments, getCardSummary, CARD_ENTRIES,
+} from './creditCard.js';
+export {
+  findAnomalies, feeKind, FEE_KINDS, DUPLICATE_WINDOW_DAYS, SPIKE_FACTOR, NEW_PAYEE_FACTOR,
+} from './anomalies.js';
+export {
+  PERIODS, resolvePeriod, rangeLabel, comparePeriods, getTrends, WEEKDAYS, MONTH_PARTS,
+} from './trends.js';
+export {
+  getTaxReport, matchTaxHead, taxKey, taxHeadById, financialYear, fyLabel, TAX_HEADS, TAX_SECTIONS,
+} from './tax.js';
+export { getBudgets, budgetProgress, budgetMatches, budgetLabel, BUDGET_WARNING } from './budgets.js';
+export { detectRecurring, scoreSeries, CADENCES, MIN_CONFIDENCE, SUBSCRIPTION_CONFIDENCE } from './recurrence.js';
+export {
+  getRenewals, forecastCharges, renewalAlerts, renewalStatus, nextCharge, DUE_SOON_DAYS, UPCOMING_DAYS, OVERDUE_WINDOW_DAYS, PRICE_RISE,
+} from './renewals.js';
+export {
+  getSubscriptions, cancellationSavings, priceHistory, SERVICE_GROUPS,
+} from './subscriptions.js';
+export {
+  CATEGORIES, BUILTIN_RULES, categoryById, categorize, categorizeTransactions, matchesRule, learnRule,
+  getCategoryBreakdown,
+} from './categories.js';
+export { filterTransactions, sortTransactions, EMPTY_FILTERS, SORT_KEYS } from './explore.js';
+export { readStatementSummary, reconcileStatement } from './reconcile.js';
+export { buildExportTables, buildTaxTable, toCSV, toWorkbook } from './export.js';
+export { mergeStatements, defaultAccountLabel } from './merge.js';
+export {
+  toTransaction, toHeaderKeys, buildNorm, parseAmount, readCardAmount, getAmountCells, FOOTER_KEYWORDS,
+} from './normalize.js';
+export {
+  cleanMerchantName, narrationFields, applyAliases, aliasMatches, isLikelySubscription, MERCHANT_MAP,
+} from './merchants.js';
+export { parseNarration, CHANNELS, BANK_CODES } from './narration.js';
+export { fmt, shortAmount, setDisplayCurrency } from './format.js';
+export {
+  CURRENCIES, DEFAULT_CURRENCY, currencyByCode, currencySymbol, currencyOf, detectCurrency, inferDecimal, foreignAmount, parseRates,
+  findRate, convertTransactions,
+} from './currency.js';
+export {
+  parseDate, inferDateOrder, formatDate, toISODate, monthKey, monthLabel, monthRange, byDate, DATE_ORDERS,
+  startOfDay, addDays, addMonths, daysBetween,
+} from './dates.js';
+
+/**
+ * Parse a statement file and analyze it in one go.
+ * @param {ArrayBuffer} buffer
+ * @param {string} fileName
+ * @param {Object} [options]  Passed through to parseStatement
+ * @returns {Promise<Object>}
+ */
+export async function analyzeStatement(buffer, fileName, options) {
+  const parsed = await parseStatement(buffer, fileName, options);
+  return { ...parsed, analysis: analyzeTransactions(parsed.transactions) };
+}
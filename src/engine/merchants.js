@@ -0,0 +1,105 @@
+import { parseNarration } from './narration.js';
+
+// ── Merchant display-name cleanup ────────────────────
+// Known merchants are matched against the counterparty name and VPA the
+// narration parser pulls out, not the whole narration, so "paid via Google
+// Pay" or a bank's IFSC doesn't turn a payee into Google or HDFC. Patterns
+// are anchored on word boundaries for the same reason (PINEAPPLE isn't Apple).
+export const MERCHANT_MAP = [
+  [/netflix/i, 'Netflix'],          [/spotify/i, 'Spotify'],
+  [/hotstar|disney/i, 'Disney+ Hotstar'], [/amazon\s*prime|primevideo/i, 'Amazon Prime'],
+  [/youtube\s*premium/i, 'YouTube Premium'], [/zee5/i, 'Zee5'], [/sonyliv/i, 'SonyLIV'],
+  [/render\.com/i, 'Render.com'],   [/github/i, 'GitHub'],    [/\bnotion\b/i, 'Notion'],
+  [/figma/i, 'Figma'],              [/openai|chatgpt/i, 'OpenAI'], [/\bslack\b/i, 'Slack'],
+  [/\bzoom\b/i, 'Zoom'],            [/\bgoogle\b(?!\s*pay)|googleplay/i, 'Google'], [/microsoft|\bmsft\b/i, 'Microsoft'],
+  [/dropbox/i, 'Dropbox'],          [/\bapple\b|apple\.com|itunes/i, 'Apple'], [/jiomart/i, 'JioMart'],
+  [/\bjio\b/i, 'Jio'],              [/airtel/i, 'Airtel'],    [/\bbsnl\b/i, 'BSNL'],
+  [/vodafone/i, 'Vodafone'],        [/bajaj\s*finance/i, 'Bajaj Finance'], [/\bhdfc\s*bank\b/i, 'HDFC'],
+  [/\bicici\s*bank\b/i, 'ICICI'],          [/swiggy/i, 'Swiggy'],    [/zomato/i, 'Zomato'],
+  [/\bamazon\b|\bamzn\b/i, 'Amazon'], [/flipkart/i, 'Flipkart'], [/myntra/i, 'Myntra'],
+  [/paytm/i, 'Paytm'],              [/phonepe/i, 'PhonePe'],  [/razorpay/i, 'Razorpay'],
+  [/\bola\b|olacabs/i, 'Ola'],      [/\buber\b/i, 'Uber'],    [/irctc/i, 'IRCTC'],
+  [/bookmyshow/i, 'BookMyShow'],
+];
+
+export const SUBSCRIPTION_PATTERNS = [
+  /netflix/i, /spotify/i, /hotstar/i, /disney/i, /prime\s*video/i, /amazon\s*prime/i,
+  /youtube\s*premium/i, /zee5/i, /sonyliv/i, /render\.com/i, /github/i, /notion/i,
+  /figma/i, /openai/i, /chatgpt/i, /slack/i, /\bzoom\b/i,
+  /google\s*(one|workspace)/i, /microsoft\s*(365|office)/i, /dropbox/i,
+  /net\s*banking\s*si/i, /standing\s*instruct/i, /si\s*[-\u2013]\s*monthly/i,
+  /\bemi\b/i, /loan\s*(emi|inst)/i,
+];
+
+const knownMerchant = (text) => MERCHANT_MAP.find(([pattern]) => pattern.test(text))?.[1];
+
+// Strip common bank prefixes and long numeric/masked IDs, for narrations the parser couldn't split
+const stripNarration = (raw) => raw
+  .replace(/^\d+\s+/i, '')                                  // leading numeric ID
+  .replace(/^(UPI|IMPS|NEFT|RTGS|N?ACH\s*DR?|POS|IB\s*BILLPAY\s*DR)[-\s:/]+/i, '')
+  .replace(/^\d+[-\s]+/i, '')                               // remaining leading digits
+  .replace(/[-_][\dX]{6,}/g, '')                            // long masked IDs
+  .replace(/\s{2,}/g, ' ')
+  .trim();
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Display name for a narration's payee.
+ * @param {string} raw  Narration
+ * @param {ReturnType<typeof parseNarration>} [parsed]  parseNarration(raw), when already at hand
+ */
+export const cleanMerchantName = (raw, parsed = parseNarration(raw)) => {
+  if (!raw) return 'Unknown';
+  if (parsed.channel === 'atm') return 'ATM Withdrawal';
+  if (parsed.name || parsed.vpa) {
+    const known = knownMerchant(`${parsed.name} ${parsed.vpa.split('@')[0]}`);
+    if (known) return known;
+    return parsed.name ? capitalize(parsed.name) : parsed.vpa;
+  }
+  const known = knownMerchant(raw);
+  if (known) return known;
+  const clean = stripNarration(raw);
+  return clean.length > 2 ? capitalize(clean) : raw.slice(0, 32);
+};
+
+/**
+ * The narration fields a Transaction carries.
+ * @param {string} description
+ * @returns {{ merchant: string, vpa: string, channel: string|null }}
+ */
+export const narrationFields = (description) => {
+  const parsed = parseNarration(description);
+  return { merchant: cleanMerchantName(description, parsed), vpa: parsed.vpa, channel: parsed.channel };
+};
+
+// ── Payee aliases ──────────────────────────────────────
+// The user's own names for payees: { id, match, name }. `match` is a VPA
+// (anything with an @) or a display name, both case-insensitive. Aliases are
+// applied before any analysis, so merged and renamed payees show that way
+// everywhere, and recurrence detection sees them as one payee.
+
+/** Does an alias apply to a transaction? */
+export const aliasMatches = (tx, alias) => {
+  const match = alias.match.trim().toLowerCase();
+  if (!match) return false;
+  return match.includes('@') ? tx.vpa === match : tx.merchant.toLowerCase() === match;
+};
+
+/**
+ * Copies of the transactions with aliases applied to `merchant`. VPA aliases
+ * win over name aliases; otherwise the first match in the list wins.
+ * @param {import('./normalize.js').Transaction[]} transactions
+ * @param {{ id: string, match: string, name: string }[]} aliases
+ */
+export function applyAliases(transactions, aliases = []) {
+  if (!aliases.length) return transactions;
+  const ordered = [...aliases.filter(a => a.match.includes('@')), ...aliases.filter(a => !a.match.includes('@'))];
+  return transactions.map(tx => {
+    const alias = ordered.find(a => aliasMatches(tx, a));
+    return alias ? { ...tx, merchant: alias.name } : tx;
+  });
+}
+
+export const isLikelySubscription = (desc) =>
+  SUBSCRIPTION_PATTERNS.some(p => p.test(desc));
@@ -0,0 +1,47 @@
+import { byDate, toISODate } from './dates.js';
+
+/** @typedef {import('./normalize.js').Transaction} Transaction */
+
+// Two rows are the same bank entry when all of these agree. Balance is what
+// separates two genuine ₹100 payments on one day; reference covers statements
+// without a balance column.
+const entryKey = (tx) => [toISODate(tx.date), tx.debit, tx.credit, tx.reference, tx.balance ?? ''].join('|');
+
+/** Default account label: the bank when we recognised it, else the file name. */
+export const defaultAccountLabel = (profile, fileName) => (profile ? profile.name : fileName.replace(/\.[^.]+$/, ''));
+
+/**
+ * Combine several parsed statements into one transaction list.
+ *
+ * Each transaction is tagged with its statement's account label. Overlapping
+ * exports of the same account (Jan–Mar and Mar–May, say) are de-duplicated:
+ * a row is dropped when an earlier statement *for the same account* already
+ * had the same entry. Rows within one statement are never dropped, and equal
+ * rows on different accounts are kept (they're usually a transfer's two legs).
+ *
+ * @param {{ account: string, transactions: Transaction[] }[]} statements
+ * @returns {{ transactions: Transaction[], duplicates: number }}
+ */
+export function mergeStatements(statements) {
+  const seenByAccount = new Map();
+  const merged = [];
+  let duplicates = 0;
+  statements.forEach(({ account, transactions }) => {
+    const seen = seenByAccount.get(account) || new Set();
+    const added = [];
+    transactions.forEach(tx => {
+      const key = entryKey(tx);
+      if (seen.has(key)) {
+        duplicates++;
+        return;
+      }
+      added.push(key);
+      merged.push({ ...tx, account });
+    });
+    added.forEach(key => seen.add(key));
+    seenByAccount.set(account, seen);
+  });
+  // Array#sort is stable, so same-day rows keep their statement order
+  merged.sort(byDate);
+  return { transactions: merged, duplicates };
+}
@@ -0,0 +1,74 @@
+// ── Narration parsing ──────────────────────────────────
+// Banks pack the payment rail, counterparty, VPA, bank and reference number
+// into one narration, each in its own order and with its own separator:
+//   UPI-SWIGGY-swiggy@icici-ICIC0DC0099-412345678901-Payment        HDFC
+//   UPI/DR/412345678901/SWIGGY/YESB/swiggy.in@ybl/Payment            SBI
+//   UPI/P2A/412345678901/RAMESH K/HDFC BANK/rent                     Axis
+//   NEFT CR-ICIC0000123-ACME TECHNOLOGIES PVT LTD-SALARY-ICICN12345678901
+//   IMPS-412345678901-RAMESH K-SBIN-XXXXXXX1234-rent
+//   ACH D- BAJAJ FINANCE LTD-P12345678
+//   POS 416021XXXXXX1234 AMAZON PAY INDIA
+//   ATW-512967XXXXXX1234-S1ANMU12-MUMBAI
+// So after the rail prefix the narration is split on its separators and each
+// field is recognised by its shape, not its position. The first field that
+// looks like a name is the counterparty; anything after it is a remark.
+
+export const CHANNELS = [
+  { id: 'upi', label: 'UPI', prefix: /^UPI\b/i },
+  { id: 'neft', label: 'NEFT', prefix: /^NEFT\b/i },
+  { id: 'imps', label: 'IMPS', prefix: /^(IMPS|MMT)\b/i },
+  { id: 'rtgs', label: 'RTGS', prefix: /^RTGS\b/i },
+  { id: 'ach', label: 'ACH / NACH', prefix: /^(N?ACH|ECS)\b/i },
+  { id: 'pos', label: 'Card (POS)', prefix: /^(POS|PCD)\b/i },
+  { id: 'atm', label: 'ATM', prefix: /^(ATW|NWD|EAW|AWB|ATM)\b/i },
+];
+
+// IFSC prefixes of the banks that turn up most in narrations
+export const BANK_CODES = {
+  SBIN: 'SBI', HDFC: 'HDFC Bank', ICIC: 'ICICI Bank', UTIB: 'Axis Bank', KKBK: 'Kotak Mahindra Bank',
+  YESB: 'Yes Bank', PUNB: 'Punjab National Bank', BARB: 'Bank of Baroda', CNRB: 'Canara Bank',
+  UBIN: 'Union Bank of India', BKID: 'Bank of India', IDIB: 'Indian Bank', IOBA: 'Indian Overseas Bank',
+  CBIN: 'Central Bank of India', MAHB: 'Bank of Maharashtra', INDB: 'IndusInd Bank', IDFB: 'IDFC First Bank',
+  FDRL: 'Federal Bank', RATN: 'RBL Bank', AUBL: 'AU Small Finance Bank', PYTM: 'Paytm Payments Bank',
+  AIRP: 'Airtel Payments Bank', SCBL: 'Standard Chartered', HSBC: 'HSBC', CITI: 'Citibank', DBSS: 'DBS Bank',
+};
+
+// Direction and sub-type words that sit between the rail and the fields
+const MARKER_RE = /^(dr|cr|d|c|inw|out|p2m|p2a|p2p|rev|collect|sent|received|payment|pay|txn|mob|netbank|ib|upi|neft|imps|rtgs|mmt|n?ach|ecs|pos|na)$/i;
+const VPA_RE = /^[\w.-]+@[a-z][a-z0-9]*$/i;
+const IFSC_RE = /^([A-Z]{4})0[A-Z0-9]{6}$/i;
+// RRNs, UTRs (ICICN12345678901, N123456789) and ACH mandate ids
+const REFERENCE_RE = /^([A-Z]{1,6})?\d{8,}$/i;
+// Card and account numbers printed masked
+const MASKED_RE = /^[\dX*•]*[X*•]{2,}[\dX*•]*$/i;
+// Terminal ids, times and short numbers: nothing a person would call a name
+const CODE_RE = /^(?=.*\d)[A-Z0-9:.]+$/i;
+
+const leadingMasked = /^(?:[\dX*•]{6,}\s+)+/i;
+
+/**
+ * Pull the structured fields out of a narration.
+ * @param {string} description
+ * @returns {{ channel: string|null, name: string, vpa: string, bank: string, reference: string }}
+ *   `channel` is a CHANNELS id, null for narrations on no recognised rail;
+ *   the other fields are '' when the narration doesn't carry them
+ */
+export function parseNarration(description) {
+  const text = String(description || '').replace(/^\d+\s+/, '').trim();
+  const channel = CHANNELS.find(c => c.prefix.test(text));
+  const result = { channel: channel?.id || null, name: '', vpa: '', bank: '', reference: '' };
+  if (!channel) return result;
+
+  const fields = text.replace(channel.prefix, '').split(/[-/*|]/).map(f => f.trim().replace(leadingMasked, '').trim()).filter(Boolean);
+  fields.forEach(field => {
+    const ifsc = field.match(IFSC_RE);
+    if (VPA_RE.test(field)) result.vpa ||= field.toLowerCase();
+    else if (ifsc) result.bank ||= BANK_CODES[ifsc[1].toUpperCase()] || ifsc[1].toUpperCase();
+    else if (BANK_CODES[field.toUpperCase()]) result.bank ||= BANK_CODES[field.toUpperCase()];
+    else if (/\bbank\b/i.test(field)) result.bank ||= field;
+    else if (REFERENCE_RE.test(field)) result.reference ||= field;
+    else if (MASKED_RE.test(field) || CODE_RE.test(field) || MARKER_RE.test(field)) return;
+    else if (/[a-z]{2}/i.test(field)) result.name ||= field.replace(/\s{2,}/g, ' ').replace(/[,.]+$/, '');
+  });
+  return result;
+}
@@ -0,0 +1,262 @@
+import { narrationFields } from './merchants.js';
+import { parseDate } from './dates.js';
+import { stripCurrency, plainNumber, currencyOf, foreignAmount, DEFAULT_CURRENCY } from './currency.js';
+
+/**
+ * One statement row after column detection — the shape every analysis works on.
+ * @typedef {Object} Transaction
+ * @property {Date|null} date      Transaction date, null when the cell couldn't be read
+ * @property {string} description   Narration exactly as the bank wrote it
+ * @property {string} merchant      Display name from cleanMerchantName, or the user's alias
+ * @property {string} vpa           Counterparty UPI ID, lower-cased; '' when the narration has none
+ * @property {string|null} channel  Payment rail (a CHANNELS id) from parseNarration
+ * @property {number} debit         Withdrawn amount, 0 when the row is not a debit
+ * @property {number} credit        Deposited amount, 0 when the row is not a credit
+ * @property {number|null} amount   Unsigned row amount as read (debit column, else credit column)
+ * @property {number|null} balance  Running balance after the row, when the statement has one
+ * @property {string} currency      ISO code of the amounts above (the statement's currency)
+ * @property {{ amount: number, currency: string }|null} original  The amount in the currency it was
+ *   charged in, when that differs: a card charge abroad, or a row converted for display
+ * @property {string} reference     Cheque / ref / transaction id
+ * @property {string} type          Transaction type or mode column
+ * @property {string} account       Account label; '' until statements are merged
+ * @property {string} [category]    Spending category id, set by categorizeTransactions
+ * @property {string} [cardEntry]   Credit card statements only: a CARD_ENTRIES id (purchase, payment, fee…)
+ * @property {{ n: number, of: number, part: 'principal'|'interest' }|null} [installment]  Card EMI
+ *   installment number, from the narration
+ * @property {Object} raw           The normalized source row, keyed by lower-cased header
+ */
+
+export const cleanString = (val) => (typeof val === 'string' ? val.replace(/\*/g, '').trim() : val);
+export const normalizeKey = (key) =>
+  (typeof key === 'string' ? key.replace(/\*/g, '').trim().toLowerCase().replace(/\s+/g, ' ') : '');
+export const buildNorm = (tx) => Object.fromEntries(Object.entries(tx).map(([k, v]) => [normalizeKey(k), cleanString(v)]));
+
+/**
+ * A signed number from an amount cell. Reads currency marks ("USD 12.99",
+ * "₹500"), European and Indian digit grouping, accounting brackets "(500.00)",
+ * a trailing minus "500.00-" and a Dr/Cr suffix ("500.00 Dr" is -500).
+ * @param {*} val
+ * @param {'.'|','} [decimal]  The statement's decimal mark, for amounts like "1.234" (see inferDecimal)
+ * @returns {number|null}
+ */
+export const parseAmount = (val, decimal = '.') => {
+  if (typeof val === 'number') return isFinite(val) ? val : null;
+  if (typeof val !== 'string') return null;
+  const text = stripCurrency(val).trim();
+  const suffix = text.match(/\s*(dr|cr)\.?$/i);
+  const body = (suffix ? text.slice(0, suffix.index) : text).trim();
+  const negative = /^-|-$|^\(.*\)$/.test(body) || suffix?.[1].toLowerCase() === 'dr';
+  const digits = body.replace(/^[-+(]\s*|\s*[-)]$/g, '').trim();
+  if (!/^(\d[\d.,\s'\u00a0\u202f]*|[.,]\d+)$/.test(digits)) return null;
+  const num = Number(plainNumber(digits, decimal));
+  if (!Number.isFinite(num)) return null;
+  return negative && num ? -num : num;
+};
+
+// Kotak (and others) repeat "Dr / Cr" for the balance; keep both columns
+// the way Papa does for CSV: the second becomes "dr / cr_1".
+export const toHeaderKeys = (row) => {
+  const seen = {};
+  return row.map(cell => {
+    const key = normalizeKey((cell ?? '').toString());
+    seen[key] = (seen[key] ?? -1) + 1;
+    return seen[key] ? `${key}_${seen[key]}` : key;
+  });
+};
+
+// Find a value in norm by trying exact keys, then partial-name fallback
+export const findColVal = (norm, ...keys) => {
+  for (const k of keys) {
+    if (norm[k] !== undefined && norm[k] !== null) return norm[k];
+  }
+  // Partial match — handles variants like "Withdrawal Amt. (INR)"
+  for (const k of keys) {
+    const base = k.replace(/[.()]+$/, '').trim();
+    const found = Object.keys(norm).find(nk => nk.startsWith(base));
+    if (found !== undefined) return norm[found];
+  }
+  return undefined;
+};
+
+export const getDebitAmt  = (norm) => findColVal(norm,
+  'withdrawal amt.', 'withdrawal', 'debit amt.', 'debit amount', 'debit', 'dr amt.', 'dr', 'amount', 'amt'
+);
+export const getCreditAmt = (norm) => findColVal(norm,
+  'deposit amt.', 'deposit', 'credit amt.', 'credit amount', 'credit', 'cr amt.', 'cr'
+);
+export const getDrCr = (norm) =>
+  (norm['dr / cr'] || norm['dr/cr'] || norm['drcr'] || norm['cr/dr'] ||
+   norm['txn type'] || norm['transaction type'] || norm['type'] || '').toString().toUpperCase();
+export const DATE_KEYS = ['txn date', 'transaction date', 'value date', 'value dt', 'date', 'posting date', 'book date'];
+export const getTxDateCell = (norm) => findColVal(norm, ...DATE_KEYS);
+export const getTxDesc = (norm) => findColVal(norm,
+  'narration', 'description', 'desc', 'remarks', 'particulars', 'transaction details', 'details'
+) || '';
+export const getReference = (norm) => findColVal(norm,
+  'ref no./cheque no.', 'chq/ref no.', 'chq / ref no.', 'reference no.', 'transaction id', 'txn id'
+) || '';
+export const getCardAmt = (norm) => findColVal(norm, 'amount', 'amt', 'billing amount', 'transaction amount');
+export const getBalance = (norm) => findColVal(norm, 'balance', 'closing balance', 'bal');
+export const getTxType = (norm) => findColVal(norm, 'transaction type', 'type', 'mode', 'transaction mode') || '';
+
+// Determine if a tx is a debit (withdrawal)
+export const isDebit = (norm) => {
+  const drcr = getDrCr(norm);
+  if (drcr) return drcr === 'DR' || drcr === 'DEBIT';
+  // Separate withdrawal/deposit columns
+  const w = findColVal(norm, 'withdrawal amt.', 'withdrawal', 'debit amt.', 'debit amount', 'debit', 'dr amt.', 'dr');
+  return Math.abs(parseAmount(w)) > 0;
+};
+export const isCredit = (norm) => {
+  const drcr = getDrCr(norm);
+  if (drcr) return drcr === 'CR' || drcr === 'CREDIT';
+  const c = getCreditAmt(norm);
+  return Math.abs(parseAmount(c)) > 0;
+};
+
+// Shared footer/summary keywords — used for both CSV and Excel parsing
+export const FOOTER_KEYWORDS = [
+  'statement summary', 'opening balance', 'closing balance',
+  'generated on', 'dr count', 'cr count', 'total debit', 'total credit',
+  'account summary', 'note :', 'note:', 'disclaimer',
+];
+
+// Returns true if a normalized row looks like a summary/footer row (not a real transaction)
+export const isSummaryTx = (norm, keywords = FOOTER_KEYWORDS, descKey = null) => {
+  const desc   = ((descKey ? norm[descKey] : getTxDesc(norm)) || '').toString().toLowerCase().trim();
+  // Also check the raw first non-empty value in the row (handles CSV where summary text lands in any column)
+  const firstVal = Object.values(norm)
+    .map(v => (v || '').toString().toLowerCase().trim())
+    .find(v => v.length > 0) || '';
+  return keywords.some(kw => desc.startsWith(kw) || firstVal.startsWith(kw));
+};
+
+const DEBIT_FLAGS = ['DR', 'D', 'DEBIT'];
+const CREDIT_FLAGS = ['CR', 'C', 'CREDIT'];
+
+/**
+ * A credit card amount. Cards print purchases as plain amounts and mark what
+ * they owe back: "1,234.00 Cr", "-1,234.00", "(1,234.00)" or a CR flag column.
+ * @param {*} cell  Amount cell
+ * @param {*} [flag]  Dr/Cr flag cell, when the layout has one
+ * @param {'.'|','} [decimal]  As for parseAmount
+ * @returns {{ amount: number|null, debit: number, credit: number }}
+ */
+export const readCardAmount = (cell, flag = '', decimal = '.') => {
+  const text = typeof cell === 'number' ? String(cell) : stripCurrency(cell).trim();
+  const suffix = text.match(/\s*(cr|dr|c|d)\.?$/i);
+  const marker = (suffix?.[1] || String(flag ?? '').trim()).toUpperCase();
+  const value = parseAmount(suffix ? text.slice(0, suffix.index) : text, decimal);
+  if (!value) return { amount: value, debit: 0, credit: 0 };
+  const amount = Math.abs(value);
+  const credit = value < 0 || CREDIT_FLAGS.includes(marker);
+  return { amount, debit: credit ? 0 : amount, credit: credit ? amount : 0 };
+};
+
+// Read a row through a resolved profile mapping (see profiles.js) instead of guessing
+const mappedCol = (norm, columns, role) => (columns[role] !== undefined ? norm[columns[role]] : undefined);
+
+const readMapped = (norm, { profile, columns }, decimal) => {
+  const col = (role) => mappedCol(norm, columns, role);
+  const money = (role) => parseAmount(col(role), decimal);
+  const unsigned = (role) => (money(role) === null ? null : Math.abs(money(role)));
+  let debit = 0;
+  let credit = 0;
+  let amount = null;
+  if (profile.drCr === 'indicator') {
+    amount = unsigned('amount');
+    const flag = (col('drCrFlag') || '').toString().trim().toUpperCase();
+    if (amount > 0 && DEBIT_FLAGS.includes(flag)) debit = amount;
+    if (amount > 0 && CREDIT_FLAGS.includes(flag)) credit = amount;
+  } else if (profile.drCr === 'card') {
+    ({ amount, debit, credit } = readCardAmount(col('amount'), col('drCrFlag'), decimal));
+  } else if (profile.drCr === 'signed') {
+    const signed = money('amount');
+    amount = signed === null ? null : Math.abs(signed);
+    if (signed < 0) debit = -signed;
+    if (signed > 0) credit = signed;
+  } else {
+    // Some banks sign or suffix the amount even in its own column ("500.00 Dr")
+    const d = unsigned('debit');
+    const c = unsigned('credit');
+    if (d > 0) debit = d;
+    if (c > 0) credit = c;
+    amount = d ?? c;
+  }
+  return {
+    description: (col('description') || '').toString(),
+    debit,
+    credit,
+    amount,
+    balance: money('balance'),
+    reference: (col('reference') || '').toString(),
+    type: (col('type') || '').toString(),
+  };
+};
+
+/** The raw (unparsed) date cell of a row. */
+export const getDateCell = (norm, match = null) =>
+  (match ? mappedCol(norm, match.columns, 'date') : getTxDateCell(norm));
+
+// Fallback for unrecognised layouts: per-row key guessing. On a card
+// statement a single amount column is read the card way; otherwise a single
+// amount column is signed, with money out negative, bracketed or marked Dr.
+const readHeuristic = (norm, card, decimal) => {
+  const debitAmt  = Math.abs(parseAmount(getDebitAmt(norm), decimal));
+  const creditAmt = Math.abs(parseAmount(getCreditAmt(norm), decimal));
+  const amount    = parseAmount(getDebitAmt(norm) ?? getCreditAmt(norm), decimal);
+  const split = {
+    description: getTxDesc(norm).toString(),
+    debit:  isDebit(norm)  && debitAmt  > 0 ? debitAmt  : 0,
+    credit: isCredit(norm) && creditAmt > 0 ? creditAmt : 0,
+    amount: amount === null ? null : Math.abs(amount),
+    balance: parseAmount(getBalance(norm), decimal),
+    reference: getReference(norm).toString(),
+    type: getTxType(norm).toString(),
+  };
+  if (split.debit || split.credit) return split;
+  if (card) return { ...split, ...readCardAmount(getCardAmt(norm), getDrCr(norm) || findColVal(norm, 'debit / credit', 'billingamountsign'), decimal) };
+  const signed = getDrCr(norm) ? null : parseAmount(getCardAmt(norm), decimal);
+  if (!signed) return split;
+  return { ...split, amount: Math.abs(signed), debit: signed < 0 ? -signed : 0, credit: signed > 0 ? signed : 0 };
+};
+
+/** The cells of a row that hold money — what inferDecimal and detectCurrency look at. */
+export const getAmountCells = (norm, match = null) => (match
+  ? ['debit', 'credit', 'amount', 'balance'].map(role => mappedCol(norm, match.columns, role))
+  : [getDebitAmt(norm), getCreditAmt(norm), getCardAmt(norm), getBalance(norm)]
+).filter(v => v !== undefined && v !== null && v !== '');
+
+// A charge in another currency: a foreign-amount column (with its own currency
+// column, or the code in the cell), else the amount quoted in the narration
+const readOriginal = (norm, description, currency, decimal) => {
+  const cell = findColVal(norm, 'foreign currency amount', 'foreign amount', 'original amount', 'fcy amount');
+  const amount = Math.abs(parseAmount(cell, decimal));
+  const code = currencyOf(findColVal(norm, 'original currency', 'foreign currency', 'currency') || '') || currencyOf(cell);
+  if (amount > 0 && code && code !== currency) return { amount, currency: code };
+  return foreignAmount(description, currency);
+};
+
+/**
+ * Resolve a normalized row into a Transaction. All column guessing happens here,
+ * once per row, so the analyses never have to look at raw headers again.
+ * @param {Object} norm  Row from buildNorm
+ * @param {{ profile: Object, columns: Object<string, string> }|null} [match]  Detected bank profile
+ * @param {string} [dateOrder]  Day/month order for the date column, from inferDateOrder
+ * @param {{ card?: boolean, currency?: string, decimal?: '.'|',' }} [statement]  Whether the row is from a
+ *   credit card statement, the statement's currency (detectCurrency) and decimal mark (inferDecimal)
+ * @returns {Transaction}
+ */
+export const toTransaction = (norm, match = null, dateOrder = 'DMY', { card = false, currency = DEFAULT_CURRENCY, decimal = '.' } = {}) => {
+  const tx = match ? readMapped(norm, match, decimal) : readHeuristic(norm, card, decimal);
+  return {
+    ...tx,
+    date: parseDate(getDateCell(norm, match), dateOrder),
+    currency,
+    original: readOriginal(norm, tx.description, currency, decimal),
+    ...narrationFields(tx.description),
+    account: '',
+    raw: norm,
+  };
+};
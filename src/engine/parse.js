@@ -0,0 +1,131 @@
+import * as XLSX from '@e965/xlsx';
+import Papa from 'papaparse';
+import { StatementError } from './errors.js';
+import { toTransaction, getDateCell, getAmountCells } from './normalize.js';
+import { inferDateOrder, formatToOrder } from './dates.js';
+import { parseTable } from './table.js';
+import { readPdfGrid } from './pdf.js';
+import { readStatementSummary, reconcileStatement } from './reconcile.js';
+import { readCardSummary, isCardSummary, cardFields } from './creditCard.js';
+import { detectCurrency, inferDecimal, DEFAULT_CURRENCY } from './currency.js';
+
+export const MAX_SIZE_MB = 20;
+// Rows between progress reports
+const PROGRESS_EVERY = 1000;
+
+const ALLOWED_MIME = [
+  'text/csv', 'text/plain', 'application/csv',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/pdf',
+];
+const FORMATS = { csv: 'csv', xlsx: 'excel', xls: 'excel', pdf: 'pdf' };
+
+export const detectFormat = (fileName) => FORMATS[fileName.split('.').pop().toLowerCase()] || null;
+
+/**
+ * Reject files we know we can't read before touching their contents.
+ * @param {{ name: string, size: number, type?: string }} file
+ * @throws {StatementError}
+ */
+export function validateFile({ name, size, type }) {
+  if (size > MAX_SIZE_MB * 1024 * 1024) {
+    throw new StatementError(`File is too large. Please upload a file under ${MAX_SIZE_MB} MB.`, 'TOO_LARGE');
+  }
+  if (!detectFormat(name) || (type && !ALLOWED_MIME.includes(type))) {
+    throw new StatementError('Invalid file type. Only .csv, .xlsx, .xls and .pdf bank statements are accepted.', 'UNSUPPORTED_TYPE');
+  }
+}
+
+/**
+ * Read the first sheet (or the CSV, or the PDF's rebuilt table) as a raw grid
+ * of cells — what the column-mapping wizard previews.
+ * @param {ArrayBuffer} buffer
+ * @param {string} fileName
+ * @param {{ password?: string, profiles?: Object[], onProgress?: Function, signal?: AbortSignal }} [options]
+ *   password, onProgress and signal are only used for PDFs, which are read page by page
+ * @returns {Promise<Array[]>}
+ * @throws {StatementError}
+ */
+export async function readGrid(buffer, fileName, options = {}) {
+  const format = detectFormat(fileName);
+  if (format === 'csv') {
+    return Papa.parse(new TextDecoder().decode(buffer), { skipEmptyLines: true }).data;
+  }
+  if (format === 'excel') {
+    const workbook = XLSX.read(buffer, { type: 'array' });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
+  }
+  if (format === 'pdf') {
+    return readPdfGrid(buffer, options);
+  }
+  throw new StatementError('Please upload a CSV, Excel or PDF file.', 'UNSUPPORTED_TYPE');
+}
+
+/**
+ * Read a statement file into normalized transactions.
+ * @param {ArrayBuffer} buffer
+ * @param {string} fileName  Used only to pick the format from its extension
+ * @param {Object} [options]
+ * @param {Object[]} [options.profiles]  Profile registry to fingerprint against (defaults to BANK_PROFILES)
+ * @param {{ headerRow: number, profile: Object }} [options.mapping]  Layout chosen in the mapping wizard
+ * @param {string} [options.password]  Password for protected PDFs
+ * @param {(progress: { stage: 'reading'|'rows'|'checking', done?: number, total?: number }) => void} [options.onProgress]
+ * @param {AbortSignal} [options.signal]  Checked between stages and row batches
+ * @returns {Promise<{ format: string, profile: { id: string, name: string }|null, dateOrder: string,
+ *   currency: string, decimal: '.'|',', kind: 'bank'|'card', transactions: import('./normalize.js').Transaction[], footer: Object, card: Object|null,
+ *   integrity: Object }>}
+ *   `currency` is the statement's ISO currency (INR unless it says otherwise), `decimal` how it
+ *   writes decimals; `footer` is the statement's own opening/closing balances and totals, `card` a card
+ *   statement's bill summary (readCardSummary), `integrity` the reconcileStatement result
+ * @throws {StatementError}  code NEEDS_MAPPING when the columns can't be worked out
+ */
+export async function parseStatement(buffer, fileName, { profiles, mapping, password, onProgress, signal } = {}) {
+  const format = detectFormat(fileName);
+  onProgress?.({ stage: 'reading' });
+  const grid = await readGrid(buffer, fileName, { password, profiles, onProgress, signal });
+  signal?.throwIfAborted();
+  // Plain CSV exports usually start with the header line; trust it when no row looks better
+  const parsed = parseTable(grid, { profiles, mapping, defaultHeaderRow: format === 'csv' ? 0 : -1 });
+  if (!parsed) {
+    throw new StatementError(
+      format === 'excel' ? 'Could not find header row in Excel file.' : 'Could not find the header row in this file.',
+      'NEEDS_MAPPING',
+    );
+  }
+  const { rows, match, summaryRows, preambleRows } = parsed;
+  const dateOrder = inferDateOrder(rows.map(norm => getDateCell(norm, match)), formatToOrder(match?.profile.dateFormat));
+  const amountCells = rows.flatMap(norm => getAmountCells(norm, match));
+  const decimal = inferDecimal(amountCells);
+  const currency = detectCurrency({ preamble: preambleRows, headers: Object.keys(rows[0] || {}), cells: amountCells }) || DEFAULT_CURRENCY;
+  // A card export is recognised by its profile, or by the bill summary around the table
+  const bill = readCardSummary([...preambleRows, ...summaryRows], dateOrder);
+  const kind = match?.profile.kind === 'card' || isCardSummary(bill) ? 'card' : 'bank';
+  const transactions = [];
+  for (let i = 0; i < rows.length; i++) {
+    if (i % PROGRESS_EVERY === 0) {
+      signal?.throwIfAborted();
+      onProgress?.({ stage: 'rows', done: i, total: rows.length });
+    }
+    const tx = toTransaction(rows[i], match, dateOrder, { card: kind === 'card', currency, decimal });
+    transactions.push(kind === 'card' ? { ...tx, ...cardFields(tx) } : tx);
+  }
+  if (!transactions.some(tx => tx.debit > 0 || tx.credit > 0)) {
+    throw new StatementError('No debit or credit amounts were recognised in this statement.', 'NEEDS_MAPPING');
+  }
+  onProgress?.({ stage: 'checking' });
+  const footer = readStatementSummary(summaryRows, decimal);
+  return {
+    format,
+    profile: match ? { id: match.profile.id, name: match.profile.name, custom: Boolean(match.profile.fingerprint) } : null,
+    dateOrder,
+    currency,
+    decimal,
+    kind,
+    transactions,
+    footer,
+    card: kind === 'card' ? bill : null,
+    integrity: reconcileStatement(transactions, footer),
+  };
+}
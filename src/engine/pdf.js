@@ -0,0 +1,175 @@
+import { StatementError } from './errors.js';
+import { locateTable } from './table.js';
+
+// ── PDF e-statements ───────────────────────────────────
+// A PDF has no table, only positioned text. We rebuild one: group text runs
+// into lines by their y position, find the header line, use the header cells'
+// x extents as column boundaries, and drop every later run into the column it
+// overlaps. The result is a plain grid, so from here on a PDF goes through
+// exactly the same parseTable pipeline as CSV and Excel.
+
+let workerSrc = null;
+
+/** Where pdf.js should load its worker from (the app passes a bundler URL). */
+export const setPdfWorkerSrc = (src) => {
+  workerSrc = src;
+};
+
+// The default build expects browser globals (DOMMatrix…); Node needs the legacy
+// one. It's left out of the app bundle since the browser never loads it.
+const isNode = Boolean(globalThis.process?.versions?.node);
+const NODE_BUILD = 'pdfjs-dist/legacy/build/pdf.mjs';
+
+const loadPdfjs = async () => {
+  const pdfjs = isNode ? await import(/* @vite-ignore */ NODE_BUILD) : await import('pdfjs-dist');
+  if (workerSrc) pdfjs.GlobalWorkerOptions.workerSrc = workerSrc;
+  return pdfjs;
+};
+
+// Text runs whose baselines are this close (in PDF points) sit on one line
+const LINE_TOLERANCE = 3;
+// Money as statements print it: 1,234.56
+const AMOUNT_RE = /^-?[\d,]+\.\d{2}(\s*(cr|dr))?$/i;
+
+async function extractLines(pdf, onProgress, signal) {
+  const lines = [];
+  for (let p = 1; p <= pdf.numPages; p++) {
+    signal?.throwIfAborted();
+    onProgress?.({ stage: 'reading', done: p - 1, total: pdf.numPages });
+    const page = await pdf.getPage(p);
+    const { items } = await page.getTextContent();
+    const runs = items
+      .filter(it => it.str && it.str.trim())
+      .map(it => ({
+        text: it.str.trim(),
+        x: it.transform[4],
+        y: it.transform[5],
+        width: it.width,
+        height: it.height || Math.abs(it.transform[3]) || 10,
+      }))
+      .sort((a, b) => b.y - a.y || a.x - b.x);
+    let current = null;
+    for (const run of runs) {
+      if (current && Math.abs(current.y - run.y) <= LINE_TOLERANCE) {
+        current.runs.push(run);
+      } else {
+        current = { page: p, y: run.y, height: run.height, runs: [run] };
+        lines.push(current);
+      }
+    }
+    page.cleanup();
+  }
+  lines.forEach(line => line.runs.sort((a, b) => a.x - b.x));
+  return lines;
+}
+
+// Join runs separated by less than ~a word gap into one cell
+const toCells = (runs) => runs.reduce((cells, run) => {
+  const last = cells[cells.length - 1];
+  if (last && run.x - (last.x + last.width) < run.height * 0.8) {
+    last.text += ' ' + run.text;
+    last.width = run.x + run.width - last.x;
+  } else {
+    cells.push({ ...run });
+  }
+  return cells;
+}, []);
+
+// The column a cell belongs to: the header it overlaps most, else the nearest one
+const columnFor = (cell, columns) => {
+  let best = -1;
+  let bestOverlap = 0;
+  columns.forEach((col, i) => {
+    const overlap = Math.min(cell.x + cell.width, col.x + col.width) - Math.max(cell.x, col.x);
+    if (overlap > bestOverlap) {
+      best = i;
+      bestOverlap = overlap;
+    }
+  });
+  if (best !== -1) return best;
+  const mid = cell.x + cell.width / 2;
+  const dist = columns.map(col => Math.abs(col.x + col.width / 2 - mid));
+  return dist.indexOf(Math.min(...dist));
+};
+
+/**
+ * Rebuild the transaction table from positioned text lines.
+ * @returns {Array[]} Grid of cell strings, header row included
+ */
+export function linesToGrid(lines, profiles) {
+  const lineCells = lines.map(line => toCells(line.runs));
+  const texts = lineCells.map(cells => cells.map(c => c.text));
+  const { headerRowIdx } = locateTable(texts, profiles);
+  if (headerRowIdx === -1) return texts;
+
+  const columns = lineCells[headerRowIdx];
+  const headerKey = texts[headerRowIdx].join('|');
+  const grid = texts.slice(0, headerRowIdx + 1);
+  let prev = null;
+  for (let i = headerRowIdx + 1; i < lines.length; i++) {
+    // Banks repeat the header on every page
+    if (texts[i].join('|') === headerKey) {
+      prev = null;
+      continue;
+    }
+    const row = Array(columns.length).fill('');
+    lineCells[i].forEach(cell => {
+      const col = columnFor(cell, columns);
+      row[col] = row[col] ? `${row[col]} ${cell.text}` : cell.text;
+    });
+    // A wrapped narration line: nothing in the first (date / serial) column,
+    // no amounts, and tucked right under the previous row on the same page
+    const line = lines[i];
+    const isContinuation = prev && !row[0] && !row.some(v => AMOUNT_RE.test(v))
+      && prev.line.page === line.page && prev.line.y - line.y < line.height * 2.5;
+    if (isContinuation) {
+      row.forEach((v, c) => {
+        if (v) prev.row[c] = prev.row[c] ? `${prev.row[c]} ${v}` : v;
+      });
+      prev.line = line;
+      continue;
+    }
+    grid.push(row);
+    prev = { row, line };
+  }
+  return grid;
+}
+
+/**
+ * Extract the statement table from a PDF.
+ * @param {ArrayBuffer} buffer
+ * @param {{ password?: string, profiles?: Object[], onProgress?: Function, signal?: AbortSignal }} [options]
+ *   onProgress is called per page with { stage: 'reading', done, total }
+ * @returns {Promise<Array[]>}
+ * @throws {StatementError} PASSWORD_REQUIRED / PASSWORD_INCORRECT for locked files
+ */
+export async function readPdfGrid(buffer, { password, profiles, onProgress, signal } = {}) {
+  const pdfjs = await loadPdfjs();
+  // pdf.js transfers the bytes to its worker; hand it a copy so the caller can re-read the file
+  const task = pdfjs.getDocument({
+    data: new Uint8Array(buffer.slice(0)),
+    password,
+    isEvalSupported: false,
+    verbosity: pdfjs.VerbosityLevel.ERRORS,
+  });
+  let pdf;
+  try {
+    pdf = await task.promise;
+  } catch (err) {
+    if (err?.name === 'PasswordException') {
+      throw err.code === pdfjs.PasswordResponses.INCORRECT_PASSWORD
+        ? new StatementError('Incorrect password for this PDF. Please try again.', 'PASSWORD_INCORRECT')
+        : new StatementError('This PDF is password protected. Enter its password to continue.', 'PASSWORD_REQUIRED');
+    }
+    throw new StatementError('This PDF could not be read. It may be damaged.', 'INVALID_PDF');
+  }
+  try {
+    const lines = await extractLines(pdf, onProgress, signal);
+    if (lines.length === 0) {
+      throw new StatementError('This PDF has no selectable text (it may be a scanned image). Please download a text PDF, CSV or Excel statement from your bank.', 'NO_TEXT');
+    }
+    return linesToGrid(lines, profiles);
+  } finally {
+    await pdf.destroy();
+  }
+}
@@ -0,0 +1,250 @@
+import {
+  FOOTER_KEYWORDS, normalizeKey, getTxDateCell, getTxDesc, getDebitAmt, getCreditAmt, getBalance, getReference,
+} from './normalize.js';
+
+// Card statements print their bill summary below the transactions too
+const CARD_FOOTER_KEYWORDS = ['total amount due', 'total dues', 'minimum amount due', 'payment due date', 'reward points summary'];
+
+/**
+ * A known statement export layout.
+ * @typedef {Object} BankProfile
+ * @property {string} id
+ * @property {string} name
+ * @property {Object<string, string[]>} columns  Role → accepted header spellings. Every
+ *   listed role must be present for the profile to match; together they are the
+ *   header signature.
+ * @property {string} dateFormat  Format the bank writes dates in, e.g. 'DD/MM/YY'
+ * @property {'split'|'indicator'|'signed'|'card'} drCr  split: separate debit/credit columns;
+ *   indicator: one amount column plus a Dr/Cr column; signed: negative amounts are debits;
+ *   card: one amount column where credits are marked (Cr suffix, minus sign or flag column)
+ * @property {'bank'|'card'} [kind]  Credit card exports are 'card'; bank accounts by default
+ * @property {string[]} footer  Row prefixes that mark the end of the transaction table
+ * @property {string} [fingerprint]  Set on user-made profiles: they only match this exact header row
+ */
+
+/** @type {BankProfile[]} */
+export const BANK_PROFILES = [
+  {
+    id: 'hdfc',
+    name: 'HDFC Bank',
+    columns: {
+      date: ['date'],
+      description: ['narration'],
+      reference: ['chq./ref.no.'],
+      valueDate: ['value dt'],
+      debit: ['withdrawal amt.'],
+      credit: ['deposit amt.'],
+      balance: ['closing balance'],
+    },
+    dateFormat: 'DD/MM/YY',
+    drCr: 'split',
+    footer: [...FOOTER_KEYWORDS, 'hdfc bank limited', 'contents of this statement'],
+  },
+  {
+    id: 'icici',
+    name: 'ICICI Bank',
+    columns: {
+      date: ['transaction date'],
+      valueDate: ['value date'],
+      description: ['transaction remarks'],
+      reference: ['cheque number'],
+      debit: ['withdrawal amount (inr )', 'withdrawal amount (inr)', 'withdrawal amount'],
+      credit: ['deposit amount (inr )', 'deposit amount (inr)', 'deposit amount'],
+      balance: ['balance (inr )', 'balance (inr)', 'balance'],
+    },
+    dateFormat: 'DD/MM/YYYY',
+    drCr: 'split',
+    footer: [...FOOTER_KEYWORDS, 'legends used in account statement', 'legends for transactions'],
+  },
+  {
+    id: 'sbi',
+    name: 'State Bank of India',
+    columns: {
+      date: ['txn date'],
+      valueDate: ['value date'],
+      description: ['description'],
+      reference: ['ref no./cheque no.', 'ref no./cheque no'],
+      debit: ['debit'],
+      credit: ['credit'],
+      balance: ['balance'],
+    },
+    dateFormat: 'D MMM YYYY',
+    drCr: 'split',
+    footer: [...FOOTER_KEYWORDS, 'this is a computer generated statement', 'please do not share your atm'],
+  },
+  {
+    id: 'axis',
+    name: 'Axis Bank',
+    columns: {
+      date: ['tran date'],
+      reference: ['chqno'],
+      description: ['particulars'],
+      debit: ['dr'],
+      credit: ['cr'],
+      balance: ['bal'],
+      branch: ['sol'],
+    },
+    dateFormat: 'DD-MM-YYYY',
+    drCr: 'split',
+    footer: [...FOOTER_KEYWORDS, 'transaction total', 'unless the constituent notifies'],
+  },
+  {
+    id: 'kotak',
+    name: 'Kotak Mahindra Bank',
+    columns: {
+      date: ['transaction date'],
+      valueDate: ['value date'],
+      description: ['description'],
+      reference: ['chq / ref no.', 'chq/ref no.'],
+      amount: ['amount'],
+      drCrFlag: ['dr / cr', 'dr/cr'],
+      balance: ['balance'],
+    },
+    dateFormat: 'DD-MM-YYYY',
+    drCr: 'indicator',
+    // Kotak prints an "Opening Balance" row above the first transaction, so it can't end the table
+    footer: FOOTER_KEYWORDS.filter(kw => kw !== 'opening balance'),
+  },
+  {
+    id: 'hdfc-card',
+    name: 'HDFC Bank Credit Card',
+    kind: 'card',
+    columns: {
+      date: ['date'],
+      description: ['description'],
+      amount: ['amt', 'amount'],
+      drCrFlag: ['debit / credit', 'debit/credit'],
+    },
+    dateFormat: 'DD/MM/YYYY',
+    drCr: 'card',
+    footer: [...FOOTER_KEYWORDS, ...CARD_FOOTER_KEYWORDS],
+  },
+  {
+    id: 'icici-card',
+    name: 'ICICI Bank Credit Card',
+    kind: 'card',
+    columns: {
+      date: ['date', 'transaction date'],
+      description: ['transaction details'],
+      amount: ['amount(in rs)', 'amount (in rs)', 'amount (inr)'],
+      drCrFlag: ['billingamountsign'],
+    },
+    dateFormat: 'DD/MM/YYYY',
+    drCr: 'card',
+    footer: [...FOOTER_KEYWORDS, ...CARD_FOOTER_KEYWORDS],
+  },
+];
+
+// Compare headers ignoring punctuation and spacing: "Chq./Ref.No." ≈ "chq ref no"
+const headerToken = (h) => normalizeKey(h).replace(/[^a-z0-9]/g, '');
+
+/**
+ * Map each profile role to the actual (normalized) header key in this file.
+ * @returns {Object<string, string>|null} null when a role has no matching header
+ */
+export function resolveColumns(headers, columns) {
+  const byToken = new Map(headers.map(h => [headerToken(h), h]));
+  const resolved = {};
+  for (const [role, spellings] of Object.entries(columns)) {
+    const hit = spellings.map(headerToken).find(t => byToken.has(t));
+    if (hit === undefined) return null;
+    resolved[role] = byToken.get(hit);
+  }
+  return resolved;
+}
+
+/**
+ * Fingerprint a header row against the registry. When several profiles match,
+ * the one with the longest signature wins, so SBI's seven columns beat a
+ * generic profile that happens to share "debit"/"credit".
+ * @param {string[]} headers  Normalized header keys
+ * @param {BankProfile[]} [profiles]
+ * @returns {{ profile: BankProfile, columns: Object<string, string> }|null}
+ */
+export function detectProfile(headers, profiles = BANK_PROFILES) {
+  // A profile the user built for this exact header row beats any built-in guess
+  const fingerprint = headerFingerprint(headers);
+  const custom = profiles.find(p => p.fingerprint === fingerprint);
+  if (custom) {
+    const columns = resolveColumns(headers, custom.columns);
+    if (columns) return { profile: custom, columns };
+  }
+  let best = null;
+  for (const profile of profiles) {
+    if (profile.fingerprint) continue;
+    const columns = resolveColumns(headers, profile.columns);
+    if (columns && (!best || Object.keys(columns).length > Object.keys(best.columns).length)) {
+      best = { profile, columns };
+    }
+  }
+  return best;
+}
+
+// ── User-defined layouts (column-mapping wizard) ────────────────────
+
+// Roles the wizard asks for; `required` ones must be mapped for a usable profile
+export const MAPPING_ROLES = [
+  { role: 'date', label: 'Date', required: true },
+  { role: 'description', label: 'Description / narration', required: true },
+  { role: 'debit', label: 'Debit / withdrawal amount' },
+  { role: 'credit', label: 'Credit / deposit amount' },
+  { role: 'amount', label: 'Amount (single column)' },
+  { role: 'drCrFlag', label: 'Dr / Cr indicator' },
+  { role: 'balance', label: 'Balance' },
+  { role: 'reference', label: 'Reference / cheque no.' },
+];
+
+/** Stable key for a header row, used to recognise the same export next time. */
+export const headerFingerprint = (headers) => headers.map(headerToken).filter(Boolean).join('|');
+
+/**
+ * Build a profile from the wizard's choices.
+ * @param {Object} spec
+ * @param {string} spec.name
+ * @param {string[]} spec.headers        Normalized header keys of the chosen header row
+ * @param {Object<string, string>} spec.columns  Role → header key; empty roles are skipped
+ * @param {'split'|'indicator'|'signed'|'card'} spec.drCr
+ * @returns {BankProfile}
+ */
+export function buildCustomProfile({ name, headers, columns, drCr }) {
+  const fingerprint = headerFingerprint(headers);
+  return {
+    id: `custom:${fingerprint}`,
+    name,
+    kind: drCr === 'card' ? 'card' : 'bank',
+    columns: Object.fromEntries(Object.entries(columns).filter(([, h]) => h).map(([role, h]) => [role, [h]])),
+    dateFormat: '',
+    drCr,
+    footer: FOOTER_KEYWORDS,
+    fingerprint,
+  };
+}
+
+/**
+ * Pre-fill the wizard with whatever the fallback heuristics would pick. The
+ * getters return the *value* of the matched column, so feeding them a row
+ * whose values are its own headers yields the header names.
+ * @param {string[]} headers
+ * @returns {{ columns: Object<string, string>, drCr: 'split'|'indicator' }}
+ */
+export function guessColumns(headers) {
+  const probe = Object.fromEntries(headers.filter(Boolean).map(h => [h, h]));
+  const pick = (val) => (typeof val === 'string' && probe[val] !== undefined ? val : '');
+  const flag = ['dr / cr', 'dr/cr', 'drcr', 'cr/dr'].find(h => probe[h] !== undefined) || '';
+  const debit = pick(getDebitAmt(probe));
+  const credit = pick(getCreditAmt(probe));
+  const indicator = Boolean(flag) && (!credit || credit === flag);
+  return {
+    columns: {
+      date: pick(getTxDateCell(probe)),
+      description: pick(getTxDesc(probe)),
+      debit: indicator ? '' : debit,
+      credit: indicator ? '' : credit,
+      amount: indicator ? debit : '',
+      drCrFlag: indicator ? flag : '',
+      balance: pick(getBalance(probe)),
+      reference: pick(getReference(probe)),
+    },
+    drCr: indicator ? 'indicator' : 'split',
+  };
+}
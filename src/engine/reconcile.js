@@ -0,0 +1,219 @@
+import { parseAmount } from './normalize.js';
+import { formatDate, toISODate } from './dates.js';
+import { fmt } from './format.js';
+
+/** @typedef {import('./normalize.js').Transaction} Transaction */
+
+// ── Statement integrity ────────────────────────────────
+// Banks print a running balance and, below the table, opening/closing
+// balances and totals. Both let us check our own reading of the file: every
+// row should move the balance by exactly its debit or credit, and the rows
+// should add up to the footer's totals.
+
+// Paise rounding in banks' own arithmetic
+const TOLERANCE = 0.01;
+const near = (a, b) => Math.abs(a - b) < TOLERANCE;
+
+// Footer labels, most specific first ("Dr Count" before "Debits"). A bare
+// "Dr"/"Cr" is a balance marker, not a label.
+const SUMMARY_FIELDS = [
+  ['opening', /opening\s*bal/],
+  ['closing', /closing\s*bal/],
+  ['debitCount', /\b(dr|debit|withdrawal)s?\s*(count|no\b)|no\.?\s*of\s*(dr|debit|withdrawal)/],
+  ['creditCount', /\b(cr|credit|deposit)s?\s*(count|no\b)|no\.?\s*of\s*(cr|credit|deposit)/],
+  ['totalDebit', /total\s*(dr|debit|withdrawal)|^(debits|withdrawals|(dr|debit|withdrawal)\s*amount)$/],
+  ['totalCredit', /total\s*(cr|credit|deposit)|^(credits|deposits|(cr|credit|deposit)\s*amount)$/],
+];
+const BALANCE_FIELDS = ['opening', 'closing'];
+
+// "Closing Balance : 5,762.00 Cr" → label + inline value
+const LABEL_RE = /^([a-z][a-z.\s/]*?)\s*:?\s*(-?\d[\d,.]*\s*(?:cr|dr)?)?$/i;
+
+const fieldFor = (label) => SUMMARY_FIELDS.find(([, re]) => re.test(label))?.[0] || null;
+
+const splitLabel = (cell) => {
+  const m = String(cell ?? '').trim().match(LABEL_RE);
+  return m ? { field: fieldFor(m[1].trim().toLowerCase()), inline: m[2] } : { field: null };
+};
+
+// A money cell, with a Dr/Cr marker either in the cell or in the one after it
+const readMoney = (cell, next, decimal) => {
+  const text = String(cell ?? '').trim();
+  const marker = (text.match(/(cr|dr)$/i)?.[1] || String(next ?? '').trim()).toLowerCase();
+  const value = parseAmount(typeof cell === 'number' ? cell : text.replace(/\s*(cr|dr)$/i, ''), decimal);
+  if (value === null) return null;
+  return marker === 'dr' ? -Math.abs(value) : value;
+};
+
+/**
+ * Opening/closing balances and totals from the rows parseTable left out.
+ * Handles "label: value" rows, label and value in neighbouring cells, and
+ * HDFC's label row followed by a value row.
+ * @param {Array[]} summaryRows
+ * @param {'.'|','} [decimal]  The statement's decimal mark (inferDecimal)
+ * @returns {{ opening?: number, closing?: number, totalDebit?: number, totalCredit?: number, debitCount?: number, creditCount?: number }}
+ */
+export function readStatementSummary(summaryRows = [], decimal = '.') {
+  const summary = {};
+  const set = (field, value) => {
+    if (field && value !== null && value !== undefined && !(field in summary)) {
+      summary[field] = BALANCE_FIELDS.includes(field) ? value : Math.abs(value);
+    }
+  };
+  summaryRows.forEach((row, k) => {
+    const labels = row.map(cell => splitLabel(cell));
+    // A row of labels: the values are in the same columns on the next row
+    if (labels.filter(l => l.field && !l.inline).length >= 2) {
+      const values = summaryRows[k + 1] || [];
+      labels.forEach((l, i) => l.field && set(l.field, readMoney(values[i], values[i + 1], decimal)));
+      return;
+    }
+    labels.forEach((l, i) => {
+      if (!l.field) return;
+      if (l.inline) {
+        set(l.field, readMoney(l.inline, '', decimal));
+        return;
+      }
+      const j = row.findIndex((cell, c) => c > i && readMoney(cell, '', decimal) !== null);
+      if (j !== -1) set(l.field, readMoney(row[j], row[j + 1], decimal));
+    });
+  });
+  return summary;
+}
+
+const txKey = (tx) => [toISODate(tx.date), tx.debit, tx.credit, tx.description, tx.reference, tx.balance].join('|');
+
+// A repeat of the row before it, down to the balance (or the reference, when there's no balance)
+const findDuplicates = (transactions) => {
+  const dupes = new Set();
+  transactions.forEach((tx, i) => {
+    const prev = transactions[i - 1];
+    if (prev && txKey(prev) === txKey(tx) && (tx.balance !== null || tx.reference)) dupes.add(i);
+  });
+  return dupes;
+};
+
+// Walk the running balance in one direction; returns the rows that don't add up
+const walkBalances = (rows, skip) => {
+  const mismatches = [];
+  let expected = null;
+  let last = null;
+  rows.forEach(({ tx, i }) => {
+    if (skip.has(i)) return;
+    if (expected !== null) expected = expected - tx.debit + tx.credit;
+    if (tx.balance === null) return;
+    if (expected !== null && !near(expected, tx.balance)) {
+      mismatches.push({ tx, i, expected, previous: last });
+    }
+    expected = tx.balance;
+    last = tx.balance;
+  });
+  return mismatches;
+};
+
+const label = (tx) => `${formatDate(tx.date) || 'Undated'} · ${tx.merchant}`;
+
+// Why didn't this row add up?
+const explainMismatch = ({ tx, i, expected, previous }) => {
+  const moved = tx.balance - previous;
+  const own = tx.credit - tx.debit;
+  const base = { row: i, date: tx.date, description: tx.description, expected, actual: tx.balance };
+  if (own !== 0 && near(moved, -own)) {
+    return {
+      ...base, kind: 'direction', severity: 'error',
+      message: `${label(tx)}: read as a ${tx.debit ? 'debit' : 'credit'} but the balance moved the other way. The Dr/Cr column may be misread.`,
+    };
+  }
+  const rawAmounts = Object.values(tx.raw || {}).map(v => parseAmount(v)).filter(v => v !== null);
+  if (Math.sign(moved) === Math.sign(own) && rawAmounts.some(v => near(Math.abs(v), Math.abs(moved)))) {
+    return {
+      ...base, kind: 'amount', severity: 'error',
+      message: `${label(tx)}: the balance moved by ${fmt(Math.abs(moved), tx.currency)} but the row was read as ${fmt(Math.abs(own), tx.currency)}. The amount columns may be misread.`,
+    };
+  }
+  return {
+    ...base, kind: 'balance', severity: 'error',
+    message: `${label(tx)}: balance is ${fmt(tx.balance, tx.currency)}, expected ${fmt(expected, tx.currency)} (${fmt(Math.abs(tx.balance - expected), tx.currency)} unaccounted). Rows may be missing before it.`,
+  };
+};
+
+/**
+ * Check a single statement's rows against its running balance and footer.
+ * @param {Transaction[]} transactions  In file order
+ * @param {Object} [summary]  From readStatementSummary
+ * @returns {{ order: 'oldest-first'|'newest-first'|null, ok: boolean,
+ *   checks: { id: string, label: string, status: 'pass'|'fail'|'skip', detail: string }[],
+ *   issues: { kind: string, severity: 'error'|'warning', row: number, message: string }[] }}
+ */
+export function reconcileStatement(transactions, summary = {}) {
+  const checks = [];
+  const issues = [];
+  // Amounts in the statement's own currency, whatever the display currency
+  const money = (n) => fmt(n, transactions[0]?.currency);
+  const check = (id, text, pass, detail) => checks.push({ id, label: text, status: pass === null ? 'skip' : pass ? 'pass' : 'fail', detail });
+
+  const dupes = findDuplicates(transactions);
+  dupes.forEach(i => {
+    const tx = transactions[i];
+    issues.push({ kind: 'duplicate', severity: 'warning', row: i, date: tx.date, message: `${label(tx)}: ${money(tx.debit || tx.credit)} appears twice in a row with the same balance and reference.` });
+  });
+
+  transactions.forEach((tx, i) => {
+    if (!tx.debit && !tx.credit) {
+      issues.push({ kind: 'no-amount', severity: 'warning', row: i, date: tx.date, message: `${label(tx)}: no debit or credit amount could be read.` });
+    }
+  });
+
+  // Some banks list newest first; walk whichever way adds up better
+  const indexed = transactions.map((tx, i) => ({ tx, i }));
+  const withBalance = indexed.filter(({ tx }) => tx.balance !== null);
+  let order = null;
+  let chronological = indexed;
+  if (withBalance.length >= 2) {
+    const forward = walkBalances(indexed, dupes);
+    const backward = walkBalances([...indexed].reverse(), dupes);
+    order = backward.length < forward.length ? 'newest-first' : 'oldest-first';
+    if (order === 'newest-first') chronological = [...indexed].reverse();
+    const mismatches = order === 'newest-first' ? backward : forward;
+    mismatches.forEach(m => issues.push(explainMismatch(m)));
+    check('running', 'Running balance', mismatches.length === 0,
+      mismatches.length ? `${mismatches.length} of ${withBalance.length} rows don't follow from the row before` : `All ${withBalance.length} balances add up`);
+  } else {
+    check('running', 'Running balance', null, 'No balance column');
+  }
+
+  const counted = chronological.filter(({ i }) => !dupes.has(i)).map(({ tx }) => tx);
+  const totalDebit = counted.reduce((s, tx) => s + tx.debit, 0);
+  const totalCredit = counted.reduce((s, tx) => s + tx.credit, 0);
+  const firstBal = counted.find(tx => tx.balance !== null);
+  const lastBal = [...counted].reverse().find(tx => tx.balance !== null);
+
+  if (summary.opening !== undefined && firstBal) {
+    const opening = firstBal.balance + firstBal.debit - firstBal.credit;
+    check('opening', 'Opening balance', near(opening, summary.opening), `Statement ${money(summary.opening)}, rows imply ${money(opening)}`);
+  } else {
+    check('opening', 'Opening balance', null, 'Not printed on the statement');
+  }
+  if (summary.closing !== undefined && lastBal) {
+    check('closing', 'Closing balance', near(lastBal.balance, summary.closing), `Statement ${money(summary.closing)}, last row ${money(lastBal.balance)}`);
+  } else if (summary.closing !== undefined && summary.opening !== undefined) {
+    const closing = summary.opening - totalDebit + totalCredit;
+    check('closing', 'Closing balance', near(closing, summary.closing), `Statement ${money(summary.closing)}, opening ± rows ${money(closing)}`);
+  } else {
+    check('closing', 'Closing balance', null, 'Not printed on the statement');
+  }
+  const totalCheck = (id, text, expected, actual, format = money) => check(
+    id, text, expected === undefined ? null : near(expected, actual),
+    expected === undefined ? 'Not printed on the statement' : `Statement ${format(expected)}, rows ${format(actual)}`,
+  );
+  totalCheck('total-debit', 'Total debits', summary.totalDebit, totalDebit);
+  totalCheck('total-credit', 'Total credits', summary.totalCredit, totalCredit);
+  totalCheck('debit-count', 'Number of debits', summary.debitCount, counted.filter(tx => tx.debit > 0).length, String);
+  totalCheck('credit-count', 'Number of credits', summary.creditCount, counted.filter(tx => tx.credit > 0).length, String);
+
+  checks.filter(c => c.status === 'fail' && c.id !== 'running').forEach(c => {
+    issues.push({ kind: c.id, severity: 'error', row: -1, date: null, message: `${c.label} mismatch: ${c.detail}.` });
+  });
+
+  return { order, ok: issues.every(i => i.severity !== 'error'), checks, issues };
+}
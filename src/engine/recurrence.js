@@ -0,0 +1,140 @@
+import { isLikelySubscription } from './merchants.js';
+import { byDate } from './dates.js';
+
+/** @typedef {import('./normalize.js').Transaction} Transaction */
+
+// ── Recurrence detection ───────────────────────────────
+// Charges are grouped by merchant (not by raw narration, which carries
+// per-transaction UPI refs), split into amount bands, and each band's gaps
+// between charges are matched against known billing cycles.
+
+const DAY_MS = 86400000;
+
+/**
+ * Billing cycles we recognise; `days` is the nominal gap, `tolerance` how far a
+ * real gap may stray, `months` the calendar step used when projecting ahead.
+ */
+export const CADENCES = [
+  { id: 'weekly', label: 'Weekly', days: 7, tolerance: 2, months: 0 },
+  { id: 'monthly', label: 'Monthly', days: 30.44, tolerance: 5, months: 1 },
+  { id: 'quarterly', label: 'Quarterly', days: 91.3, tolerance: 12, months: 3 },
+  { id: 'annual', label: 'Annual', days: 365.25, tolerance: 20, months: 12 },
+];
+
+// Two charges belong to the same band when within this fraction of the band's median
+const AMOUNT_DRIFT = 0.25;
+// Series scoring below this are noise
+export const MIN_CONFIDENCE = 0.5;
+// At or above this a recurring charge is treated as a subscription / EMI:
+// three on-cycle charges of a steady amount, or two for a known service
+export const SUBSCRIPTION_CONFIDENCE = 0.8;
+
+const median = (nums) => {
+  const s = [...nums].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+};
+
+// Merchant names can still hold ref numbers for unknown payees; ignore digits and punctuation
+const merchantKey = (merchant) => merchant.toLowerCase().replace(/\d+/g, '').replace(/[^a-z]+/g, ' ').trim();
+
+const amountOf = (tx, direction) => (direction === 'credit' ? tx.credit : tx.debit);
+
+// Split one merchant's charges into bands of similar amount (Prime ₹1,499 vs. Amazon orders)
+const amountBands = (txs, direction) => {
+  const bands = [];
+  [...txs]
+    .sort((a, b) => amountOf(a, direction) - amountOf(b, direction))
+    .forEach(tx => {
+      const amt = amountOf(tx, direction);
+      const band = bands[bands.length - 1];
+      const typical = band && median(band.map(t => amountOf(t, direction)));
+      if (band && Math.abs(amt - typical) <= typical * AMOUNT_DRIFT) {
+        band.push(tx);
+      } else {
+        bands.push([tx]);
+      }
+    });
+  return bands.map(band => band.sort(byDate));
+};
+
+const classifyCadence = (gaps) => {
+  if (gaps.length === 0) return null;
+  const typical = median(gaps);
+  return CADENCES.find(c => Math.abs(typical - c.days) <= c.tolerance) || null;
+};
+
+/**
+ * Score a band of charges.
+ * @returns {{ cadence: Object|null, confidence: number, intervalDays: number, amountDrift: number }}
+ */
+export function scoreSeries(amounts, dates, description) {
+  const gaps = dates.slice(1).map((d, i) => (d - dates[i]) / DAY_MS);
+  const cadence = classifyCadence(gaps);
+  const intervalScore = cadence
+    ? gaps.filter(g => Math.abs(g - cadence.days) <= cadence.tolerance).length / gaps.length
+    : 0;
+  const typical = median(amounts);
+  const amountDrift = typical ? Math.max(...amounts.map(a => Math.abs(a - typical) / typical)) : 0;
+  const amountScore = Math.max(0, 1 - amountDrift / AMOUNT_DRIFT);
+  // Four charges establish a pattern; fewer are only a hint
+  const countScore = Math.min(1, gaps.length / 3);
+  // Known services (SUBSCRIPTION_PATTERNS) get a nudge rather than a pass
+  const known = isLikelySubscription(description) ? 0.15 : 0;
+  const confidence = Math.min(1, 0.4 * intervalScore + 0.2 * amountScore + 0.4 * countScore + known);
+  return { cadence, confidence, intervalDays: gaps.length ? median(gaps) : 0, amountDrift };
+}
+
+/**
+ * Find charges that repeat on a regular cycle.
+ * @param {Transaction[]} transactions
+ * @param {{ direction?: 'debit'|'credit' }} [options]  Which side of the statement to scan
+ * @returns {Object[]} One entry per recurring series, most confident first
+ */
+export function detectRecurring(transactions, { direction = 'debit' } = {}) {
+  const groups = new Map();
+  transactions
+    .filter(tx => tx.date && amountOf(tx, direction) > 0)
+    .forEach(tx => {
+      const key = merchantKey(tx.merchant) || merchantKey(tx.description);
+      if (!key) return;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(tx);
+    });
+
+  const series = [];
+  groups.forEach((txs, key) => {
+    amountBands(txs, direction)
+      .filter(band => band.length > 1)
+      .forEach(band => {
+        const amounts = band.map(tx => amountOf(tx, direction));
+        const dates = band.map(tx => tx.date);
+        const last = band[band.length - 1];
+        const { cadence, confidence, intervalDays, amountDrift } = scoreSeries(amounts, dates, last.description);
+        // No billing cycle means it's just a merchant we pay often, not a recurring charge
+        if (!cadence || confidence < MIN_CONFIDENCE) return;
+        const total = amounts.reduce((s, a) => s + a, 0);
+        series.push({
+          key,
+          description: last.merchant,
+          rawDescription: last.description,
+          direction,
+          cadence: cadence.id,
+          intervalDays,
+          confidence,
+          count: band.length,
+          total,
+          averageAmount: total / band.length,
+          lastAmount: amounts[amounts.length - 1],
+          amountDrift,
+          // What this costs per month, whatever the billing cycle
+          monthlyAmount: (total / band.length) * (CADENCES[1].days / cadence.days),
+          firstDate: band[0].date,
+          lastDate: last.date,
+          accounts: [...new Set(band.map(tx => tx.account).filter(Boolean))],
+          details: band.map(tx => ({ date: tx.date, amount: amountOf(tx, direction) })),
+        });
+      });
+  });
+  return series.sort((a, b) => b.confidence - a.confidence || b.total - a.total);
+}
@@ -0,0 +1,127 @@
+import { CADENCES } from './recurrence.js';
+import { addDays, addMonths, daysBetween, startOfDay } from './dates.js';
+
+// ── Renewals ───────────────────────────────────────────
+// Projects each recurring series forward from its last charge. A statement
+// only tells us what happened up to its last row (`coveredUntil`), so a charge
+// that should have landed inside that range but didn't is "missed" (probably
+// cancelled), while one due after it but before today is only "overdue" — for
+// a while. Long overdue, it's a prediction from an old statement: "lapsed".
+
+/** Alerts for charges due within this many days. */
+export const DUE_SOON_DAYS = 7;
+/** Horizon of the "coming up" list. */
+export const UPCOMING_DAYS = 30;
+// Overdue charges older than this are stale predictions from an old statement, not alerts
+export const OVERDUE_WINDOW_DAYS = 30;
+/** A last charge this much above the one before counts as a price rise (ignores paise rounding). */
+export const PRICE_RISE = 0.01;
+
+const cadenceOf = (series) => CADENCES.find(c => c.id === series.cadence);
+
+// The n-th charge after the series' last one. Always stepped from the last
+// charge so month-end clamping (31 Jan → 28 Feb) doesn't drift.
+const nthCharge = (series, n) => {
+  const cadence = cadenceOf(series);
+  return cadence.months
+    ? addMonths(series.lastDate, cadence.months * n)
+    : addDays(series.lastDate, Math.round(cadence.days) * n);
+};
+
+/** The charge expected after the series' last one. */
+export const nextCharge = (series) => nthCharge(series, 1);
+
+/**
+ * Where a series stands relative to today.
+ * @returns {'missed'|'lapsed'|'overdue'|'due'|'scheduled'}
+ */
+export function renewalStatus(series, { today = new Date(), coveredUntil = null } = {}) {
+  const next = nextCharge(series);
+  if (coveredUntil && daysBetween(next, coveredUntil) > cadenceOf(series).tolerance) return 'missed';
+  const daysAway = daysBetween(today, next);
+  if (daysAway < 0) return -daysAway > OVERDUE_WINDOW_DAYS ? 'lapsed' : 'overdue';
+  return daysAway <= DUE_SOON_DAYS ? 'due' : 'scheduled';
+}
+
+/**
+ * Expected charges between two dates (inclusive), earliest first. Series that
+ * missed a charge inside the statement period, or lapsed by `today`, are
+ * assumed cancelled and skipped.
+ * @param {Object[]} recurring  From detectRecurring
+ * @param {{ from: Date, until: Date, coveredUntil?: Date|null, today?: Date }} range  `today` defaults to `from`
+ * @returns {{ key: string, description: string, date: Date, amount: number, cadence: string, confidence: number }[]}
+ */
+export function forecastCharges(recurring, { from, until, coveredUntil = null, today = from }) {
+  const start = startOfDay(from);
+  const charges = [];
+  recurring
+    .filter(series => !['missed', 'lapsed'].includes(renewalStatus(series, { today: startOfDay(today), coveredUntil })))
+    .forEach(series => {
+      for (let n = 1; ; n++) {
+        const date = nthCharge(series, n);
+        if (date > until) break;
+        if (date >= start) {
+          charges.push({
+            key: series.key,
+            description: series.description,
+            date,
+            amount: series.lastAmount,
+            cadence: series.cadence,
+            confidence: series.confidence,
+          });
+        }
+      }
+    });
+  return charges.sort((a, b) => a.date - b.date || b.amount - a.amount);
+}
+
+// Last charge against the one before it
+const priceRise = (series) => {
+  const { details } = series;
+  if (details.length < 2) return null;
+  const previous = details[details.length - 2].amount;
+  const latest = details[details.length - 1].amount;
+  return latest - previous >= 1 && latest > previous * (1 + PRICE_RISE) ? { previous, latest } : null;
+};
+
+const ALERT_ORDER = ['overdue', 'due', 'missed', 'price'];
+// A price rise is news only while the series is still being charged
+const LIVE = ['scheduled', 'due', 'overdue'];
+
+/**
+ * Alerts worth surfacing: charges due soon, overdue or missed, and price rises
+ * on series that haven't been missed or lapsed.
+ * @returns {{ id: string, kind: 'due'|'overdue'|'missed'|'price', key: string, description: string, date: Date, amount: number, previousAmount?: number }[]}
+ */
+export function renewalAlerts(recurring, { today = new Date(), coveredUntil = null } = {}) {
+  const alerts = [];
+  recurring.forEach(series => {
+    const base = { key: series.key, description: series.description };
+    const status = renewalStatus(series, { today, coveredUntil });
+    const next = nextCharge(series);
+    if (status === 'missed' || status === 'due' || status === 'overdue') {
+      alerts.push({ ...base, id: `${status}:${series.key}`, kind: status, date: next, amount: series.lastAmount });
+    }
+    const rise = priceRise(series);
+    if (rise && LIVE.includes(status)) {
+      alerts.push({
+        ...base, id: `price:${series.key}`, kind: 'price', date: series.lastDate, amount: rise.latest, previousAmount: rise.previous,
+      });
+    }
+  });
+  return alerts.sort((a, b) => ALERT_ORDER.indexOf(a.kind) - ALERT_ORDER.indexOf(b.kind) || a.date - b.date);
+}
+
+/**
+ * Upcoming charges and alerts for the dashboard.
+ * @param {Object[]} recurring  From detectRecurring
+ * @param {{ today?: Date, coveredUntil?: Date|null }} [options]  `coveredUntil` is the statement's last date
+ */
+export function getRenewals(recurring, { today = new Date(), coveredUntil = null } = {}) {
+  return {
+    today: startOfDay(today),
+    coveredUntil,
+    upcoming: forecastCharges(recurring, { from: today, until: addDays(today, UPCOMING_DAYS), coveredUntil }),
+    alerts: renewalAlerts(recurring, { today, coveredUntil }),
+  };
+}
@@ -0,0 +1,145 @@
+import { CADENCES, SUBSCRIPTION_CONFIDENCE } from './recurrence.js';
+import { renewalStatus, nextCharge, PRICE_RISE } from './renewals.js';
+import { daysBetween } from './dates.js';
+
+// ── Subscriptions ──────────────────────────────────────
+// The confident recurring debits, costed at their current price: what each
+// one costs a month and a year whatever its billing cycle, how its price has
+// moved, whether it has lapsed, and which ones overlap (two music plans).
+
+const YEAR_DAYS = CADENCES.find(c => c.id === 'annual').days;
+
+/** Kinds of service where paying for two is usually one too many. */
+export const SERVICE_GROUPS = [
+  { id: 'music', label: 'music streaming', pattern: /spotify|gaana|jiosaavn|saavn|wynk|apple\s*music|youtube\s*music|amazon\s*music/i },
+  { id: 'video', label: 'video streaming', pattern: /netflix|hotstar|disney|prime\s*video|amazon\s*prime|sonyliv|zee5|jiocinema|youtube\s*premium/i },
+  { id: 'storage', label: 'cloud storage', pattern: /google\s*one|icloud|dropbox|onedrive/i },
+  { id: 'ai', label: 'AI assistant', pattern: /openai|chatgpt|claude|anthropic|perplexity|gemini/i },
+  { id: 'fitness', label: 'fitness', pattern: /cult\.?fit|healthifyme|fittr/i },
+  { id: 'food', label: 'food delivery membership', pattern: /swiggy\s*one|zomato\s*gold/i },
+];
+
+const cadenceOf = (series) => CADENCES.find(c => c.id === series.cadence);
+
+// Charges a year on the series' cycle, by calendar month where the cycle is one
+const perYear = (series) => {
+  const cadence = cadenceOf(series);
+  return cadence.months ? 12 / cadence.months : YEAR_DAYS / cadence.days;
+};
+
+// A charge differing from the one before by at least ₹1 and PRICE_RISE is a price change
+const isPriceChange = (previous, amount) => Math.abs(amount - previous) >= 1 && Math.abs(amount - previous) > previous * PRICE_RISE;
+
+/**
+ * The charges at which the price changed, first charge included.
+ * @returns {{ date: Date, amount: number, previous: number|null }[]}
+ */
+export function priceHistory(series) {
+  const history = [];
+  series.details.forEach(({ date, amount }) => {
+    const last = history[history.length - 1];
+    if (!last || isPriceChange(last.amount, amount)) history.push({ date, amount, previous: last ? last.amount : null });
+  });
+  return history;
+}
+
+// Recurrence detection bands charges by amount, so a price rise beyond its
+// drift ends one series and starts another. Series of one payee on one cycle
+// where each picks up a cycle after the last one ended are one subscription.
+const joinRepriced = (series) => {
+  const byKey = new Map();
+  [...series].sort((a, b) => a.firstDate - b.firstDate).forEach(s => {
+    const cadence = cadenceOf(s);
+    const chain = byKey.get(s.key) || [];
+    const before = chain.find(c => c.cadence === s.cadence
+      && Math.abs(daysBetween(c.lastDate, s.firstDate) - cadence.days) <= cadence.tolerance);
+    if (!before) {
+      byKey.set(s.key, [...chain, s]);
+      return;
+    }
+    const count = before.count + s.count;
+    const total = before.total + s.total;
+    chain[chain.indexOf(before)] = {
+      ...s,
+      confidence: Math.max(before.confidence, s.confidence),
+      count,
+      total,
+      averageAmount: total / count,
+      monthlyAmount: (total / count) * (s.monthlyAmount / s.averageAmount),
+      firstDate: before.firstDate,
+      accounts: [...new Set([...before.accounts, ...s.accounts])],
+      details: [...before.details, ...s.details],
+    };
+  });
+  return [...byKey.values()].flat();
+};
+
+// Stable across re-analysis so keep/cancel decisions stick: the merchant key,
+// numbered when one payee has several plans
+const withIds = (series) => {
+  const seen = new Map();
+  return [...series]
+    .sort((a, b) => a.key.localeCompare(b.key) || a.averageAmount - b.averageAmount)
+    .map(s => {
+      const n = (seen.get(s.key) || 0) + 1;
+      seen.set(s.key, n);
+      return { ...s, id: n === 1 ? s.key : `${s.key}#${n}` };
+    });
+};
+
+/**
+ * Subscriptions and EMIs with their true cost, price history and status.
+ * @param {Object[]} recurring  From detectRecurring
+ * @param {{ today?: Date, coveredUntil?: Date|null }} [options]  As for getRenewals
+ * @returns {{ items: Object[], monthly: number, annual: number, duplicates: { group: string, label: string, ids: string[] }[] }}
+ *   Each item is the recurring series plus `id`, `monthlyCost` and `annualCost` at the
+ *   latest price, `prices` (priceHistory), `priceChange` (first price to latest, or null),
+ *   `status` ('active'|'lapsed'), `nextDate` and `group`. Totals count active items only.
+ */
+export function getSubscriptions(recurring, { today = new Date(), coveredUntil = null } = {}) {
+  const confident = joinRepriced(recurring.filter(r => r.direction === 'debit')).filter(r => r.confidence >= SUBSCRIPTION_CONFIDENCE);
+  const items = withIds(confident)
+    .map(series => {
+      const prices = priceHistory(series);
+      const first = prices[0].amount;
+      const lapsed = renewalStatus(series, { today, coveredUntil }) === 'missed';
+      return {
+        ...series,
+        monthlyCost: (series.lastAmount * perYear(series)) / 12,
+        annualCost: series.lastAmount * perYear(series),
+        prices,
+        priceChange: prices.length > 1 ? { from: first, to: series.lastAmount, change: (series.lastAmount - first) / first } : null,
+        status: lapsed ? 'lapsed' : 'active',
+        nextDate: lapsed ? null : nextCharge(series),
+        group: SERVICE_GROUPS.find(g => g.pattern.test(`${series.description} ${series.rawDescription}`))?.id || null,
+      };
+    })
+    .sort((a, b) => (a.status === b.status ? b.annualCost - a.annualCost : a.status === 'active' ? -1 : 1));
+
+  const active = items.filter(s => s.status === 'active');
+  const duplicates = [];
+  // One payee billed on two plans at once
+  new Set(active.map(s => s.key)).forEach(key => {
+    const same = active.filter(s => s.key === key);
+    if (same.length > 1) duplicates.push({ group: `payee:${key}`, label: `${same[0].description} plans`, ids: same.map(s => s.id) });
+  });
+  SERVICE_GROUPS.forEach(group => {
+    const inGroup = active.filter(s => s.group === group.id);
+    if (new Set(inGroup.map(s => s.key)).size > 1) duplicates.push({ group: group.id, label: `${group.label} services`, ids: inGroup.map(s => s.id) });
+  });
+
+  return {
+    items,
+    monthly: active.reduce((s, i) => s + i.monthlyCost, 0),
+    annual: active.reduce((s, i) => s + i.annualCost, 0),
+    duplicates,
+  };
+}
+
+/**
+ * What cancelling the items marked 'cancel' would save a year.
+ * @param {Object[]} items  getSubscriptions().items
+ * @param {Object<string, 'keep'|'cancel'>} decisions  By item id
+ */
+export const cancellationSavings = (items, decisions) =>
+  items.filter(s => s.status === 'active' && decisions[s.id] === 'cancel').reduce((s, i) => s + i.annualCost, 0);
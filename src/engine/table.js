@@ -0,0 +1,87 @@
+import { cleanString, normalizeKey, isSummaryTx, toHeaderKeys, getDateCell, getTxDesc, FOOTER_KEYWORDS } from './normalize.js';
+import { detectProfile, resolveColumns } from './profiles.js';
+
+// ── Grid → rows ────────────────────────────────────────
+// Every input format (CSV, Excel, PDF) is first reduced to a grid of cells;
+// from here on they share header detection, footer truncation and row cleanup.
+
+// Statements carry a preamble (account holder, address…) above the table, so
+// scan for the first row that looks like column headers.
+export function findHeaderRow(rows) {
+  const expected = ['narration', 'description', 'desc', 'amount', 'withdrawal', 'deposit', 'date', 'value', 'transaction', 'dr', 'cr'];
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i].map(cell => normalizeKey((cell || '').toString()));
+    // Header rows hold labels only; a bill summary line ("Payment Due Date 15/06/2025") has values
+    if (row.some(cell => /\d/.test(cell) && /^[\d,./\s:-]+$/.test(cell))) continue;
+    const hasDate = row.some(cell => cell.includes('date') || cell.includes('value'));
+    const hasAmt = row.some(cell => cell.includes('amount') || cell.includes('withdrawal') || cell.includes('deposit') || cell.includes('debit') || cell.includes('credit'));
+    const matchCount = expected.filter(keyword => row.some(cell => cell.includes(keyword))).length;
+    if ((hasDate && hasAmt) || matchCount >= 3) return i;
+  }
+  return -1;
+}
+
+const PROFILE_SCAN_ROWS = 40;
+
+/**
+ * Locate the header row and the bank layout. A registry match is tried first
+ * on every candidate row; the keyword heuristic is only the fallback.
+ * @returns {{ headerRowIdx: number, match: { profile: Object, columns: Object }|null }}
+ */
+export function locateTable(rows, profiles) {
+  for (let i = 0; i < Math.min(rows.length, PROFILE_SCAN_ROWS); i++) {
+    const match = detectProfile(toHeaderKeys(rows[i]), profiles);
+    if (match) return { headerRowIdx: i, match };
+  }
+  return { headerRowIdx: findHeaderRow(rows), match: null };
+}
+
+/**
+ * Turn a sheet-like grid (array of row arrays) into normalized row objects.
+ * @param {Array[]} grid
+ * @param {Object} [options]
+ * @param {Object[]} [options.profiles]  Registry to fingerprint against
+ * @param {number} [options.defaultHeaderRow]  Header row to assume when nothing is detected
+ * @param {{ headerRow: number, profile: Object }} [options.mapping]  User-chosen layout; skips detection
+ * @returns {{ rows: Object[], match: { profile: Object, columns: Object }|null, summaryRows: Array[], preambleRows: Array[] }|null}
+ *   null when no header row could be found. `summaryRows` are the raw footer
+ *   and undated rows that were left out, `preambleRows` the raw rows above the header.
+ */
+export function parseTable(grid, { profiles, defaultHeaderRow = -1, mapping } = {}) {
+  let headerRowIdx;
+  let match;
+  if (mapping) {
+    headerRowIdx = mapping.headerRow;
+    const columns = grid[headerRowIdx] && resolveColumns(toHeaderKeys(grid[headerRowIdx]), mapping.profile.columns);
+    if (!columns) return null;
+    match = { profile: mapping.profile, columns };
+  } else {
+    const located = locateTable(grid, profiles);
+    headerRowIdx = located.headerRowIdx === -1 ? defaultHeaderRow : located.headerRowIdx;
+    match = located.match;
+  }
+  if (headerRowIdx === -1 || !grid[headerRowIdx]) return null;
+  const headers = toHeaderKeys(grid[headerRowIdx]);
+  const footer = match ? match.profile.footer : FOOTER_KEYWORDS;
+  const descKey = match ? match.columns.description : null;
+
+  const body = grid.slice(headerRowIdx + 1);
+  const objects = body.map(row => Object.fromEntries(headers.map((h, idx) => [h, cleanString(row[idx] ?? '')])));
+  // Truncate at the first summary/footer row so bank statement totals are never counted
+  const endIdx = objects.findIndex(norm => isSummaryTx(norm, footer, descKey));
+  const tableEnd = endIdx === -1 ? objects.length : endIdx;
+  const rows = [];
+  // Rows that aren't transactions, kept for their opening/closing balances and totals
+  const summaryRows = body.slice(tableEnd);
+  objects.slice(0, tableEnd).forEach((norm, i) => {
+    // Drop spacer / carried-forward rows that have no date or narration
+    const date = getDateCell(norm, match);
+    const desc = match ? norm[match.columns.description] : getTxDesc(norm);
+    if (date !== undefined && date !== null && date !== '' && (desc ?? '').toString().trim().length > 0) {
+      rows.push(norm);
+    } else {
+      summaryRows.push(body[i]);
+    }
+  });
+  return { rows, match, summaryRows, preambleRows: grid.slice(0, headerRowIdx) };
+}
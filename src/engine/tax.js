@@ -0,0 +1,140 @@
+import { toISODate, byDate } from './dates.js';
+
+/** @typedef {import('./normalize.js').Transaction} Transaction */
+
+// ── Tax year report ────────────────────────────────────
+// What an ITR needs from the statements, per Indian financial year (April to
+// March): interest and dividends to declare, and the payments that may be
+// deductible, grouped by section. Rows are matched on their narration, payee
+// and UPI ID, with the spending category as a fallback; the user can tag a row
+// the matching missed, or untag one it got wrong. This gathers the paperwork,
+// it doesn't work out the tax.
+
+/**
+ * Sections of the Income-tax Act the heads fall under. Limits are the old
+ * regime's yearly maximum deduction; null where there is none to apply here.
+ */
+export const TAX_SECTIONS = [
+  { id: '80C', label: '80C', limit: 150000, note: 'Life insurance, PPF, ELSS, Sukanya Samriddhi, tuition fees, home loan principal' },
+  { id: '80CCD(1B)', label: '80CCD(1B)', limit: 50000, note: 'NPS, over and above 80C' },
+  { id: '80D', label: '80D', limit: 25000, note: 'Health insurance; ₹50,000 for senior citizens, more with parents’ cover' },
+  { id: '24(b)', label: '24(b)', limit: 200000, note: 'Interest on a self-occupied home loan; EMIs also repay principal, which counts under 80C' },
+  { id: '80E', label: '80E', limit: null, note: 'Interest on an education loan' },
+  { id: '80G', label: '80G', limit: null, note: '50% or 100% of the donation depending on the fund; cash over ₹2,000 doesn’t count' },
+  { id: 'HRA', label: 'HRA / 80GG', limit: null, note: 'Rent paid, for the HRA exemption or 80GG; keep the landlord’s PAN above ₹1 lakh a year' },
+  { id: '80TTA', label: '80TTA / 80TTB', limit: 10000, note: 'Savings account interest; ₹50,000 under 80TTB for senior citizens' },
+  { id: 'other-income', label: 'Income from other sources', limit: null, note: 'Declared in full' },
+  { id: 'none', label: 'Not deductible', limit: null, note: 'Shown for the record' },
+];
+
+/**
+ * What a row can be tagged as. The first head whose pattern matches wins, so
+ * the specific investments come before the catch-alls; `categories` catch rows
+ * no pattern names.
+ */
+export const TAX_HEADS = [
+  { id: 'deposit-interest', label: 'Deposit interest (FD / RD)', section: 'other-income', direction: 'credit', pattern: /\b(fd|td|rd|term\s*deposit|fixed\s*deposit|recurring\s*deposit)\b.*\bint|\bint.*\b(fd|td|rd|term\s*deposit|fixed\s*deposit)\b/i },
+  { id: 'savings-interest', label: 'Savings interest', section: '80TTA', direction: 'credit', pattern: /int\.?\s*pd|interest\s*(paid|credit|cr)\b|\bsb\s*int|savings?\s*int|credit\s*interest|\bint\.?\s*(on|for)\s*(sb|savings)/i },
+  { id: 'dividend', label: 'Dividends', section: 'other-income', direction: 'credit', pattern: /\bdividend|\bdiv\b|\bint\s*div|\bfin\s*div/i },
+  { id: 'ppf', label: 'PPF', section: '80C', direction: 'debit', pattern: /\bppf\b|public\s*provident/i },
+  { id: 'sukanya', label: 'Sukanya Samriddhi', section: '80C', direction: 'debit', pattern: /sukanya|\bssy\b/i },
+  { id: 'elss', label: 'ELSS funds', section: '80C', direction: 'debit', pattern: /\belss\b|tax\s*saver|taxsaver|long\s*term\s*equity/i },
+  { id: 'nps', label: 'NPS', section: '80CCD(1B)', direction: 'debit', pattern: /\bnps\b|national\s*pension|\bpran\b|\bnps\s*trust/i },
+  { id: 'health-insurance', label: 'Health insurance', section: '80D', direction: 'debit', pattern: /health\s*ins|mediclaim|star\s*health|care\s*health|niva\s*bupa|max\s*bupa|hdfc\s*ergo\s*health|aditya\s*birla\s*health|manipal\s*cigna|preventive\s*health|health\s*check/i },
+  { id: 'life-insurance', label: 'Life insurance', section: '80C', direction: 'debit', pattern: /\blic\b(?!\s*hous)|life\s*ins|max\s*life|hdfc\s*life|icici\s*pru(dential)?\s*life|sbi\s*life|bajaj\s*allianz\s*life|tata\s*aia|kotak\s*life|term\s*(plan|insurance)/i },
+  { id: 'home-loan', label: 'Home loan EMIs', section: '24(b)', direction: 'debit', pattern: /home\s*loan|housing\s*(loan|fin)|hsg\s*loan|lic\s*hous|pnb\s*hous|home\s*fin/i },
+  { id: 'education-loan', label: 'Education loan EMIs', section: '80E', direction: 'debit', pattern: /education\s*loan|edu\.?\s*loan|student\s*loan/i },
+  { id: 'tuition', label: 'Tuition fees', section: '80C', direction: 'debit', pattern: /tuition|school\s*fees?|college\s*fees?/i },
+  { id: 'rent', label: 'Rent', section: 'HRA', direction: 'debit', pattern: /\brent\b|nobroker|rentpay|house\s*rent/i, categories: ['rent'] },
+  { id: 'donation', label: 'Donations', section: '80G', direction: 'debit', pattern: /donat|charit|pm\s*cares|relief\s*fund|give\s*india|giveindia|ketto|milaap|\bngo\b/i },
+  { id: 'other-insurance', label: 'Other insurance premiums', section: 'none', direction: 'debit', pattern: null, categories: ['insurance'] },
+  { id: 'investments', label: 'SIPs & other investments', section: 'none', direction: 'debit', pattern: /\bsip\b|mutual\s*fund|\bmf\b|bse\s*star|\biccl\b|indian\s*clearing|\bcams\b|kfin|karvy/i, categories: ['investments'] },
+];
+
+export const taxHeadById = (id) => TAX_HEADS.find(h => h.id === id) || null;
+
+/** Start year of the financial year a date falls in: 15 Jan 2025 → 2024 (FY 2024-25). */
+export const financialYear = (date) => (date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1);
+
+const twoDigits = (year) => String(year % 100).padStart(2, '0');
+/** 2024 → 'FY 2024-25' */
+export const fyLabel = (year) => `FY ${year}-${twoDigits(year + 1)}`;
+
+/**
+ * Identifies a row across visits for the user's tags: its date, amount,
+ * narration and reference. Not the account, which the user can rename. Rows
+ * with no reference are told apart by `occurrence`, their place among the same
+ * day's rows with that amount and narration. The amount is the one the
+ * statement printed, so changing the display currency keeps the tags.
+ */
+export const taxKey = (tx, occurrence = 0) => [
+  toISODate(tx.date), tx.original?.amount ?? (tx.debit || tx.credit), tx.description.toLowerCase().replace(/\s+/g, ' ').trim(),
+  tx.reference || `#${occurrence}`,
+].join('|');
+
+const directionOf = (tx) => (tx.debit > 0 ? 'debit' : 'credit');
+
+/** The head a row matches by itself, before any tag; null for none. */
+export function matchTaxHead(tx) {
+  const text = `${tx.description} ${tx.merchant} ${tx.vpa || ''}`;
+  const heads = TAX_HEADS.filter(h => h.direction === directionOf(tx));
+  return (heads.find(h => h.pattern?.test(text)) || heads.find(h => h.categories?.includes(tx.category)))?.id || null;
+}
+
+/**
+ * Every financial year in the statements, newest first.
+ * @param {Transaction[]} transactions  Categorized, every date
+ * @param {Object<string, string>} [tags]  taxKey → head id, or '' for a row the user untagged
+ * @returns {{ year: number, label: string, assessmentYear: string, from: Date, until: Date,
+ *   heads: { id: string, label: string, section: string, direction: string, total: number, transactions: Object[] }[],
+ *   sections: { id: string, label: string, limit: number|null, note: string, total: number, counted: number, heads: string[] }[],
+ *   others: Object[] }[]}
+ *   Rows come with `taxKey`, `taxAuto` (the head they match by themselves) and `taxHead`.
+ *   `counted` is the section's total up to its limit. `others` are the year's remaining rows,
+ *   for tagging by hand.
+ */
+export function getTaxReport(transactions, tags = {}) {
+  const years = new Map();
+  // Same-day twins with no reference, counted in statement order
+  const seen = new Map();
+  transactions.filter(tx => tx.date && (tx.debit > 0 || tx.credit > 0)).sort(byDate).forEach(tx => {
+    const year = financialYear(tx.date);
+    if (!years.has(year)) years.set(year, { heads: new Map(), others: [] });
+    const twin = taxKey(tx);
+    const occurrence = tx.reference ? 0 : seen.get(twin) || 0;
+    seen.set(twin, occurrence + 1);
+    const key = taxKey(tx, occurrence);
+    const auto = matchTaxHead(tx);
+    const head = key in tags ? tags[key] || null : auto;
+    const row = { ...tx, taxKey: key, taxAuto: auto, taxHead: head };
+    const bucket = years.get(year);
+    if (!head || !taxHeadById(head)) {
+      bucket.others.push(row);
+      return;
+    }
+    if (!bucket.heads.has(head)) bucket.heads.set(head, []);
+    bucket.heads.get(head).push(row);
+  });
+
+  return [...years.entries()].sort(([a], [b]) => b - a).map(([year, bucket]) => {
+    const heads = TAX_HEADS.filter(h => bucket.heads.has(h.id)).map(({ id, label, section, direction }) => {
+      const rows = bucket.heads.get(id);
+      return { id, label, section, direction, total: rows.reduce((s, tx) => s + (tx.debit || tx.credit), 0), transactions: rows };
+    });
+    const sections = TAX_SECTIONS.map(s => {
+      const mine = heads.filter(h => h.section === s.id);
+      const total = mine.reduce((sum, h) => sum + h.total, 0);
+      return { ...s, total, counted: s.limit === null ? total : Math.min(total, s.limit), heads: mine.map(h => h.id) };
+    }).filter(s => s.heads.length);
+    return {
+      year,
+      label: fyLabel(year),
+      assessmentYear: `AY ${year + 1}-${twoDigits(year + 2)}`,
+      from: new Date(year, 3, 1),
+      until: new Date(year + 1, 2, 31),
+      heads,
+      sections,
+      others: bucket.others,
+    };
+  });
+}
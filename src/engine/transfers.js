@@ -0,0 +1,155 @@
+import { daysBetween, byDate } from './dates.js';
+
+/** @typedef {import('./normalize.js').Transaction} Transaction */
+
+// ── Transfers between the user's own accounts ──────────
+// Money moved to savings, an FD, a sweep account or a credit card isn't
+// spending, and counting it can dwarf everything else. A transaction is a
+// transfer when its narration says so, when it names one of the user's own
+// account numbers or UPI IDs, when it's the bill payment on a card statement,
+// or when it pairs up with an equal and opposite entry on another loaded account.
+
+export const TRANSFER_KINDS = [
+  { id: 'self', label: 'Self transfer', pattern: /\bself\s*(transfer|trf|tfr|a\/?c)|\bto\s*self\b|\bown\s*(a\/?c|account)|\bmyself\b/i },
+  { id: 'sweep', label: 'Sweep', pattern: /\bsweep|\bflexi\s*deposit|\bauto\s*fd\b/i },
+  { id: 'deposit', label: 'FD / RD', pattern: /\b(fd|rd|td)\s*(booking|booked|created|opened|closure|closed|renewal|maturity|proceeds|instal+ment)|\bfixed\s*deposit|\bterm\s*deposit|\brecurring\s*deposit/i },
+  { id: 'card', label: 'Credit card bill', pattern: /credit\s*card\s*(payment|bill|pymt|dues)|\bcc\s*(payment|bill|pymt|pmt)\b|\bcred\s*club|cred\.club|\bcard\s*bill/i },
+  { id: 'own', label: 'Own account' },
+  { id: 'pair', label: 'Matched pair' },
+];
+
+// Legs of one transfer posted this many days apart still pair up
+export const PAIR_WINDOW_DAYS = 3;
+
+const digitsOf = (text) => text.replace(/\D/g, '');
+
+// Full account numbers this long are safe to look for anywhere in a narration;
+// shorter ones would turn up inside reference numbers
+const FULL_NUMBER_MIN = 9;
+
+// An account number matches in full, or masked down to its last four digits
+// (XXXX1234, **1234); a UPI ID matches the narration's handle
+const ownMatcher = (ids) => {
+  const upis = [];
+  const accounts = [];
+  ids.map(id => id.trim().toLowerCase()).filter(Boolean).forEach(id => {
+    const digits = digitsOf(id);
+    if (id.includes('@')) upis.push(id);
+    else if (digits.length >= 4) {
+      const masked = `[x*•]{2,}\\s*${digits.slice(-4)}\\b`;
+      accounts.push(new RegExp(digits.length >= FULL_NUMBER_MIN ? `${digits}|${masked}` : masked, 'i'));
+    }
+  });
+  return (tx) => {
+    if (tx.vpa && upis.includes(tx.vpa)) return true;
+    return accounts.some(re => re.test(tx.description));
+  };
+};
+
+const cents = (amount) => Math.round(amount * 100);
+
+// Bank-to-bank rails; a UPI or card payment of the same amount is more often spending
+const TRANSFER_CHANNELS = ['neft', 'imps', 'rtgs'];
+
+// A leg that says it's a transfer: by its narration, an own account, the
+// transfers category, or the rail it went over
+const looksLikeTransfer = (tx, kinds) => kinds.has(tx) || tx.category === 'transfers' || TRANSFER_CHANNELS.includes(tx.channel);
+
+// Across accounts one leg has to look like a transfer, so a refund doesn't pair
+// with an unrelated purchase of the same amount; a within-account pair is two
+// same-day bank transfers
+const canPair = (debit, credit, kinds) => (debit.account !== credit.account
+  ? looksLikeTransfer(debit, kinds) || looksLikeTransfer(credit, kinds)
+  : debit.category === 'transfers' && credit.category === 'transfers' && daysBetween(debit.date, credit.date) === 0);
+
+/**
+ * Which transactions are transfers, and why.
+ *
+ * Each debit takes the nearest unclaimed credit. Across accounts an equal
+ * debit and credit within PAIR_WINDOW_DAYS count when either leg looks like a
+ * transfer (narration, own account, the transfers category or NEFT/IMPS/RTGS),
+ * and a leg found by narration or own account brings its other leg along; within one account
+ * both legs must be same-day bank transfers (NEFT/IMPS/RTGS), since an equal
+ * credit from the same payee is far more often a refund.
+ *
+ * @param {Transaction[]} transactions  Categorized
+ * @param {{ ownAccounts?: string[] }} [options]  The user's account numbers and UPI IDs
+ * @returns {Map<Transaction, string>}  Transfer kind id per transfer
+ */
+export function findTransfers(transactions, { ownAccounts = [] } = {}) {
+  const kinds = new Map();
+  const isOwn = ownMatcher(ownAccounts);
+  transactions.forEach(tx => {
+    const kind = TRANSFER_KINDS.find(k => k.pattern?.test(tx.description));
+    // A payment on a card statement is that card's bill, paid from somewhere else
+    if (tx.cardEntry === 'payment') kinds.set(tx, 'card');
+    else if (kind) kinds.set(tx, kind.id);
+    else if (isOwn(tx)) kinds.set(tx, 'own');
+  });
+
+  const dated = transactions.filter(tx => tx.date).sort(byDate);
+  const creditsByAmount = new Map();
+  dated.filter(tx => tx.credit > 0 && !tx.debit).forEach(tx => {
+    const key = cents(tx.credit);
+    if (!creditsByAmount.has(key)) creditsByAmount.set(key, []);
+    creditsByAmount.get(key).push(tx);
+  });
+  const paired = new Set();
+  dated.filter(tx => tx.debit > 0).forEach(debit => {
+    const candidates = (creditsByAmount.get(cents(debit.debit)) || []).filter(credit => !paired.has(credit)
+      && Math.abs(daysBetween(debit.date, credit.date)) <= PAIR_WINDOW_DAYS
+      && canPair(debit, credit, kinds));
+    if (!candidates.length) return;
+    const nearest = candidates.reduce((best, c) => (
+      Math.abs(daysBetween(debit.date, c.date)) < Math.abs(daysBetween(debit.date, best.date)) ? c : best
+    ));
+    paired.add(nearest);
+    // The other leg of a transfer found by narration is that kind of transfer too
+    const kind = kinds.get(debit) || kinds.get(nearest) || 'pair';
+    if (!kinds.has(debit)) kinds.set(debit, kind);
+    if (!kinds.has(nearest)) kinds.set(nearest, kind);
+  });
+  return kinds;
+}
+
+/**
+ * Copies of the transactions with `transfer` set to the transfer kind id
+ * (null otherwise). Transfers are also re-categorized as such.
+ * @param {Transaction[]} transactions  Categorized
+ * @param {{ ownAccounts?: string[] }} [options]
+ */
+export function markTransfers(transactions, options) {
+  const kinds = findTransfers(transactions, options);
+  return transactions.map(tx => (kinds.has(tx)
+    ? { ...tx, transfer: kinds.get(tx), category: 'transfers' }
+    : { ...tx, transfer: null }));
+}
+
+/**
+ * Totals per transfer kind, for the dashboard.
+ * @param {Transaction[]} transactions  From markTransfers
+ * @returns {{ count: number, out: number, in: number,
+ *   kinds: { id: string, label: string, count: number, out: number, in: number }[] }}
+ */
+export function getTransfers(transactions) {
+  const transfers = transactions.filter(tx => tx.transfer);
+  const kinds = TRANSFER_KINDS
+    .map(({ id, label }) => {
+      const own = transfers.filter(tx => tx.transfer === id);
+      return {
+        id,
+        label,
+        count: own.length,
+        out: own.reduce((s, tx) => s + tx.debit, 0),
+        in: own.reduce((s, tx) => s + tx.credit, 0),
+      };
+    })
+    .filter(k => k.count > 0)
+    .sort((a, b) => (b.out + b.in) - (a.out + a.in));
+  return {
+    count: transfers.length,
+    out: kinds.reduce((s, k) => s + k.out, 0),
+    in: kinds.reduce((s, k) => s + k.in, 0),
+    kinds,
+  };
+}
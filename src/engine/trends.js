@@ -0,0 +1,234 @@
+import { monthKey, monthLabel, formatDate, parseDate, addDays, addMonths, daysBetween } from './dates.js';
+import { categoryById } from './categories.js';
+
+/** @typedef {import('./normalize.js').Transaction} Transaction */
+
+// ── Periods ────────────────────────────────────────────
+// The dashboard can look at part of the statements: the latest few calendar
+// months, the year so far or any range. Presets count back from the last month
+// the statements cover rather than from today, so an old export still shows
+// its own last quarter.
+
+/** Period presets; `months` counts whole calendar months back from the latest one covered. */
+export const PERIODS = [
+  { id: 'all', label: 'All dates' },
+  { id: 'month', label: 'Latest month', months: 1 },
+  { id: '3m', label: 'Last 3 months', months: 3 },
+  { id: '6m', label: 'Last 6 months', months: 6 },
+  { id: '12m', label: 'Last 12 months', months: 12 },
+  { id: 'year', label: 'Year to date' },
+  { id: 'custom', label: 'Custom range' },
+];
+
+const monthStart = (date) => new Date(date.getFullYear(), date.getMonth(), 1);
+const monthEnd = (date) => new Date(date.getFullYear(), date.getMonth() + 1, 0);
+const isMonthEnd = (date) => date.getDate() === monthEnd(date).getDate();
+const isoDate = (text) => (/^\d{4}-\d{2}-\d{2}$/.test(text || '') ? parseDate(text, 'YMD') : null);
+
+/**
+ * The dates a period setting stands for.
+ * @param {{ preset?: string, from?: string, until?: string }} [period]  `from` and `until` (YYYY-MM-DD) are
+ *   only read for 'custom', and either may be left empty
+ * @param {Date|null} last  Last date the statements cover
+ * @returns {{ from: Date|null, until: Date|null }}  Both null for all dates
+ */
+export function resolvePeriod({ preset = 'all', from = '', until = '' } = {}, last) {
+  if (preset === 'custom') return { from: isoDate(from), until: isoDate(until) };
+  const def = PERIODS.find(p => p.id === preset);
+  if (!last || !def || preset === 'all') return { from: null, until: null };
+  if (def.months) return { from: addMonths(monthStart(last), 1 - def.months), until: monthEnd(last) };
+  return { from: new Date(last.getFullYear(), 0, 1), until: monthEnd(last) };
+}
+
+// How many calendar months a range spans when it starts on a 1st and ends on a month's last day
+const wholeMonths = ({ from, until }) => (from.getDate() === 1 && isMonthEnd(until)
+  ? (until.getFullYear() - from.getFullYear()) * 12 + until.getMonth() - from.getMonth() + 1
+  : null);
+
+/** 'Jan 2025', 'Nov 2024 – Jan 2025' or '05/01/2025 – 20/01/2025'. */
+export const rangeLabel = (range) => {
+  const months = wholeMonths(range);
+  if (months === 1) return monthLabel(monthKey(range.from));
+  if (months) return `${monthLabel(monthKey(range.from))} – ${monthLabel(monthKey(range.until))}`;
+  return `${formatDate(range.from)} – ${formatDate(range.until)}`;
+};
+
+// ── Comparison ─────────────────────────────────────────
+// The period against the stretch just before it (month over month when the
+// period is a month) and against the same dates a year earlier.
+
+// Payees listed per comparison, biggest movers first
+const TOP_PAYEES = 8;
+
+// As many whole months before when the period is whole months, else as many days
+const previousRange = (range) => {
+  const months = wholeMonths(range);
+  const from = months ? addMonths(range.from, -months) : addDays(range.from, -(daysBetween(range.from, range.until) + 1));
+  return { from, until: addDays(range.from, -1) };
+};
+
+// 29 Feb becomes 28 Feb, and a month's end stays its end
+const yearAgoRange = ({ from, until }) => ({
+  from: addMonths(from, -12),
+  until: isMonthEnd(until) ? monthEnd(addMonths(until, -12)) : addMonths(until, -12),
+});
+
+const inRange = (transactions, { from, until }) => transactions.filter(tx => tx.date && tx.date >= from && tx.date <= until);
+
+const addTo = (map, key, amount) => map.set(key, (map.get(key) || 0) + amount);
+
+const summarize = (transactions) => {
+  const categories = new Map();
+  const payees = new Map();
+  let spent = 0;
+  let received = 0;
+  transactions.forEach(tx => {
+    if (tx.debit > 0) {
+      spent += tx.debit;
+      addTo(categories, tx.category, tx.debit);
+      addTo(payees, tx.merchant, tx.debit);
+    }
+    if (tx.credit > 0) received += tx.credit;
+  });
+  return { spent, received, net: received - spent, categories, payees };
+};
+
+/** `pct` is the change as a fraction of `previous` (its size, for a net that was negative); null when there was nothing before. */
+const change = (current, previous) => ({ current, previous, change: current - previous, pct: previous ? (current - previous) / Math.abs(previous) : null });
+
+const changes = (now, then) => [...new Set([...now.keys(), ...then.keys()])]
+  .map(key => ({ key, ...change(now.get(key) || 0, then.get(key) || 0) }));
+
+const baselineLabel = (id, months) => {
+  if (id === 'year') return months === 1 ? 'Same month last year' : 'Same period last year';
+  if (months === 1) return 'Previous month';
+  return months ? `Previous ${months} months` : 'Previous period';
+};
+
+/**
+ * The period's spending and income next to the period before it and the same
+ * period a year earlier, in total, per category and per payee.
+ * @param {Transaction[]} transactions  Counted transactions of every date, not just the period's
+ * @param {{ from: Date|null, until: Date|null }} range  From resolvePeriod. All dates compare the latest
+ *   month; an open end is taken as far as the statements go.
+ * @returns {{ from: Date, until: Date, label: string, baselines: {
+ *   id: 'previous'|'year', label: string, from: Date, until: Date, range: string,
+ *   covered: boolean, empty: boolean,
+ *   totals: { spent: Object, received: Object, net: Object },
+ *   categories: Object[], payees: Object[] }[] }|null}
+ *   Every figure is { current, previous, change, pct }. `covered` is false when the statements
+ *   start after the baseline does, `empty` when they hold nothing from it at all. Null when
+ *   nothing is dated.
+ */
+export function comparePeriods(transactions, range) {
+  const dated = transactions.filter(tx => tx.date);
+  if (!dated.length) return null;
+  const first = dated.reduce((min, tx) => (tx.date < min ? tx.date : min), dated[0].date);
+  const last = dated.reduce((max, tx) => (tx.date > max ? tx.date : max), dated[0].date);
+  const current = range.from || range.until
+    ? { from: range.from || first, until: range.until || last }
+    : { from: monthStart(last), until: monthEnd(last) };
+  if (current.from > current.until) return null;
+  const now = summarize(inRange(dated, current));
+  const months = wholeMonths(current);
+
+  const baseline = (id, dates) => {
+    const then = summarize(inRange(dated, dates));
+    return {
+      id,
+      label: baselineLabel(id, months),
+      ...dates,
+      range: rangeLabel(dates),
+      covered: first <= dates.from,
+      empty: first > dates.until,
+      totals: {
+        spent: change(now.spent, then.spent),
+        received: change(now.received, then.received),
+        net: change(now.net, then.net),
+      },
+      categories: changes(now.categories, then.categories)
+        .map(({ key, ...c }) => ({ ...categoryById(key), ...c }))
+        .sort((a, b) => b.current - a.current || b.previous - a.previous),
+      payees: changes(now.payees, then.payees)
+        .map(({ key, ...c }) => ({ name: key, ...c }))
+        .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+        .slice(0, TOP_PAYEES),
+    };
+  };
+
+  return {
+    ...current,
+    label: rangeLabel(current),
+    baselines: [baseline('previous', previousRange(current)), baseline('year', yearAgoRange(current))],
+  };
+}
+
+// ── Trends ─────────────────────────────────────────────
+
+// Categories stacked by name in the monthly chart; the rest share one band
+const STACKED_CATEGORIES = 6;
+const REST = { id: 'rest', label: 'Everything else', color: '#cfd8dc' };
+
+export const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+/** Parts of the month the heatmap splits spending into, by day of month. */
+export const MONTH_PARTS = [
+  { label: '1st–7th', until: 7 },
+  { label: '8th–14th', until: 14 },
+  { label: '15th–21st', until: 21 },
+  { label: '22nd–end', until: 31 },
+];
+
+// Every month from the first to the last, so a quiet month shows as a gap rather than vanishing
+const monthKeys = (dates) => {
+  const keys = [];
+  const last = monthKey(dates[dates.length - 1]);
+  for (let d = monthStart(dates[0]); monthKey(d) <= last; d = addMonths(d, 1)) keys.push(monthKey(d));
+  return keys;
+};
+
+/**
+ * Month-by-month spending per category and income, and when in the week and
+ * the month the money goes.
+ * @param {Transaction[]} transactions  The period's counted transactions
+ * @returns {{
+ *   months: { key: string, month: string, spent: number, received: number, categories: Object<string, number> }[],
+ *   series: { id: string, label: string, color: string }[],
+ *   heatmap: { cells: { total: number, count: number }[][], max: number } }}
+ *   `series` are the stacked categories, largest first; each month's `categories` is keyed by
+ *   series id. Heatmap rows are WEEKDAYS, columns MONTH_PARTS.
+ */
+export function getTrends(transactions) {
+  const dated = transactions.filter(tx => tx.date);
+  const debits = dated.filter(tx => tx.debit > 0);
+  const totals = new Map();
+  debits.forEach(tx => addTo(totals, tx.category, tx.debit));
+  const ranked = [...totals].sort((a, b) => b[1] - a[1]).map(([id]) => id);
+  const stacked = ranked.length > STACKED_CATEGORIES + 1 ? ranked.slice(0, STACKED_CATEGORIES) : ranked;
+  const series = [
+    ...stacked.map(id => { const { label, color } = categoryById(id); return { id, label, color }; }),
+    ...(stacked.length < ranked.length ? [REST] : []),
+  ];
+
+  const months = new Map(
+    (dated.length ? monthKeys(dated.map(tx => tx.date).sort((a, b) => a - b)) : [])
+      .map(key => [key, { key, month: monthLabel(key), spent: 0, received: 0, categories: {} }]),
+  );
+  const cells = WEEKDAYS.map(() => MONTH_PARTS.map(() => ({ total: 0, count: 0 })));
+  dated.forEach(tx => {
+    const month = months.get(monthKey(tx.date));
+    if (tx.credit > 0) month.received += tx.credit;
+    if (!(tx.debit > 0)) return;
+    month.spent += tx.debit;
+    const band = stacked.includes(tx.category) ? tx.category : REST.id;
+    month.categories[band] = (month.categories[band] || 0) + tx.debit;
+    const cell = cells[(tx.date.getDay() + 6) % 7][MONTH_PARTS.findIndex(p => tx.date.getDate() <= p.until)];
+    cell.total += tx.debit;
+    cell.count += 1;
+  });
+
+  return {
+    months: [...months.values()],
+    series,
+    heatmap: { cells, max: Math.max(0, ...cells.flat().map(c => c.total)) },
+  };
+}
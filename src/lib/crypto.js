@@ -0,0 +1,26 @@
+// Passphrase encryption for saved statements, via WebCrypto: PBKDF2 stretches
+// the passphrase into an AES-GCM key; every value gets its own random IV.
+const ITERATIONS = 310000;
+
+export const randomBytes = (n) => crypto.getRandomValues(new Uint8Array(n));
+
+/** AES-GCM key for a passphrase and salt. Not extractable. */
+export async function deriveKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt'],
+  );
+}
+
+/** @returns {Promise<{ iv: Uint8Array, data: ArrayBuffer }>} */
+export async function encrypt(key, bytes) {
+  const iv = randomBytes(12);
+  return { iv, data: await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes) };
+}
+
+/** Rejects when the key is wrong or the data was tampered with. */
+export const decrypt = (key, { iv, data }) => crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
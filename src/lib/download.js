@@ -0,0 +1,17 @@
+// Save generated data as a file. Runs entirely in the page: the blob URL
+// never leaves the browser.
+export function downloadFile(data, fileName, type) {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Excel only reads a CSV as UTF-8 when it starts with a byte-order mark
+export const downloadCSV = (text, fileName) => downloadFile(`\uFEFF${text}`, fileName, 'text/csv;charset=utf-8');
@@ -0,0 +1,13 @@
+import { ENGINE_TASKS } from './engineTasks';
+
+// Runs engine tasks off the main thread. Messages in: { id, task, args };
+// out: { id, type: 'progress' | 'done' | 'error', ... }. Cancelling a task
+// terminates the whole worker, since XLSX and Papa can't be interrupted.
+self.onmessage = async ({ data: { id, task, args } }) => {
+  const onProgress = (progress) => self.postMessage({ id, type: 'progress', progress });
+  try {
+    self.postMessage({ id, type: 'done', result: await ENGINE_TASKS[task](args, { onProgress }) });
+  } catch (err) {
+    self.postMessage({ id, type: 'error', error: { name: err?.name, message: err?.message || String(err), code: err?.code } });
+  }
+};
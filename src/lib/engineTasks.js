@@ -0,0 +1,9 @@
+import { parseStatement, readGrid, analyzeTransactions } from '../engine';
+
+// What the engine worker can be asked to do. The same table runs in the page
+// when there's no worker (or for PDFs, see engineWorker.js).
+export const ENGINE_TASKS = {
+  parse: ({ buffer, name, options }, { onProgress, signal }) => parseStatement(buffer, name, { ...options, onProgress, signal }),
+  grid: ({ buffer, name, options }, { signal }) => readGrid(buffer, name, { ...options, signal }),
+  analyze: ({ transactions, options }) => analyzeTransactions(transactions, options),
+};
@@ -0,0 +1,93 @@
+import { StatementError, detectFormat } from '../engine';
+import { ENGINE_TASKS } from './engineTasks';
+
+// ── Engine worker ──────────────────────────────────────
+// Parsing and analysis run in a Web Worker so a year-long statement doesn't
+// freeze the tab. PDFs are the exception: pdf.js already does the heavy work
+// in its own worker, and its API expects to live in the page.
+
+const cancelled = () => new StatementError('Cancelled.', 'CANCELLED');
+
+// Errors come back as plain objects; only StatementError is worth rebuilding
+const reviveError = ({ name, message, code }) => {
+  if (name === 'StatementError') return new StatementError(message, code);
+  const err = new Error(message);
+  err.name = name || 'Error';
+  return err;
+};
+
+const inPage = (args) => typeof Worker === 'undefined' || (args.name && detectFormat(args.name) === 'pdf');
+
+/**
+ * A lazily started engine worker. `cancel()` rejects everything in flight
+ * with a CANCELLED StatementError; the next `run` starts a fresh worker.
+ */
+export function createEngineWorker() {
+  let worker = null;
+  let nextId = 1;
+  // id → { resolve, reject, onProgress }
+  const pending = new Map();
+  let controller = new AbortController();
+
+  const rejectAll = (err) => {
+    pending.forEach(job => job.reject(err));
+    pending.clear();
+  };
+
+  const start = () => {
+    worker = new Worker(new URL('./engine.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => {
+      const job = pending.get(data.id);
+      if (!job) return;
+      if (data.type === 'progress') {
+        job.onProgress?.(data.progress);
+        return;
+      }
+      pending.delete(data.id);
+      if (data.type === 'done') job.resolve(data.result);
+      else job.reject(reviveError(data.error));
+    };
+    worker.onerror = (e) => {
+      e.preventDefault();
+      rejectAll(new Error(e.message || 'The statement worker stopped unexpectedly.'));
+      worker.terminate();
+      worker = null;
+    };
+  };
+
+  /**
+   * @param {'parse'|'grid'|'analyze'} task  See ENGINE_TASKS
+   * @param {Object} args
+   * @param {(progress: Object) => void} [onProgress]
+   * @returns {Promise<*>}
+   * @throws {StatementError}  code CANCELLED after cancel()
+   */
+  const run = async (task, args, onProgress) => {
+    if (inPage(args)) {
+      const { signal } = controller;
+      try {
+        return await ENGINE_TASKS[task](args, { onProgress, signal });
+      } catch (err) {
+        throw signal.aborted ? cancelled() : err;
+      }
+    }
+    if (!worker) start();
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject, onProgress });
+      worker.postMessage({ id, task, args });
+    });
+  };
+
+  const cancel = () => {
+    controller.abort();
+    controller = new AbortController();
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    rejectAll(cancelled());
+  };
+
+  return { run, cancel };
+}
@@ -0,0 +1,194 @@
+import { parseDate, toISODate, reconcileStatement, narrationFields, cardFields, DEFAULT_CURRENCY } from '../engine';
+import { idbGet, idbGetAll, idbPut, idbPutAll, idbDelete, idbClear, deleteDatabase } from './idb';
+import { deriveKey, encrypt, decrypt, randomBytes } from './crypto';
+import { clearLocalData } from './storage';
+
+// ── Statement history ──────────────────────────────────
+// Opt-in: nothing is written until the user turns history on. Each saved
+// statement is one record with three parts, so the history list never has
+// to decrypt transactions:
+//   meta  name, account, summary, the statement's own totals  (shown in the list)
+//   data  transactions            (decoded on reopen)
+//   file  original bytes          (kept so "Fix columns" works after reopening)
+// With a passphrase set, each part is AES-GCM encrypted; without one, meta and
+// data are JSON strings and the file raw bytes. The user's settings are one
+// more record, sealed the same way.
+
+const CHECK_TEXT = 'acc-stmt';
+
+export { isHistoryEnabled, setHistoryEnabled } from './storage';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const seal = async (value, key) => {
+  const json = JSON.stringify(value);
+  return key ? encrypt(key, encoder.encode(json)) : json;
+};
+const unseal = async (sealed, key) =>
+  JSON.parse(typeof sealed === 'string' ? sealed : decoder.decode(await decrypt(key, sealed)));
+
+const sealBytes = (buffer, key) => (key ? encrypt(key, buffer) : buffer);
+const unsealBytes = (sealed, key) => (sealed instanceof ArrayBuffer ? sealed : decrypt(key, sealed));
+
+// Dates go through JSON as YYYY-MM-DD and come back as local midnight. Payee
+// fields are worked out again, so saved statements pick up parser improvements.
+const storeTx = (tx) => ({ ...tx, date: tx.date ? toISODate(tx.date) : null });
+const reviveTx = (tx) => {
+  const revived = { ...tx, ...narrationFields(tx.description), date: tx.date ? parseDate(tx.date, 'YMD') : null };
+  return tx.cardEntry ? { ...revived, ...cardFields(revived) } : revived;
+};
+
+// A card statement's bill summary, dates included
+const CARD_DATES = ['periodFrom', 'periodTo', 'statementDate', 'dueDate'];
+const storeCard = (card) => card && Object.fromEntries(Object.entries(card).map(([k, v]) => [k, v instanceof Date ? toISODate(v) : v]));
+const reviveCard = (card) => card && Object.fromEntries(Object.entries(card).map(([k, v]) => [k, CARD_DATES.includes(k) ? parseDate(v, 'YMD') : v]));
+
+const summarize = (transactions) => {
+  const dated = transactions.filter(tx => tx.date).map(tx => tx.date.getTime());
+  return {
+    rows: transactions.length,
+    from: dated.length ? toISODate(new Date(Math.min(...dated))) : null,
+    until: dated.length ? toISODate(new Date(Math.max(...dated))) : null,
+    debit: transactions.reduce((s, tx) => s + tx.debit, 0),
+    credit: transactions.reduce((s, tx) => s + tx.credit, 0),
+  };
+};
+
+// ── Passphrase ──
+export const isEncrypted = async () => Boolean(await idbGet('settings', 'crypto'));
+
+/** The key for a passphrase, or null when it's wrong. */
+export async function unlock(passphrase) {
+  const stored = await idbGet('settings', 'crypto');
+  if (!stored) return null;
+  const key = await deriveKey(passphrase, stored.salt);
+  try {
+    return (await unseal(stored.check, key)) === CHECK_TEXT ? key : null;
+  } catch {
+    return null;
+  }
+}
+
+// Re-write every record under a new key (null = plaintext)
+const reseal = async (fromKey, toKey) => {
+  const records = await idbGetAll('statements');
+  const next = [];
+  for (const r of records) {
+    next.push({
+      ...r,
+      meta: await seal(await unseal(r.meta, fromKey), toKey),
+      data: await seal(await unseal(r.data, fromKey), toKey),
+      file: await sealBytes(await unsealBytes(r.file, fromKey), toKey),
+    });
+  }
+  await idbPutAll('statements', next);
+  const settings = await idbGet('settings', 'user');
+  if (settings) await idbPut('settings', { ...settings, data: await seal(await unseal(settings.data, fromKey), toKey) });
+};
+
+/**
+ * Encrypt everything saved so far, and everything saved from now on.
+ * @param {CryptoKey|null} currentKey  Key of the existing passphrase, when changing it
+ * @returns {Promise<CryptoKey>}
+ */
+export async function setPassphrase(passphrase, currentKey = null) {
+  const salt = randomBytes(16);
+  const key = await deriveKey(passphrase, salt);
+  await reseal(currentKey, key);
+  await idbPut('settings', { key: 'crypto', salt, check: await seal(CHECK_TEXT, key) });
+  return key;
+}
+
+/** Decrypt everything and drop the passphrase. */
+export async function removePassphrase(key) {
+  await reseal(key, null);
+  await idbDelete('settings', 'crypto');
+}
+
+// ── Statements ──
+/**
+ * Save (or overwrite) one open statement.
+ * @param {Object} statement  As held by StatementUploader
+ */
+export async function saveStatement(statement, key) {
+  const existing = await idbGet('statements', statement.id);
+  await idbPut('statements', {
+    id: statement.id,
+    savedAt: existing?.savedAt || Date.now(),
+    meta: await seal({
+      name: statement.source.name,
+      account: statement.account,
+      format: statement.format,
+      profile: statement.profile,
+      dateOrder: statement.dateOrder,
+      currency: statement.currency,
+      kind: statement.kind,
+      footer: statement.footer,
+      card: storeCard(statement.card),
+      summary: summarize(statement.transactions),
+    }, key),
+    data: await seal(statement.transactions.map(storeTx), key),
+    file: await sealBytes(statement.source.buffer, key),
+  });
+}
+
+/** History list entries, newest first. */
+export async function listHistory(key) {
+  const records = await idbGetAll('statements');
+  const entries = [];
+  for (const r of records) entries.push({ id: r.id, savedAt: r.savedAt, ...(await unseal(r.meta, key)) });
+  return entries.sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/** A saved statement in the shape StatementUploader holds, or null if it's gone. */
+export async function loadStatement(id, key) {
+  const r = await idbGet('statements', id);
+  if (!r) return null;
+  const meta = await unseal(r.meta, key);
+  const buffer = await unsealBytes(r.file, key);
+  const transactions = (await unseal(r.data, key)).map(reviveTx);
+  const footer = meta.footer || {};
+  return {
+    id,
+    source: { id, buffer, name: meta.name, password: undefined },
+    account: meta.account,
+    profile: meta.profile,
+    dateOrder: meta.dateOrder,
+    format: meta.format,
+    // Saved before statements had a currency: those were all read as rupees
+    currency: meta.currency || DEFAULT_CURRENCY,
+    kind: meta.kind || 'bank',
+    transactions,
+    footer,
+    card: reviveCard(meta.card) || null,
+    integrity: reconcileStatement(transactions, footer),
+  };
+}
+
+export const deleteStatement = (id) => idbDelete('statements', id);
+
+// Which saved statements were open, so a refresh comes back to the same view
+export const saveSession = (ids) => idbPut('settings', { key: 'session', ids });
+export const loadSession = async () => (await idbGet('settings', 'session'))?.ids || [];
+
+// ── Settings ──
+export const saveSettings = async (values, key) => idbPut('settings', { key: 'user', data: await seal(values, key) });
+
+/** The saved settings, or null when none were saved yet. */
+export async function loadSettings(key) {
+  const record = await idbGet('settings', 'user');
+  return record ? unseal(record.data, key) : null;
+}
+
+/** Delete saved statements, saved settings and the passphrase. The settings in use stay for this visit. */
+export async function clearHistory() {
+  await idbClear('statements');
+  await idbClear('settings');
+}
+
+/** Delete every trace: saved statements, passphrase, mappings, rules, budgets and preferences. */
+export async function forgetEverything() {
+  await deleteDatabase();
+  clearLocalData();
+}
@@ -0,0 +1,59 @@
+// Minimal promise wrapper over IndexedDB: one database, two stores.
+// `statements` holds saved statements, `settings` small keyed records.
+const DB_NAME = 'acc-stmt';
+const VERSION = 1;
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, VERSION);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore('statements', { keyPath: 'id' });
+        req.result.createObjectStore('settings', { keyPath: 'key' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+};
+
+// Run `fn` against one store in a single transaction; resolves once it commits
+const run = async (store, mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode);
+    const req = fn(tx.objectStore(store));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+export const idbGet = (store, key) => run(store, 'readonly', s => s.get(key));
+export const idbGetAll = (store) => run(store, 'readonly', s => s.getAll());
+export const idbPut = (store, value) => run(store, 'readwrite', s => s.put(value));
+export const idbDelete = (store, key) => run(store, 'readwrite', s => s.delete(key));
+export const idbClear = (store) => run(store, 'readwrite', s => s.clear());
+
+/** Write many records atomically. */
+export const idbPutAll = (store, values) => run(store, 'readwrite', s => {
+  values.forEach(v => s.put(v));
+  return null;
+});
+
+/** Drop the whole database. */
+export const deleteDatabase = async () => {
+  if (dbPromise) {
+    (await dbPromise.catch(() => null))?.close();
+    dbPromise = null;
+  }
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.deleteDatabase(DB_NAME);
+    req.onsuccess = () => resolve();
+    req.onblocked = () => resolve();
+    req.onerror = () => reject(req.error);
+  });
+};
@@ -0,0 +1,132 @@
+// User settings: column mappings, category rules, payee names, budgets and the
+// rest. With history off they are kept in localStorage, on this device only.
+// Once the user turns history on, history.js keeps them in IndexedDB next to
+// the saved statements, encrypted along with them when a passphrase is set,
+// and the localStorage copies are removed after that first write succeeds.
+// A blocked or full storage just means settings aren't remembered.
+const PREFIX = 'acc-stmt:';
+
+const SETTING_KEYS = ['customProfiles', 'categoryRules', 'aliases', 'budgets', 'transfers', 'subscriptionDecisions', 'currency', 'taxTags'];
+
+const readLocal = (key, fallback) => {
+  try {
+    const raw = localStorage.getItem(PREFIX + key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const writeLocal = (key, value) => {
+  try {
+    localStorage.setItem(PREFIX + key, JSON.stringify(value));
+  } catch (err) {
+    console.warn(`Could not save ${key}:`, err);
+  }
+};
+
+// ── History switch: read before IndexedDB opens, so always in localStorage ──
+export const isHistoryEnabled = () => readLocal('history', false);
+export const setHistoryEnabled = (on) => writeLocal('history', on);
+
+// The settings in use. Changes made while the history is still opening (or
+// locked) are held in `unsaved` and merged into what it has saved.
+const settings = new Map();
+const unsaved = new Set();
+// Saves every setting in the history, once it's open
+let writer = null;
+
+SETTING_KEYS.forEach(key => {
+  const value = readLocal(key, undefined);
+  if (value === undefined) return;
+  settings.set(key, value);
+  unsaved.add(key);
+});
+
+export const loadJSON = (key, fallback) => (settings.has(key) ? settings.get(key) : fallback);
+
+export const saveJSON = (key, value) => {
+  settings.set(key, value);
+  if (writer) writer(getSettings());
+  else if (isHistoryEnabled()) unsaved.add(key);
+  else writeLocal(key, value);
+};
+
+/** Every setting, as one record to save. */
+export const getSettings = () => Object.fromEntries(settings);
+
+/**
+ * Settings read back from the history, with anything changed since the page
+ * loaded on top. Becomes the settings in use; save the result back.
+ */
+export const mergeSavedSettings = (saved) => {
+  const merged = { ...saved, ...Object.fromEntries([...unsaved].map(key => [key, settings.get(key)])) };
+  settings.clear();
+  Object.entries(merged).forEach(([key, value]) => settings.set(key, value));
+  return merged;
+};
+
+/** The history now holds every setting: the localStorage copies can go. */
+export const settingsSaved = () => {
+  unsaved.clear();
+  try {
+    SETTING_KEYS.forEach(key => localStorage.removeItem(PREFIX + key));
+  } catch (err) {
+    console.warn('Could not clear settings:', err);
+  }
+};
+
+/** History turned off: settings go back to localStorage. */
+export const keepSettingsLocally = () => settings.forEach((value, key) => writeLocal(key, value));
+
+/** Where each change goes once the history is open; null to fall back to localStorage. */
+export const setSettingsWriter = (fn) => {
+  writer = fn;
+};
+
+// ── Custom statement profiles (saved from the column-mapping wizard) ──
+export const loadCustomProfiles = () => loadJSON('customProfiles', []);
+
+export const saveCustomProfile = (profile) => {
+  const others = loadCustomProfiles().filter(p => p.fingerprint !== profile.fingerprint);
+  saveJSON('customProfiles', [profile, ...others]);
+};
+
+// ── Category rules (user-added and learned from re-categorizing) ──
+export const loadCategoryRules = () => loadJSON('categoryRules', []);
+export const saveCategoryRules = (rules) => saveJSON('categoryRules', rules);
+
+// ── Payee aliases ──
+export const loadAliases = () => loadJSON('aliases', []);
+export const saveAliases = (aliases) => saveJSON('aliases', aliases);
+
+// ── Monthly budgets ──
+export const loadBudgets = () => loadJSON('budgets', []);
+export const saveBudgets = (budgets) => saveJSON('budgets', budgets);
+
+// ── Transfers: the user's own account numbers / UPI IDs, and whether transfers count as spending ──
+export const loadTransferSettings = () => ({ ownAccounts: [], include: false, ...loadJSON('transfers', {}) });
+export const saveTransferSettings = (settings) => saveJSON('transfers', settings);
+
+// ── Subscriptions: keep / cancel marks by subscription id ──
+export const loadSubscriptionDecisions = () => loadJSON('subscriptionDecisions', {});
+export const saveSubscriptionDecisions = (decisions) => saveJSON('subscriptionDecisions', decisions);
+
+// ── Currency: what to show amounts in ('' for the statements' own) and the user's exchange rates ──
+export const loadCurrencySettings = () => ({ display: '', rates: [], ...loadJSON('currency', {}) });
+export const saveCurrencySettings = (settings) => saveJSON('currency', settings);
+
+// ── Tax report: rows the user tagged (taxKey → head id) or untagged ('') ──
+export const loadTaxTags = () => loadJSON('taxTags', {});
+export const saveTaxTags = (tags) => saveJSON('taxTags', tags);
+
+/** Remove every setting, in memory and in localStorage. */
+export const clearLocalData = () => {
+  settings.clear();
+  unsaved.clear();
+  try {
+    Object.keys(localStorage).filter(k => k.startsWith(PREFIX)).forEach(k => localStorage.removeItem(k));
+  } catch (err) {
+    console.warn('Could not clear settings:', err);
+  }
+};
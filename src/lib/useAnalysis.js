@@ -0,0 +1,75 @@
+import { useEffect, useState } from 'react';
+import { StatementError, setDisplayCurrency } from '../engine';
+import { createEngineWorker } from './engineWorker';
+
+const analyzer = createEngineWorker();
+
+// One analysis runs at a time. A run asked for meanwhile waits its turn, and a
+// newer one takes its place, so a burst of edits doesn't queue up stale work.
+let running = false;
+let waiting = null;
+
+const runNext = () => {
+  const job = waiting;
+  waiting = null;
+  running = Boolean(job);
+  if (!job) return;
+  analyzer.run('analyze', job.args).then(job.resolve, job.reject).finally(runNext);
+};
+
+const superseded = () => new StatementError('Superseded by a newer analysis.', 'CANCELLED');
+
+// `drop()` takes the run out of the queue if it hasn't started
+const analyzeLatest = (args) => {
+  const job = { args };
+  const promise = new Promise((resolve, reject) => {
+    Object.assign(job, { resolve, reject });
+  });
+  waiting?.reject(superseded());
+  waiting = job;
+  if (!running) runNext();
+  const drop = () => {
+    if (waiting !== job) return;
+    waiting = null;
+    job.reject(superseded());
+  };
+  return { promise, drop };
+};
+
+/**
+ * analyzeTransactions in the engine worker. Keeps returning the previous
+ * result until the new one arrives, so the dashboard doesn't blank out while
+ * rules, budgets or filters change. fmt follows the analysis' display currency.
+ * A failed run keeps the previous result too, and reports why in `error`.
+ * Changes made while an analysis runs only start the latest one after it.
+ * @param {Object[]|null} transactions  null when nothing is loaded
+ * @param {{ rules: Object[], budgets: Object[] }} options  analyzeTransactions options; keep
+ *   the object stable between renders, since a new one starts a new analysis
+ * @returns {{ analysis: Object|null, pending: boolean, error: Error|null }}
+ */
+export function useAnalysis(transactions, options) {
+  const [result, setResult] = useState({ input: null, options: null, analysis: null, error: null });
+
+  useEffect(() => {
+    if (!transactions) return undefined;
+    let stale = false;
+    const { promise, drop } = analyzeLatest({ transactions, options });
+    promise
+      .then(analysis => {
+        if (stale) return;
+        setDisplayCurrency(analysis.currency.display);
+        setResult({ input: transactions, options, analysis, error: null });
+      })
+      .catch(error => {
+        if (!stale) setResult(prev => ({ input: transactions, options, analysis: prev.analysis, error }));
+      });
+    return () => {
+      stale = true;
+      drop();
+    };
+  }, [transactions, options]);
+
+  if (!transactions) return { analysis: null, pending: false, error: null };
+  const pending = result.input !== transactions || result.options !== options;
+  return { analysis: result.analysis, pending, error: pending ? null : result.error };
+}
@@ -0,0 +1,163 @@
+import { useCallback, useEffect, useEffectEvent, useRef, useState } from 'react';
+import {
+  isHistoryEnabled, setHistoryEnabled, isEncrypted, unlock, setPassphrase, removePassphrase,
+  saveStatement, listHistory, loadStatement, deleteStatement, saveSession, loadSession, clearHistory, forgetEverything,
+  saveSettings, loadSettings,
+} from './history';
+import { getSettings, mergeSavedSettings, settingsSaved, keepSettingsLocally, setSettingsWriter } from './storage';
+
+// Writes are batched while the user is typing an account label
+const SAVE_DELAY = 500;
+
+/**
+ * Keeps the open statements and the user's settings mirrored in IndexedDB when
+ * history is on, and brings the last session back on load.
+ * @param {Object[]} statements          The uploader's open statements
+ * @param {(list: Object[]) => void} onRestore  Adds saved statements to the open list
+ * @param {() => void} onSettingsRestore  Called once saved settings were merged into the ones in use
+ */
+export function useStatementHistory(statements, onRestore, onSettingsRestore) {
+  const [enabled, setEnabled] = useState(isHistoryEnabled);
+  // off | loading | locked | ready | error
+  const [status, setStatus] = useState(() => (isHistoryEnabled() ? 'loading' : 'off'));
+  const [key, setKey] = useState(null);
+  const [encrypted, setEncrypted] = useState(false);
+  const [entries, setEntries] = useState([]);
+  // id → the statement object last written, so only changed ones are re-saved
+  const saved = useRef(new Map());
+
+  const refresh = useCallback(async (k) => setEntries(await listHistory(k)), []);
+
+  // Saved settings, plus whatever changed while the history was opening or
+  // locked; saved back before the localStorage copies are dropped
+  const restoreSettings = async (k) => {
+    const merged = mergeSavedSettings((await loadSettings(k)) || {});
+    onSettingsRestore();
+    await saveSettings(merged, k);
+    settingsSaved();
+  };
+
+  const restore = async (k) => {
+    await restoreSettings(k);
+    const ids = await loadSession();
+    const list = (await Promise.all(ids.map(id => loadStatement(id, k)))).filter(Boolean);
+    list.forEach(s => saved.current.set(s.id, s));
+    if (list.length) onRestore(list);
+    await refresh(k);
+    setStatus('ready');
+  };
+
+  const onLoad = useEffectEvent(async () => {
+    try {
+      if (await isEncrypted()) {
+        setEncrypted(true);
+        setStatus('locked');
+      } else {
+        await restore(null);
+      }
+    } catch (err) {
+      console.warn('Could not open statement history:', err);
+      setStatus('error');
+    }
+  });
+
+  useEffect(() => {
+    if (isHistoryEnabled()) onLoad();
+  }, []);
+
+  // Every settings change is saved in order, under the current key
+  useEffect(() => {
+    if (status !== 'ready') return undefined;
+    let writes = Promise.resolve();
+    setSettingsWriter(values => {
+      writes = writes.then(() => saveSettings(values, key)).then(settingsSaved).catch(err => console.warn('Could not save settings:', err));
+    });
+    return () => setSettingsWriter(null);
+  }, [status, key]);
+
+  useEffect(() => {
+    if (status !== 'ready') return undefined;
+    const timer = setTimeout(async () => {
+      try {
+        const changed = statements.filter(s => saved.current.get(s.id) !== s);
+        for (const s of changed) {
+          await saveStatement(s, key);
+          saved.current.set(s.id, s);
+        }
+        await saveSession(statements.map(s => s.id));
+        if (changed.length) await refresh(key);
+      } catch (err) {
+        console.warn('Could not save statement history:', err);
+      }
+    }, SAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [statements, status, key, refresh]);
+
+  const enable = async () => {
+    setHistoryEnabled(true);
+    setEnabled(true);
+    saved.current.clear();
+    await saveSettings(getSettings(), null);
+    settingsSaved();
+    await refresh(null);
+    setStatus('ready');
+  };
+
+  const disable = async () => {
+    setSettingsWriter(null);
+    await clearHistory();
+    setHistoryEnabled(false);
+    keepSettingsLocally();
+    setEnabled(false);
+    setStatus('off');
+    setKey(null);
+    setEncrypted(false);
+    setEntries([]);
+    saved.current.clear();
+  };
+
+  /** @returns {Promise<boolean>} false for a wrong passphrase */
+  const unlockWith = async (passphrase) => {
+    const k = await unlock(passphrase);
+    if (!k) return false;
+    setKey(k);
+    await restore(k);
+    return true;
+  };
+
+  const reopen = async (id) => {
+    const s = await loadStatement(id, key);
+    if (!s) return;
+    saved.current.set(id, s);
+    onRestore([s]);
+  };
+
+  const remove = async (id) => {
+    await deleteStatement(id);
+    saved.current.delete(id);
+    await refresh(key);
+  };
+
+  const protect = async (passphrase) => {
+    setKey(await setPassphrase(passphrase, key));
+    setEncrypted(true);
+  };
+
+  const unprotect = async () => {
+    await removePassphrase(key);
+    setKey(null);
+    setEncrypted(false);
+  };
+
+  const forget = async () => {
+    await forgetEverything();
+    setEnabled(false);
+    setStatus('off');
+    setKey(null);
+    setEncrypted(false);
+    setEntries([]);
+    saved.current.clear();
+  };
+
+  return { enabled, status, encrypted, entries, enable, disable, unlockWith, reopen, remove, protect, unprotect, forget };
+}
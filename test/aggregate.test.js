@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { monthlyDebits, groupPayees } from '../src/engine/index.js';
+import { analyzeFixtures } from './helpers.js';
+
+test('totals spending and income', async () => {
+  const { userStats } = await analyzeFixtures(['hdfc-savings.csv']);
+  assert.equal(userStats.totalReceived, 160512);
+  assert.equal(userStats.totalSpent, 47713.7);
+  assert.equal(userStats.paymentCount, 7);
+  assert.deepEqual(userStats.largestPayment, { amount: 45000, description: 'DELHI PUBLIC SCHOOL FEES' });
+});
+
+test('sums debits per month, oldest first', async () => {
+  const { transactions } = await analyzeFixtures(['hdfc-savings.csv']);
+  const months = monthlyDebits(transactions.filter(tx => tx.debit > 0));
+  assert.deepEqual(months.map(m => [m.key, Math.round(m.total * 100) / 100]), [
+    ['2025-01', 46415.7],
+    ['2025-02', 649],
+    ['2025-03', 649],
+  ]);
+});
+
+test('top payees group UPI payments by merchant, after aliases', async () => {
+  const { userStats } = await analyzeFixtures(['hdfc-savings.csv'], {
+    aliases: [{ id: 'a1', name: 'Food delivery', match: 'swiggy@axisbank' }],
+  });
+  const payee = (name) => userStats.topMerchants.filter(p => p.name === name);
+  assert.equal(payee('Netflix').length, 1);
+  assert.equal(payee('Netflix')[0].total, 1947);
+  assert.equal(payee('Netflix')[0].transactions.length, 3);
+  assert.equal(payee('Food delivery')[0].total, 450);
+});
+
+test('groups payees, largest first', () => {
+  const payees = groupPayees([
+    { description: 'ZOMATO', merchant: 'Zomato', debit: 300, date: null },
+    { description: 'RENT MAY', merchant: 'Rent May', debit: 20000, date: null },
+    { description: 'ZOMATO', merchant: 'Zomato', debit: 200, date: null },
+  ]);
+  assert.deepEqual(payees.map(p => [p.name, p.total, p.transactions.length]), [['Rent May', 20000, 1], ['Zomato', 500, 2]]);
+});
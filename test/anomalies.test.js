@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findAnomalies } from '../src/engine/index.js';
+import { analyzeFixtures } from './helpers.js';
+
+const fees = (findings) => findings.filter(f => f.kind === 'fee').map(f => [f.fee, f.amount]);
+
+test('reports the bank’s charges by kind', async () => {
+  const { anomalies } = await analyzeFixtures(['hdfc-savings.csv']);
+  assert.deepEqual(fees(anomalies), [['sms', 17.7]]);
+});
+
+test('a row filed under fees needs a charge in its narration', () => {
+  const row = (description, extra) => ({
+    description, merchant: description, debit: 500, credit: 0, date: new Date(2025, 0, 10), category: 'fees', ...extra,
+  });
+  const findings = findAnomalies([
+    row('DELHI PUBLIC SCHOOL FEES'),
+    row('PAYTM MOBILE RECHARGE', { cardEntry: 'purchase' }),
+    row('CARD ANNUAL FEE'),
+    row('OUTSTANDING CHARGE', { cardEntry: 'fee' }),
+  ]);
+  assert.deepEqual(fees(findings).sort(), [['annual', 500], ['other', 500]]);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeFixtures } from './helpers.js';
+
+const budget = (fields) => ({ id: fields.target, limit: 0, ...fields });
+
+test('tracks a category budget month by month', async () => {
+  const { budgets } = await analyzeFixtures(['hdfc-savings.csv'], {
+    budgets: [budget({ scope: 'category', target: 'education', limit: 40000 })],
+  });
+  const [education] = budgets;
+  assert.equal(education.label, 'Education');
+  assert.deepEqual(education.months.map(m => [m.key, m.spent, m.status]), [
+    ['2025-01', 45000, 'over'],
+    ['2025-02', 0, 'ok'],
+    ['2025-03', 0, 'ok'],
+  ]);
+  assert.equal(education.overMonths, 1);
+  assert.equal(education.current.key, '2025-03');
+});
+
+test('a payee budget covers several payees and warns near its limit', async () => {
+  const { budgets } = await analyzeFixtures(['hdfc-savings.csv'], {
+    budgets: [budget({ scope: 'merchant', target: 'Netflix, Swiggy', name: 'Treats', limit: 1200 })],
+  });
+  assert.deepEqual(budgets[0].months.map(m => [m.spent, m.status]), [[1099, 'warning'], [649, 'ok'], [649, 'ok']]);
+});
+
+test('carry-over rolls unspent budget and overspend into the next month', async () => {
+  const { budgets } = await analyzeFixtures(['hdfc-savings.csv'], {
+    budgets: [budget({ scope: 'category', target: 'entertainment', limit: 500, carryOver: true })],
+  });
+  assert.deepEqual(budgets[0].months.map(m => [m.available, m.remaining, m.status]), [
+    [500, -149, 'over'],
+    [351, -298, 'over'],
+    [202, -447, 'over'],
+  ]);
+});
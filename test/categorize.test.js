@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { categorize, learnRule } from '../src/engine/index.js';
+import { parseFixture } from './helpers.js';
+
+const byNarration = (transactions, pattern) => transactions.find(tx => pattern.test(tx.description));
+
+test('built-in rules categorize common narrations', async () => {
+  const { transactions } = await parseFixture('hdfc-savings.csv');
+  const category = (pattern) => categorize(byNarration(transactions, pattern));
+  assert.equal(category(/SALARY JAN/), 'income');
+  assert.equal(category(/NETFLIX/), 'entertainment');
+  assert.equal(category(/SWIGGY/), 'food');
+  assert.equal(category(/SCHOOL FEES/), 'education');
+  assert.equal(category(/SMS ALERT/), 'fees');
+  assert.equal(category(/INT\.PD/), 'income');
+});
+
+test('user rules win over built-in ones', async () => {
+  const { transactions } = await parseFixture('hdfc-savings.csv');
+  const swiggy = byNarration(transactions, /SWIGGY/);
+  const rule = learnRule(swiggy, 'groceries');
+  assert.equal(rule.upi, 'swiggy@axisbank');
+  assert.equal(categorize(swiggy, [rule]), 'groceries');
+  assert.equal(categorize(byNarration(transactions, /NETFLIX/), [rule]), 'entertainment');
+});
+
+test('recharges and surcharges are not bank fees', () => {
+  const debit = (description) => ({ description, merchant: description, debit: 299, credit: 0 });
+  assert.equal(categorize(debit('PAYTM MOBILE RECHARGE')), 'utilities');
+  assert.equal(categorize(debit('FREECHARGE PAYMENTS')), 'utilities');
+  assert.notEqual(categorize(debit('HP SURCHARGE')), 'fees');
+  assert.equal(categorize(debit('DEBIT CARD ANNUAL CHARGES')), 'fees');
+});
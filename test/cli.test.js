@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import process from 'node:process';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../bin/acc-stmt.js', import.meta.url));
+const fixture = (name) => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+// Resolves with the exit code and output, whatever the exit code
+const run = (...args) => new Promise(resolve => {
+  execFile(process.execPath, [CLI, ...args], (err, stdout, stderr) => resolve({ code: err ? err.code : 0, stdout, stderr }));
+});
+
+test('analyze prints the dashboard as JSON', async () => {
+  const { code, stdout } = await run('analyze', fixture('hdfc-savings.csv'), '--format', 'json');
+  assert.equal(code, 0);
+  const result = JSON.parse(stdout);
+  assert.equal(result.statements[0].account, 'HDFC Bank');
+  assert.equal(result.summary.totalSpent, 47713.7);
+  assert.deepEqual(result.recurring.map(r => [r.description, r.firstDate]), [['Netflix', '2025-01-02']]);
+  assert.deepEqual(result.failures, []);
+});
+
+test('writes one table as CSV, limited to the dates asked for', async () => {
+  const { code, stdout } = await run('analyze', fixture('hdfc-savings.csv'), '--format', 'csv', '--table', 'monthly', '--from', '2025-02-01');
+  assert.equal(code, 0);
+  assert.equal(stdout.trim(), 'Month,Debits,Credits,Net\r\nFeb 2025,649,80000,79351\r\nMar 2025,649,512,-137');
+});
+
+test('exit codes tell a bad file from bad usage', async () => {
+  const missing = await run('analyze', fixture('hdfc-savings.csv'), fixture('missing.csv'), '--format', 'json');
+  assert.equal(missing.code, 1);
+  assert.equal(JSON.parse(missing.stdout).failures.length, 1);
+  assert.equal((await run('analyze', fixture('hdfc-savings.csv'), '--format', 'xml')).code, 2);
+  assert.equal((await run('summarize')).code, 2);
+});
@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeFixtures } from './helpers.js';
+
+test('separates the issuer’s charges from purchases', async () => {
+  const { transactions, card } = await analyzeFixtures(['card.csv']);
+  const row = (pattern) => transactions.find(tx => pattern.test(tx.description));
+  assert.deepEqual([row(/^LATE PAYMENT FEE/).cardEntry, row(/^LATE PAYMENT FEE/).category], ['fee', 'fees']);
+  assert.equal(row(/^IGST/).cardEntry, 'fee');
+  assert.equal(row(/FINANCE CHARGES/).cardEntry, 'interest');
+  assert.deepEqual([row(/SCHOOL FEES/).cardEntry, row(/SCHOOL FEES/).category], ['purchase', 'education']);
+  assert.deepEqual([row(/RECHARGE/).cardEntry, row(/RECHARGE/).category], ['purchase', 'utilities']);
+  assert.equal(card.entries.find(e => e.id === 'fee').total, 885);
+});
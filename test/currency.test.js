@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeTransactions, currencySymbol, parseAmount } from '../src/engine/index.js';
+
+const row = (description, debit, currency) => ({
+  date: new Date(2025, 4, 10), description, merchant: description, debit, credit: 0, balance: null, currency, account: 'A',
+});
+const rows = [row('SWIGGY', 500, 'INR'), row('ZOMATO', 300, 'INR'), row('STEAMGAMES.COM', 20, 'USD')];
+
+test('rows with no exchange rate are left out of the totals', () => {
+  const { userStats, currency, transactions } = analyzeTransactions(rows);
+  assert.deepEqual(currency.missing, ['USD']);
+  assert.equal(userStats.totalSpent, 800);
+  assert.equal(transactions.length, 3);
+});
+
+test('converted rows count in the display currency', () => {
+  const { userStats, currency } = analyzeTransactions(rows, { currency: { rates: [{ from: 'USD', to: 'INR', rate: 85 }] } });
+  assert.deepEqual(currency.missing, []);
+  assert.equal(userStats.totalSpent, 2500);
+});
+
+test('currency symbols', () => {
+  assert.equal(currencySymbol('INR'), '₹');
+  assert.equal(currencySymbol('EUR'), '€');
+  assert.equal(currencySymbol('CHF'), 'CHF');
+});
+
+test('amounts with a Dr/Cr suffix, spaced or not', () => {
+  assert.equal(parseAmount('500.00 Dr'), -500);
+  assert.equal(parseAmount('500.00Dr'), -500);
+  assert.equal(parseAmount('1,200.00CR'), 1200);
+  assert.equal(parseAmount('₹1,200.00 Cr.'), 1200);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDate, inferDateOrder, toISODate, addMonths } from '../src/engine/index.js';
+
+const iso = (cell, order) => {
+  const date = parseDate(cell, order);
+  return date && toISODate(date);
+};
+
+test('reads the date styles banks write', () => {
+  assert.equal(iso('05/01/25'), '2025-01-05');
+  assert.equal(iso('05-Jan-2025'), '2025-01-05');
+  assert.equal(iso('5 Jan 2025 10:32'), '2025-01-05');
+  assert.equal(iso('Jan 05, 2025'), '2025-01-05');
+  assert.equal(iso('2025-01-05T09:15:00'), '2025-01-05');
+  assert.equal(iso('05.01.2025'), '2025-01-05');
+  assert.equal(iso('20250105'), '2025-01-05');
+  assert.equal(iso(45662), '2025-01-05');
+  assert.equal(iso('01/05/2025', 'MDY'), '2025-01-05');
+});
+
+test('rejects dates that do not exist', () => {
+  assert.equal(parseDate('31/02/2025'), null);
+  assert.equal(parseDate('not a date'), null);
+  assert.equal(parseDate(''), null);
+});
+
+test('works out day/month order from the whole column', () => {
+  assert.equal(inferDateOrder(['01/05/2025', '01/13/2025', '01/20/2025']), 'MDY');
+  assert.equal(inferDateOrder(['05/01/2025', '13/01/2025']), 'DMY');
+  // Ambiguous throughout: the profile decides, else the reading that keeps the rows in order
+  assert.equal(inferDateOrder(['01/02/2025', '01/03/2025'], 'MDY'), 'MDY');
+  assert.equal(inferDateOrder(['02/01/2025', '03/01/2025', '01/02/2025']), 'DMY');
+  assert.equal(inferDateOrder(['01/02/2025', '01/03/2025', '02/01/2025']), 'MDY');
+  assert.equal(inferDateOrder(['05-Jan-2025'], 'MDY'), 'MDY');
+});
+
+test('month steps keep to the end of short months', () => {
+  assert.equal(toISODate(addMonths(new Date(2025, 0, 31), 1)), '2025-02-28');
+  assert.equal(toISODate(addMonths(new Date(2024, 1, 29), -12)), '2023-02-28');
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { filterTransactions, sortTransactions } from '../src/engine/index.js';
+import { analyzeFixtures } from './helpers.js';
+
+const payees = (transactions) => transactions.map(tx => tx.merchant);
+
+test('filters combine, and every word of the search must match', async () => {
+  const { transactions } = await analyzeFixtures(['hdfc-savings.csv']);
+  assert.deepEqual(payees(filterTransactions(transactions, { query: 'netflix subscription' })), ['Netflix', 'Netflix', 'Netflix']);
+  assert.deepEqual(payees(filterTransactions(transactions, {
+    direction: 'debit', minAmount: 400, maxAmount: 1000, from: new Date(2025, 0, 3),
+  })), ['Swiggy', 'Netflix', 'Netflix']);
+  assert.equal(filterTransactions(transactions, { direction: 'credit', category: 'income' }).length, 3);
+  assert.equal(filterTransactions(transactions, { merchant: 'netflix', until: new Date(2025, 0, 31) }).length, 1);
+  assert.equal(filterTransactions(transactions, {}).length, transactions.length);
+});
+
+test('sorts by a column, keeping statement order for ties', async () => {
+  const { transactions } = await analyzeFixtures(['hdfc-savings.csv']);
+  const byAmount = sortTransactions(transactions.filter(tx => tx.debit > 0), 'amount', 'desc');
+  assert.deepEqual(byAmount.map(tx => tx.debit), [45000, 649, 649, 649, 450, 299, 17.7]);
+  const netflix = byAmount.filter(tx => tx.merchant === 'Netflix');
+  assert.deepEqual(netflix.map(tx => tx.date.getMonth()), [0, 1, 2]);
+  assert.equal(sortTransactions(transactions)[0].merchant, sortTransactions(transactions, 'date', 'asc').at(-1).merchant);
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as XLSX from '@e965/xlsx';
+import { buildExportTables, toCSV, toWorkbook } from '../src/engine/index.js';
+import { analyzeFixtures } from './helpers.js';
+
+const table = (tables, id) => tables.find(t => t.id === id).rows;
+
+test('exports transactions, recurring charges, payees and months', async () => {
+  const tables = buildExportTables(await analyzeFixtures(['hdfc-savings.csv']));
+  assert.deepEqual(tables.map(t => t.id), ['transactions', 'recurring', 'payees', 'monthly']);
+  assert.equal(table(tables, 'transactions').length, 11);
+  assert.deepEqual(table(tables, 'payees')[1], ['DELHI PUBLIC SCHOOL FEES', 'Education', 1, 45000]);
+  assert.deepEqual(table(tables, 'monthly').slice(1), [
+    ['Jan 2025', 46415.7, 80000, 33584.3],
+    ['Feb 2025', 649, 80000, 79351],
+    ['Mar 2025', 649, 512, -137],
+  ]);
+  assert.deepEqual(table(tables, 'recurring').slice(1).map(r => [r[0], r[1], r[2]]), [['Netflix', 'Monthly', 'Yes']]);
+});
+
+test('CSV writes dates as YYYY-MM-DD and quotes commas', () => {
+  assert.equal(toCSV([['Date', 'Payee'], [new Date(2025, 0, 5), 'Smith, J']]), 'Date,Payee\r\n2025-01-05,"Smith, J"');
+});
+
+test('the workbook has a sheet per table', async () => {
+  const tables = buildExportTables(await analyzeFixtures(['hdfc-savings.csv']));
+  const workbook = XLSX.read(toWorkbook(tables), { type: 'array' });
+  assert.deepEqual(workbook.SheetNames, ['Transactions', 'Recurring', 'Payees', 'Monthly']);
+  const monthly = XLSX.utils.sheet_to_json(workbook.Sheets.Monthly, { header: 1 });
+  assert.deepEqual(monthly[1], ['Jan 2025', 46415.7, 80000, 33584.3]);
+});
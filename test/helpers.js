@@ -0,0 +1,15 @@
+import { readFile } from 'node:fs/promises';
+import { parseStatement, mergeStatements, analyzeTransactions, defaultAccountLabel } from '../src/engine/index.js';
+
+/** Parse a statement from test/fixtures, as the app would an upload. */
+export async function parseFixture(name, options) {
+  const bytes = await readFile(new URL(`./fixtures/${name}`, import.meta.url));
+  return parseStatement(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length), name, options);
+}
+
+/** Parse fixtures and analyze them together, as one upload each. */
+export async function analyzeFixtures(names, options) {
+  const parsed = await Promise.all(names.map(name => parseFixture(name)));
+  const { transactions } = mergeStatements(parsed.map((p, i) => ({ ...p, account: defaultAccountLabel(p.profile, names[i]) })));
+  return analyzeTransactions(transactions, options);
+}
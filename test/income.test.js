@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getIncome, markRefunds } from '../src/engine/index.js';
+import { analyzeFixtures } from './helpers.js';
+
+const row = (merchant, date, { debit = 0, credit = 0, category = credit ? 'income' : 'shopping' } = {}) => ({
+  date, description: merchant.toUpperCase(), merchant, debit, credit, category, transfer: null,
+});
+
+test('picks out salary, then the largest steady monthly credit', () => {
+  const payroll = [0, 1, 2].map(m => row('Acme Corp', new Date(2025, m, 1), { credit: 85000 }));
+  const rent = [0, 1, 2].map(m => row('Tenant', new Date(2025, m, 5), { credit: 18000 }));
+  const income = getIncome([...payroll, ...rent]);
+  assert.deepEqual(income.salary.map(s => s.description), ['Acme Corp']);
+  assert.deepEqual(income.recurring.map(s => s.description), ['Tenant']);
+  assert.equal(income.total, 309000);
+
+  const named = getIncome([...[0, 1, 2].map(m => row('Salary Credit', new Date(2025, m, 28), { credit: 9000 })), ...payroll]);
+  assert.deepEqual(named.salary.map(s => s.description), ['Salary Credit']);
+});
+
+test('a credit giving back an earlier debit is a refund, not income', () => {
+  const marked = markRefunds([
+    row('Myntra', new Date(2025, 3, 2), { debit: 1999 }),
+    row('Myntra', new Date(2025, 3, 20), { credit: 1999 }),
+    row('Myntra', new Date(2025, 8, 1), { credit: 500 }),
+  ]);
+  assert.deepEqual(marked.map(tx => tx.category), ['shopping', 'refunds', 'income']);
+  const income = getIncome(marked);
+  assert.equal(income.total, 500);
+  assert.equal(income.refunds.total, 1999);
+});
+
+test('cash flow per month with a savings rate', async () => {
+  const { cashFlow } = await analyzeFixtures(['hdfc-savings.csv']);
+  assert.deepEqual(cashFlow.months.map(m => [m.key, m.inflow, Math.round(m.outflow * 100) / 100]), [
+    ['2025-01', 80000, 46415.7],
+    ['2025-02', 80000, 649],
+    ['2025-03', 512, 649],
+  ]);
+  assert.equal(Math.round(cashFlow.months[1].savingsRate * 1000) / 1000, 0.992);
+  assert.equal(Math.round(cashFlow.net * 100) / 100, 112798.3);
+});
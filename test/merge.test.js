@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeStatements, defaultAccountLabel, toISODate } from '../src/engine/index.js';
+import { parseFixture } from './helpers.js';
+
+test('overlapping exports of one account count each entry once', async () => {
+  const { transactions } = await parseFixture('hdfc-savings.csv');
+  const janFeb = transactions.filter(tx => tx.date < new Date(2025, 2, 1));
+  const febMar = transactions.filter(tx => tx.date >= new Date(2025, 1, 1));
+  const merged = mergeStatements([{ account: 'HDFC', transactions: febMar }, { account: 'HDFC', transactions: janFeb }]);
+  assert.equal(merged.duplicates, 2);
+  assert.equal(merged.transactions.length, transactions.length);
+  assert.deepEqual(merged.transactions.map(tx => toISODate(tx.date)), transactions.map(tx => toISODate(tx.date)));
+});
+
+test('equal rows within one statement or on different accounts are kept', () => {
+  const tx = { date: new Date(2025, 4, 2), description: 'TEA', debit: 100, credit: 0, reference: '', balance: null };
+  const merged = mergeStatements([
+    { account: 'HDFC', transactions: [tx, { ...tx }] },
+    { account: 'ICICI', transactions: [{ ...tx }] },
+  ]);
+  assert.equal(merged.duplicates, 0);
+  assert.deepEqual(merged.transactions.map(t => t.account), ['HDFC', 'HDFC', 'ICICI']);
+});
+
+test('labels an account by its bank, else its file name', async () => {
+  const { profile } = await parseFixture('hdfc-savings.csv');
+  assert.equal(defaultAccountLabel(profile, 'hdfc-savings.csv'), 'HDFC Bank');
+  assert.equal(defaultAccountLabel(null, 'joint account.xlsx'), 'joint account');
+});
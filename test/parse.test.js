@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseStatement, toISODate } from '../src/engine/index.js';
+import { parseFixture } from './helpers.js';
+
+test('reads an HDFC savings export', async () => {
+  const statement = await parseFixture('hdfc-savings.csv');
+  assert.equal(statement.format, 'csv');
+  assert.equal(statement.profile.id, 'hdfc');
+  assert.equal(statement.kind, 'bank');
+  assert.equal(statement.currency, 'INR');
+  assert.equal(statement.transactions.length, 10);
+  assert.ok(statement.integrity.ok);
+
+  const [salary, netflix] = statement.transactions;
+  assert.equal(toISODate(salary.date), '2025-01-01');
+  assert.equal(salary.credit, 80000);
+  assert.equal(salary.debit, 0);
+  assert.equal(netflix.debit, 649);
+  assert.equal(netflix.merchant, 'Netflix');
+});
+
+test('reads a card statement and its bill summary', async () => {
+  const statement = await parseFixture('card.csv');
+  assert.equal(statement.kind, 'card');
+  assert.equal(toISODate(statement.card.dueDate), '2025-06-20');
+  assert.equal(statement.card.totalDue, 47299);
+  assert.equal(statement.card.minimumDue, 2370);
+
+  const payment = statement.transactions.find(tx => tx.credit > 0);
+  assert.equal(payment.credit, 25000);
+  assert.equal(payment.cardEntry, 'payment');
+  assert.equal(statement.transactions.find(tx => /NETFLIX/.test(tx.description)).cardEntry, 'purchase');
+});
+
+test('rejects a file that is not a statement', async () => {
+  const bytes = new TextEncoder().encode('hello,world\n1,2\n');
+  await assert.rejects(parseStatement(bytes.buffer, 'notes.csv'), { name: 'StatementError' });
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { linesToGrid } from '../src/engine/pdf.js';
+
+// HDFC's columns, as x and width in points
+const COLUMNS = [[20, 40], [80, 150], [240, 60], [310, 40], [360, 60], [430, 60], [500, 70]];
+const HEADER = ['Date', 'Narration', 'Chq./Ref.No.', 'Value Dt', 'Withdrawal Amt.', 'Deposit Amt.', 'Closing Balance'];
+
+// A line of text runs, one per non-empty cell, placed in the columns above
+const line = (page, y, cells) => ({
+  page,
+  y,
+  height: 10,
+  runs: cells.map((text, i) => text && { text, x: COLUMNS[i][0], y, width: Math.min(COLUMNS[i][1], text.length * 5), height: 10 }).filter(Boolean),
+});
+
+test('rebuilds the table from positioned text', () => {
+  const grid = linesToGrid([
+    line(1, 800, ['HDFC BANK LTD', '', '', '', '', '', '']),
+    line(1, 760, HEADER),
+    line(1, 740, ['02/01/25', 'UPI-NETFLIX-NETFLIX@ICICI', '500112233445', '02/01/25', '649.00', '', '89,351.00']),
+    line(1, 730, ['', '-NETFLIX SUBSCRIPTION', '', '', '', '', '']),
+    line(1, 710, ['05/01/25', 'UPI-SWIGGY', '500198765432', '05/01/25', '450.00', '', '88,901.00']),
+    line(2, 760, HEADER),
+    line(2, 740, ['01/02/25', 'SALARY FEB ACME CORP', '0004', '01/02/25', '', '80,000.00', '1,68,901.00']),
+  ]);
+  assert.deepEqual(grid, [
+    ['HDFC BANK LTD'],
+    HEADER,
+    ['02/01/25', 'UPI-NETFLIX-NETFLIX@ICICI -NETFLIX SUBSCRIPTION', '500112233445', '02/01/25', '649.00', '', '89,351.00'],
+    ['05/01/25', 'UPI-SWIGGY', '500198765432', '05/01/25', '450.00', '', '88,901.00'],
+    ['01/02/25', 'SALARY FEB ACME CORP', '0004', '01/02/25', '', '80,000.00', '1,68,901.00'],
+  ]);
+});
+
+test('lines without a header come back as they are', () => {
+  assert.deepEqual(linesToGrid([line(1, 700, ['Dear customer', 'your statement is attached'])]), [['Dear customer', 'your statement is attached']]);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  detectProfile, parseStatement, buildCustomProfile, guessColumns, toHeaderKeys, toISODate,
+} from '../src/engine/index.js';
+
+const csv = (text) => new TextEncoder().encode(text).buffer;
+
+test('recognises each bank by its header row', () => {
+  const detected = (headers) => detectProfile(headers)?.profile.id;
+  assert.equal(detected(['date', 'narration', 'chq./ref.no.', 'value dt', 'withdrawal amt.', 'deposit amt.', 'closing balance']), 'hdfc');
+  assert.equal(detected(['s no.', 'value date', 'transaction date', 'cheque number', 'transaction remarks',
+    'withdrawal amount (inr )', 'deposit amount (inr )', 'balance (inr )']), 'icici');
+  assert.equal(detected(['txn date', 'value date', 'description', 'ref no./cheque no.', 'debit', 'credit', 'balance']), 'sbi');
+  assert.equal(detected(['tran date', 'chqno', 'particulars', 'dr', 'cr', 'bal', 'sol']), 'axis');
+  assert.equal(detected(['sl. no.', 'transaction date', 'value date', 'description', 'chq / ref no.', 'amount', 'dr / cr', 'balance']), 'kotak');
+  assert.equal(detected(['when', 'what', 'how much']), undefined);
+});
+
+test('reads a Kotak export with a Dr/Cr column', async () => {
+  const statement = await parseStatement(csv([
+    'Sl. No.,Transaction Date,Value Date,Description,Chq / Ref No.,Amount,Dr / Cr,Balance,Dr / Cr',
+    '1,05-04-2025,05-04-2025,UPI/ZOMATO/500100200300,500100200300,350.00,DR,9650.00,CR',
+    '2,07-04-2025,07-04-2025,NEFT-ACME CORP SALARY,N097250001,50000.00,CR,59650.00,CR',
+  ].join('\n')), 'kotak.csv');
+  assert.equal(statement.profile.id, 'kotak');
+  assert.deepEqual(statement.transactions.map(tx => [toISODate(tx.date), tx.debit, tx.credit]), [
+    ['2025-04-05', 350, 0],
+    ['2025-04-07', 0, 50000],
+  ]);
+});
+
+// A layout no built-in profile knows
+const ODD_EXPORT = csv([
+  'When,What,Money out,Money in,Left',
+  '03/05/2025,Corner shop,120.50,,880.00',
+  '09/05/2025,Pocket money,,500.00,1380.00',
+].join('\n'));
+
+test('asks for a mapping when the columns are unknown, then remembers it', async () => {
+  await assert.rejects(parseStatement(ODD_EXPORT, 'odd.csv'), { code: 'NEEDS_MAPPING' });
+
+  const headers = toHeaderKeys(['When', 'What', 'Money out', 'Money in', 'Left']);
+  const profile = buildCustomProfile({
+    name: 'Pocket account',
+    headers,
+    columns: { date: 'when', description: 'what', debit: 'money out', credit: 'money in', balance: 'left', reference: '' },
+    drCr: 'split',
+  });
+  const mapped = await parseStatement(ODD_EXPORT, 'odd.csv', { mapping: { headerRow: 0, profile } });
+  assert.deepEqual(mapped.transactions.map(tx => [toISODate(tx.date), tx.debit, tx.credit]), [
+    ['2025-05-03', 120.5, 0],
+    ['2025-05-09', 0, 500],
+  ]);
+
+  const next = await parseStatement(ODD_EXPORT, 'odd.csv', { profiles: [profile] });
+  assert.equal(next.profile.name, 'Pocket account');
+  assert.equal(next.transactions.length, 2);
+});
+
+test('pre-fills the mapping from the usual header names', () => {
+  assert.deepEqual(guessColumns(['date', 'description', 'amount', 'dr/cr', 'balance']), {
+    columns: { date: 'date', description: 'description', debit: '', credit: '', amount: 'amount', drCrFlag: 'dr/cr', balance: 'balance', reference: '' },
+    drCr: 'indicator',
+  });
+});
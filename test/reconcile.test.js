@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reconcileStatement, readStatementSummary } from '../src/engine/index.js';
+import { parseFixture } from './helpers.js';
+
+const statuses = (result) => Object.fromEntries(result.checks.map(c => [c.id, c.status]));
+
+test('a clean statement adds up', async () => {
+  const { transactions } = await parseFixture('hdfc-savings.csv');
+  const result = reconcileStatement(transactions, { opening: 10000, closing: 122798.3, totalDebit: 47713.7, totalCredit: 160512 });
+  assert.equal(result.ok, true);
+  assert.equal(result.order, 'oldest-first');
+  assert.deepEqual(statuses(result), {
+    running: 'pass', opening: 'pass', closing: 'pass', 'total-debit': 'pass', 'total-credit': 'pass', 'debit-count': 'skip', 'credit-count': 'skip',
+  });
+});
+
+test('a missing row breaks the running balance', async () => {
+  const { transactions } = await parseFixture('hdfc-savings.csv');
+  const result = reconcileStatement(transactions.filter(tx => !/SWIGGY/.test(tx.description)));
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.issues.map(i => [i.kind, i.row]), [['balance', 2]]);
+});
+
+test('a debit read as a credit is called out', async () => {
+  const { transactions } = await parseFixture('hdfc-savings.csv');
+  const flipped = transactions.map(tx => (/SWIGGY/.test(tx.description) ? { ...tx, debit: 0, credit: 450 } : tx));
+  assert.deepEqual(reconcileStatement(flipped).issues.map(i => i.kind), ['direction']);
+});
+
+test('newest-first statements are walked backwards', async () => {
+  const { transactions } = await parseFixture('hdfc-savings.csv');
+  const result = reconcileStatement([...transactions].reverse());
+  assert.equal(result.order, 'newest-first');
+  assert.equal(result.ok, true);
+});
+
+test('reads footer balances and totals', () => {
+  assert.deepEqual(readStatementSummary([
+    ['Opening Balance', 'Dr Count', 'Cr Count', 'Debits', 'Credits', 'Closing Bal'],
+    ['10,000.00', '7', '3', '47,713.70', '1,60,512.00', '1,22,798.30'],
+  ]), { opening: 10000, debitCount: 7, creditCount: 3, totalDebit: 47713.7, totalCredit: 160512, closing: 122798.3 });
+  assert.deepEqual(readStatementSummary([['Closing Balance : 5,762.00 Dr']]), { closing: -5762 });
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectRecurring } from '../src/engine/index.js';
+import { parseFixture } from './helpers.js';
+
+const charge = (merchant, date, debit) => ({ date, description: merchant.toUpperCase(), merchant, debit, credit: 0 });
+
+test('groups monthly charges by merchant despite changing UPI refs', async () => {
+  const { transactions } = await parseFixture('hdfc-savings.csv');
+  const [netflix, ...others] = detectRecurring(transactions);
+  assert.deepEqual(others, []);
+  assert.equal(netflix.description, 'Netflix');
+  assert.equal(netflix.cadence, 'monthly');
+  assert.equal(netflix.count, 3);
+  assert.equal(netflix.total, 1947);
+  assert.ok(netflix.confidence >= 0.8);
+});
+
+test('finds the cycle in weekly and quarterly charges', () => {
+  const weekly = [0, 7, 14, 21].map(d => charge('Milk Basket', new Date(2025, 0, 1 + d), 420));
+  const quarterly = [0, 3, 6].map(m => charge('Term Insurance', new Date(2025, m, 15), 6000));
+  assert.deepEqual(detectRecurring([...weekly, ...quarterly]).map(s => [s.description, s.cadence]).sort(), [
+    ['Milk Basket', 'weekly'],
+    ['Term Insurance', 'quarterly'],
+  ]);
+});
+
+test('splits one payee into bands of similar amount', () => {
+  const prime = [0, 1, 2].map(m => charge('Amazon', new Date(2025, m, 10), 299));
+  const orders = [charge('Amazon', new Date(2025, 0, 3), 2400), charge('Amazon', new Date(2025, 1, 19), 860)];
+  const series = detectRecurring([...prime, ...orders]);
+  assert.deepEqual(series.map(s => [s.description, s.lastAmount]), [['Amazon', 299]]);
+});
+
+test('irregular spending is not recurring', () => {
+  const days = [2, 5, 16, 33, 83];
+  assert.deepEqual(detectRecurring(days.map(d => charge('Swiggy', new Date(2025, 0, d), 450))), []);
+});
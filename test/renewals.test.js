@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toISODate, analyzeTransactions } from '../src/engine/index.js';
+import { analyzeFixtures, parseFixture } from './helpers.js';
+
+test('forecasts the next charge of a live series', async () => {
+  const { renewals } = await analyzeFixtures(['hdfc-savings.csv'], { today: new Date(2025, 3, 1) });
+  assert.deepEqual(renewals.upcoming.map(c => [c.description, toISODate(c.date)]), [['Netflix', '2025-04-02']]);
+});
+
+test('an old statement forecasts nothing once its charges are long overdue', async () => {
+  const { renewals } = await analyzeFixtures(['hdfc-savings.csv'], { today: new Date(2026, 10, 1) });
+  assert.deepEqual(renewals.upcoming, []);
+  assert.deepEqual(renewals.alerts.filter(a => a.kind !== 'price'), []);
+});
+
+test('a charge only just overdue is still flagged', async () => {
+  const { renewals } = await analyzeFixtures(['hdfc-savings.csv'], { today: new Date(2025, 3, 20) });
+  assert.deepEqual(renewals.alerts.map(a => a.kind), ['overdue']);
+});
+
+// The hdfc fixture with its last Netflix charge at a new price
+const repriced = async () => {
+  const { transactions } = await parseFixture('hdfc-savings.csv');
+  const last = transactions.findLast(tx => /NETFLIX/.test(tx.description));
+  return transactions.map(tx => (tx === last ? { ...tx, debit: 699 } : tx));
+};
+
+test('flags a price rise on a live series', async () => {
+  const { renewals } = analyzeTransactions(await repriced(), { today: new Date(2025, 3, 1) });
+  assert.deepEqual(renewals.alerts.map(a => [a.kind, a.amount]), [['due', 699], ['price', 699]]);
+  assert.equal(renewals.alerts[1].previousAmount, 649);
+});
+
+test('a lapsed series raises no price alert', async () => {
+  const { renewals } = analyzeTransactions(await repriced(), { today: new Date(2026, 10, 1) });
+  assert.deepEqual(renewals.alerts, []);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// storage.js reads localStorage as it loads, so it's stubbed first
+const local = { 'acc-stmt:history': 'true', 'acc-stmt:budgets': '[{"id":"b1"}]' };
+globalThis.localStorage = {
+  getItem: (key) => local[key] ?? null,
+  setItem: (key, value) => { local[key] = value; },
+  removeItem: (key) => { delete local[key]; },
+};
+const storage = await import('../src/lib/storage.js');
+
+test('settings move into the history only once it has saved them', () => {
+  storage.saveAliases([{ id: 'a1', match: 'swiggy', name: 'Swiggy' }]);
+  assert.equal(local['acc-stmt:aliases'], undefined);
+
+  const merged = storage.mergeSavedSettings({ aliases: [], taxTags: { k: 'rent' } });
+  assert.deepEqual(merged.aliases, [{ id: 'a1', match: 'swiggy', name: 'Swiggy' }]);
+  assert.deepEqual(merged.budgets, [{ id: 'b1' }]);
+  assert.deepEqual(storage.loadTaxTags(), { k: 'rent' });
+  assert.ok(local['acc-stmt:budgets']);
+
+  storage.settingsSaved();
+  assert.deepEqual(Object.keys(local), ['acc-stmt:history']);
+});
+
+test('with history off, settings stay in localStorage', () => {
+  storage.setHistoryEnabled(false);
+  storage.keepSettingsLocally();
+  storage.saveBudgets([{ id: 'b2' }]);
+  assert.equal(local['acc-stmt:budgets'], '[{"id":"b2"}]');
+  assert.equal(local['acc-stmt:taxTags'], '{"k":"rent"}');
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectRecurring, getSubscriptions, cancellationSavings } from '../src/engine/index.js';
+
+const charges = (merchant, amounts, { from = 0 } = {}) => amounts.map((debit, i) => ({
+  date: new Date(2025, from + i, 10), description: merchant.toUpperCase(), merchant, debit, credit: 0,
+}));
+
+const subscriptions = (transactions, coveredUntil = new Date(2025, 5, 30)) =>
+  getSubscriptions(detectRecurring(transactions), { today: new Date(2025, 6, 1), coveredUntil });
+
+test('costs each subscription per month and year at its latest price', () => {
+  const { items, monthly, annual } = subscriptions(charges('Netflix', [499, 499, 499, 649, 649, 649]));
+  assert.equal(items.length, 1);
+  const [netflix] = items;
+  assert.equal(netflix.count, 6);
+  assert.equal(netflix.annualCost, 649 * 12);
+  assert.deepEqual(netflix.prices.map(p => p.amount), [499, 649]);
+  assert.equal(Math.round(netflix.priceChange.change * 100), 30);
+  assert.equal(monthly, 649);
+  assert.equal(annual, 7788);
+});
+
+test('two services of one kind are flagged as overlapping', () => {
+  const { duplicates } = subscriptions([
+    ...charges('Spotify', [119, 119, 119, 119, 119, 119]),
+    ...charges('JioSaavn', [99, 99, 99, 99, 99, 99]),
+  ]);
+  assert.deepEqual(duplicates.map(d => [d.group, d.ids.sort()]), [['music', ['jiosaavn', 'spotify']]]);
+});
+
+test('a series that stopped is lapsed and left out of the totals', () => {
+  const { items, annual } = subscriptions([
+    ...charges('Spotify', [119, 119, 119, 119, 119, 119]),
+    ...charges('Hotstar', [299, 299, 299]),
+  ]);
+  assert.deepEqual(items.map(s => [s.description, s.status]), [['Spotify', 'active'], ['Hotstar', 'lapsed']]);
+  assert.equal(annual, 119 * 12);
+  assert.equal(cancellationSavings(items, { spotify: 'cancel', hotstar: 'cancel' }), 119 * 12);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeTransactions, getTaxReport } from '../src/engine/index.js';
+import { parseFixture } from './helpers.js';
+
+const analyze = async (account, taxTags) => {
+  const { transactions } = await parseFixture('hdfc-savings.csv');
+  return analyzeTransactions(transactions.map(tx => ({ ...tx, account })), { taxTags });
+};
+
+test('groups the financial year by section', async () => {
+  const [year] = (await analyze('HDFC Bank')).tax;
+  assert.equal(year.label, 'FY 2024-25');
+  assert.deepEqual(year.heads.map(h => [h.id, h.total]), [['savings-interest', 512], ['tuition', 45000]]);
+  assert.deepEqual(year.sections.map(s => [s.id, s.counted]), [['80C', 45000], ['80TTA', 512]]);
+});
+
+test('tags outlive renaming the account', async () => {
+  const before = await analyze('HDFC Bank');
+  const school = before.tax[0].heads.find(h => h.id === 'tuition').transactions[0];
+  const swiggy = before.tax[0].others.find(tx => /SWIGGY/.test(tx.description));
+  const tags = { [school.taxKey]: '', [swiggy.taxKey]: 'donation' };
+
+  const [year] = (await analyze('Salary account', tags)).tax;
+  assert.deepEqual(year.heads.map(h => [h.id, h.total]), [['savings-interest', 512], ['donation', 450]]);
+});
+
+test('tagging one of two identical payments leaves the other alone', () => {
+  const sip = (account, reference) => ({
+    date: new Date(2024, 5, 5), description: 'ACH D- ICCL MUTUAL FUND SIP', merchant: 'ICCL', debit: 5000, credit: 0,
+    reference, account, category: 'investments',
+  });
+  const untagFirst = (rows) => {
+    const [before] = getTaxReport(rows);
+    const [first] = before.heads[0].transactions;
+    const [after] = getTaxReport(rows, { [first.taxKey]: '' });
+    return [after.heads[0].transactions.length, after.others.length];
+  };
+  assert.deepEqual(untagFirst([sip('HDFC', ''), sip('ICICI', '')]), [1, 1]);
+  assert.deepEqual(untagFirst([sip('HDFC', 'ACH001'), sip('HDFC', 'ACH002')]), [1, 1]);
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { categorizeTransactions, findTransfers, narrationFields } from '../src/engine/index.js';
+
+const row = (account, day, description, { debit = 0, credit = 0 } = {}) => ({
+  account, date: new Date(2025, 4, day), description, ...narrationFields(description), debit, credit, reference: '',
+});
+const transfers = (rows, options) => {
+  const categorized = categorizeTransactions(rows);
+  const kinds = findTransfers(categorized, options);
+  return categorized.map(tx => kinds.get(tx) || null);
+};
+
+test('pairs a bank transfer between two own accounts', () => {
+  assert.deepEqual(transfers([
+    row('HDFC', 3, 'NEFT DR-ICIC0000123-RAVI KUMAR-NETBANK', { debit: 25000 }),
+    row('ICICI', 4, 'NEFT CR-HDFC0000456-RAVI KUMAR', { credit: 25000 }),
+  ]), ['pair', 'pair']);
+});
+
+test('an equal spend and refund on two accounts stay apart', () => {
+  assert.deepEqual(transfers([
+    row('Card', 3, 'AMAZON SELLER SERVICES', { debit: 5000 }),
+    row('HDFC', 5, 'REFUND FLIPKART INTERNET', { credit: 5000 }),
+    row('HDFC', 1, 'UPI-LANDLORD-RENT@OKAXIS-500100100100-RENT', { debit: 30000 }),
+    row('ICICI', 1, 'ACME CORP REIMBURSEMENT', { credit: 30000 }),
+  ]), [null, null, null, null]);
+});
+
+test('a payment to an own UPI ID is a transfer', () => {
+  assert.deepEqual(transfers([
+    row('HDFC', 3, 'UPI-RAVI KUMAR-RAVI.K@OKICICI-500111222333-SAVINGS', { debit: 2000 }),
+    row('HDFC', 4, 'UPI-RAVI KUMAR-RAVI.K@OKHDFC-500111222444-LUNCH', { debit: 300 }),
+  ], { ownAccounts: ['ravi.k@okicici'] }), ['own', null]);
+});
@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeFixtures } from './helpers.js';
+
+test('a short period still finds the charges that recur across every date', async () => {
+  const analysis = await analyzeFixtures(['hdfc-savings.csv'], { today: new Date(2025, 3, 1), period: { preset: 'month' } });
+  assert.deepEqual(analysis.recurring.map(s => s.description), ['Netflix']);
+  assert.deepEqual(analysis.subscriptions.items.map(s => [s.description, s.status]), [['Netflix', 'active']]);
+  assert.deepEqual(analysis.renewals.upcoming.map(c => c.description), ['Netflix']);
+  assert.equal(analysis.userStats.totalSpent, 649);
+});
+
+test('a baseline from before the statements start is marked as not covered', async () => {
+  const { comparison } = await analyzeFixtures(['hdfc-savings.csv'], { period: { preset: 'month' } });
+  const [previous, year] = comparison.baselines;
+  assert.equal(previous.label, 'Previous month');
+  assert.equal(previous.covered, true);
+  assert.equal(previous.totals.spent.previous, 649);
+  assert.equal(year.covered, false);
+  assert.equal(year.empty, true);
+});
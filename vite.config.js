@@ -4,4 +4,6 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // The engine worker shares code-split chunks (pdf.js) with the page
+  worker: { format: 'es' },
 })